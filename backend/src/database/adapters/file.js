@@ -0,0 +1,136 @@
+/**
+ * File-backed Database Adapter
+ * Giữ dữ liệu trong bộ nhớ như adapter memory, đồng thời ghi toàn bộ
+ * snapshot ra một file JSON sau mỗi thao tác ghi, nên giỏ hàng và đơn
+ * hàng không bị mất khi restart server.
+ * Thay đổi trong transaction chỉ được ghi một lần khi commit; file không
+ * bao giờ chứa dữ liệu của transaction chưa xong hoặc đã rollback.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter, createStorage, COLLECTIONS } = require('./memory');
+
+/**
+ * Map that reports every write to the owning adapter
+ */
+class PersistentMap extends Map {
+  set(key, value) {
+    super.set(key, value);
+    if (this.onWrite) this.onWrite();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted && this.onWrite) this.onWrite();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    if (this.onWrite) this.onWrite();
+  }
+}
+
+/**
+ * Read a snapshot file into the collections
+ */
+const loadSnapshot = (filePath, storage) => {
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  for (const name of COLLECTIONS) {
+    const records = snapshot[name] || {};
+    for (const [key, value] of Object.entries(records)) {
+      storage[name].set(key, value);
+    }
+  }
+
+  // File cũ lưu phần trăm của mã giảm giá trong `percentage`, nay là `value`
+  for (const discount of storage.discounts.values()) {
+    if (discount.value === undefined && discount.percentage !== undefined) {
+      const { percentage, ...rest } = discount;
+      storage.discounts.set(rest.code, { ...rest, value: percentage });
+    }
+  }
+};
+
+/**
+ * Write all collections to disk.
+ * Ghi ra file tạm rồi rename để file không bao giờ bị ghi dở.
+ */
+const writeSnapshot = (filePath, storage) => {
+  const snapshot = {};
+  for (const name of COLLECTIONS) {
+    snapshot[name] = Object.fromEntries(storage[name]);
+  }
+
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+const createFileAdapter = ({ filePath, seed = true } = {}) => {
+  if (!filePath) {
+    throw new Error('File adapter requires a filePath');
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const storage = createStorage(PersistentMap);
+  const exists = fs.existsSync(filePath);
+
+  if (exists) {
+    loadSnapshot(filePath, storage);
+  }
+
+  // Có store khi đang ở trong một transaction (của adapter này)
+  const transactionContext = new AsyncLocalStorage();
+  let openTransactions = 0;
+  // Có thay đổi ngoài transaction chưa được ghi ra file
+  let dirty = false;
+
+  const flush = () => {
+    writeSnapshot(filePath, storage);
+    dirty = false;
+  };
+
+  // Commit thì ghi snapshot; rollback chỉ ghi khi có thay đổi ngoài transaction đang chờ
+  const onTransactionEnd = ({ committed }) => {
+    if (committed || dirty) flush();
+  };
+
+  // Chỉ seed khi tạo file mới, không ghi đè dữ liệu đã lưu
+  const db = createMemoryAdapter({ storage, seed: seed && !exists, onTransactionEnd });
+
+  // Ghi ngoài transaction: ghi ngay, hoặc chờ transaction đang mở kết thúc
+  // để snapshot không chứa thay đổi chưa commit
+  const onWrite = () => {
+    if (transactionContext.getStore()) return;
+
+    dirty = true;
+    if (openTransactions === 0) flush();
+  };
+  for (const name of COLLECTIONS) {
+    storage[name].onWrite = onWrite;
+  }
+  flush();
+
+  const runTransaction = db.transaction;
+  db.transaction = async (work) => {
+    openTransactions += 1;
+    try {
+      return await transactionContext.run(true, () => runTransaction(work));
+    } finally {
+      openTransactions -= 1;
+      if (openTransactions === 0 && dirty) flush();
+    }
+  };
+
+  return db;
+};
+
+module.exports = {
+  createFileAdapter,
+};
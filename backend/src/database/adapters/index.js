@@ -0,0 +1,42 @@
+/**
+ * Database Adapter Registry
+ * Chọn adapter theo cấu hình (DB_ADAPTER = memory | file)
+ */
+
+const path = require('path');
+const { createMemoryAdapter } = require('./memory');
+const { createFileAdapter } = require('./file');
+
+const adapters = {
+  memory: (options) => createMemoryAdapter(options),
+  file: (options) => createFileAdapter(options),
+};
+
+/**
+ * Create a db instance for the given adapter name
+ */
+const createAdapter = (name = 'memory', options = {}) => {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown database adapter: ${name}`);
+  }
+  return factory(options);
+};
+
+/**
+ * Read adapter configuration from environment variables
+ */
+const configFromEnv = (env = process.env) => {
+  return {
+    adapter: env.DB_ADAPTER || 'memory',
+    options: {
+      filePath: path.resolve(env.DB_FILE || path.join('data', 'db.json')),
+    },
+  };
+};
+
+module.exports = {
+  adapters,
+  createAdapter,
+  configFromEnv,
+};
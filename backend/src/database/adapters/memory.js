@@ -0,0 +1,915 @@
+/**
+ * In-memory Database Adapter
+ * Adapter mặc định: dữ liệu nằm trong các Map, mất khi restart.
+ * Đây cũng là bản tham chiếu cho hợp đồng adapter (users, products,
+ * addresses, carts, discounts, discountRedemptions, orders, idempotencyKeys) mà các adapter khác phải tuân theo.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { seedData } = require('../seed');
+const { getUnavailableReason } = require('../../services/discounts');
+
+const IDEMPOTENCY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const COLLECTIONS = [
+  'users',
+  'addresses',
+  'products',
+  'carts',
+  'cartItems',
+  'orders',
+  'discounts',
+  'discountRedemptions',
+  'refreshTokens',
+  'revokedTokens',
+  'idempotencyKeys',
+];
+
+/**
+ * Create an empty set of collections
+ */
+const createStorage = (MapType = Map) => {
+  return COLLECTIONS.reduce((storage, name) => {
+    storage[name] = new MapType();
+    return storage;
+  }, {});
+};
+
+/**
+ * Build the db API on top of a set of collections.
+ * Mọi thao tác ghi đều kết thúc bằng `storage.<collection>.set(...)`,
+ * nên adapter khác có thể bắt sự kiện ghi bằng cách truyền Map riêng.
+ */
+/**
+ * @param {Object} options
+ * @param {Function} options.onTransactionEnd - gọi với { committed } khi transaction kết thúc,
+ *   trước khi transaction kế tiếp bắt đầu (adapter file ghi snapshot ở đây)
+ */
+const createMemoryAdapter = ({ storage = createStorage(), seed = true, onTransactionEnd = null } = {}) => {
+  if (seed) {
+    seedData(storage);
+  }
+
+  // Journal của transaction đang chạy (nếu có) trong async context hiện tại
+  const transactionContext = new AsyncLocalStorage();
+  let transactionQueue = Promise.resolve();
+  // Lần dọn idempotency key hết hạn gần nhất (begin dọn tối đa mỗi phút một lần)
+  let lastIdempotencySweep = 0;
+
+  /**
+   * Read a record before modifying it.
+   * Trong transaction, lưu bản sao record trước lần ghi đầu tiên để rollback.
+   */
+  const touch = (collection, key) => {
+    const current = storage[collection].get(key);
+    const journal = transactionContext.getStore();
+
+    if (journal) {
+      const entryKey = `${collection}:${key}`;
+      if (!journal.has(entryKey)) {
+        journal.set(entryKey, {
+          collection,
+          key,
+          value: current === undefined ? undefined : structuredClone(current),
+        });
+      }
+    }
+
+    return current;
+  };
+
+  const rollback = (journal) => {
+    for (const { collection, key, value } of journal.values()) {
+      if (value === undefined) {
+        storage[collection].delete(key);
+      } else {
+        storage[collection].set(key, value);
+      }
+    }
+  };
+
+  /**
+   * Run `work` as one atomic unit.
+   * Các transaction chạy tuần tự; lỗi bất kỳ sẽ khôi phục mọi record đã ghi.
+   * Gọi lồng nhau thì dùng chung transaction bên ngoài.
+   */
+  const runTransaction = (work) => {
+    if (transactionContext.getStore()) {
+      return work(api);
+    }
+
+    const run = transactionQueue.then(() => {
+      const journal = new Map();
+      return transactionContext.run(journal, async () => {
+        let result;
+        try {
+          result = await work(api);
+          if (onTransactionEnd) onTransactionEnd({ committed: true });
+        } catch (error) {
+          rollback(journal);
+          if (onTransactionEnd) onTransactionEnd({ committed: false });
+          throw error;
+        }
+        return result;
+      });
+    });
+
+    transactionQueue = run.catch(() => {});
+    return run;
+  };
+
+  const revokeRefreshTokens = (matches) => {
+    const now = new Date().toISOString();
+    let count = 0;
+
+    for (const [id, token] of storage.refreshTokens.entries()) {
+      if (matches(token) && !token.revokedAt) {
+        touch('refreshTokens', id);
+        token.revokedAt = now;
+        storage.refreshTokens.set(id, token);
+        count += 1;
+      }
+    }
+    return count;
+  };
+
+  // Gộp số lượng theo sản phẩm (một sản phẩm có thể nằm ở nhiều dòng)
+  const sumQuantities = (items) => {
+    const quantities = new Map();
+    for (const { productId, quantity } of items) {
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    }
+    return quantities;
+  };
+
+  // Ném lỗi có code nếu một sản phẩm không còn bán hoặc không đủ hàng
+  const assertStock = (quantities) => {
+    for (const [productId, quantity] of quantities) {
+      const product = storage.products.get(productId);
+      if (!product) {
+        throw new Error(`Product not found: ${productId}`);
+      }
+      if (product.archived) {
+        const error = new Error(`${product.name} is no longer available`);
+        error.code = 'PRODUCT_UNAVAILABLE';
+        error.productId = productId;
+        throw error;
+      }
+      if (product.stock < quantity) {
+        const error = new Error(`Insufficient stock for ${product.name}`);
+        error.code = 'INSUFFICIENT_STOCK';
+        error.productId = productId;
+        throw error;
+      }
+    }
+  };
+
+  // Record hết hạn không còn dùng được; record in_progress còn lease thì giữ đến khi xong
+  const deleteExpiredIdempotencyKeys = (now) => {
+    let count = 0;
+    for (const [id, record] of storage.idempotencyKeys.entries()) {
+      const leased = record.status !== 'completed' &&
+        record.leaseExpiresAt && new Date(record.leaseExpiresAt) > now;
+      if (new Date(record.expiresAt) <= now && !leased) {
+        touch('idempotencyKeys', id);
+        storage.idempotencyKeys.delete(id);
+        count += 1;
+      }
+    }
+    lastIdempotencySweep = now.getTime();
+    return count;
+  };
+
+  // Discount lưu theo code; tìm theo id trả về [code, discount]
+  const findDiscountEntry = (id) => {
+    for (const entry of storage.discounts.entries()) {
+      if (entry[1].id === id) return entry;
+    }
+    return [];
+  };
+
+  const api = {
+    transaction: runTransaction,
+
+    // Users
+    users: {
+      findById: async (id) => {
+        return storage.users.get(id) || null;
+      },
+    
+      findByEmail: async (email) => {
+        return Array.from(storage.users.values()).find(u => u.email === email) || null;
+      },
+
+      // Email là duy nhất
+      create: async ({ email, name = null, passwordHash, role = 'user' }) => {
+        const exists = Array.from(storage.users.values()).some(u => u.email === email);
+        if (exists) {
+          const error = new Error('Email is already registered');
+          error.code = 'EMAIL_TAKEN';
+          throw error;
+        }
+
+        const user = {
+          id: uuidv4(),
+          email,
+          name,
+          role,
+          passwordHash,
+          failedLoginAttempts: 0,
+          lockedUntil: null,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+        touch('users', user.id);
+        storage.users.set(user.id, user);
+        return user;
+      },
+
+      update: async (id, changes) => {
+        const user = touch('users', id);
+        if (!user) throw new Error('User not found');
+
+        Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+        storage.users.set(id, user);
+        return user;
+      },
+    },
+
+    // Sổ địa chỉ của user, mỗi user có tối đa một địa chỉ mặc định
+    addresses: {
+      // Địa chỉ mặc định trước, còn lại theo thứ tự tạo
+      findByUserId: async (userId) => {
+        return Array.from(storage.addresses.values())
+          .filter(a => a.userId === userId)
+          .sort((a, b) => (b.isDefault - a.isDefault) || a.createdAt.localeCompare(b.createdAt));
+      },
+
+      findById: async (id) => {
+        return storage.addresses.get(id) || null;
+      },
+
+      create: async ({ userId, isDefault = false, ...fields }) => {
+        const now = new Date().toISOString();
+        const address = {
+          id: uuidv4(),
+          userId,
+          ...fields,
+          isDefault,
+          createdAt: now,
+          updatedAt: now,
+        };
+        touch('addresses', address.id);
+        storage.addresses.set(address.id, address);
+        return address;
+      },
+
+      // id, userId và isDefault không đổi qua update (dùng setDefault)
+      update: async (id, changes) => {
+        const address = touch('addresses', id);
+        if (!address) throw new Error('Address not found');
+
+        const { id: _id, userId, isDefault, ...fields } = changes;
+        Object.assign(address, fields, { updatedAt: new Date().toISOString() });
+        storage.addresses.set(id, address);
+        return address;
+      },
+
+      delete: async (id) => {
+        touch('addresses', id);
+        return storage.addresses.delete(id);
+      },
+
+      // Đặt địa chỉ mặc định, bỏ mặc định của các địa chỉ khác cùng user
+      setDefault: async (userId, id) => {
+        const target = storage.addresses.get(id);
+        if (!target || target.userId !== userId) throw new Error('Address not found');
+
+        for (const [key, address] of storage.addresses.entries()) {
+          const isDefault = key === id;
+          if (address.userId !== userId || address.isDefault === isDefault) continue;
+
+          touch('addresses', key);
+          address.isDefault = isDefault;
+          address.updatedAt = new Date().toISOString();
+          storage.addresses.set(key, address);
+        }
+        return target;
+      },
+    },
+
+    // Products
+    products: {
+      // Mặc định bỏ qua sản phẩm đã ngừng bán
+      findAll: async ({ limit = 20, offset = 0, includeArchived = false }) => {
+        const products = Array.from(storage.products.values())
+          .filter(product => includeArchived || !product.archived);
+        return products.slice(offset, offset + limit);
+      },
+    
+      findById: async (id) => {
+        return storage.products.get(id) || null;
+      },
+
+      // Id không tồn tại bị bỏ qua; thứ tự kết quả không theo thứ tự ids
+      findByIds: async (ids) => {
+        return [...new Set(ids)]
+          .map(id => storage.products.get(id))
+          .filter(Boolean);
+      },
+    
+      create: async ({
+        name,
+        price,
+        description = null,
+        image = null,
+        stock = 0,
+        category = null,
+        taxClass = 'standard',
+        weight = 0,
+      }) => {
+        // Id dạng số tăng dần, giống dữ liệu mẫu
+        const nextId = Array.from(storage.products.keys())
+          .reduce((max, id) => Math.max(max, Number(id) || 0), 0) + 1;
+
+        const product = {
+          id: String(nextId),
+          name,
+          price,
+          description,
+          image,
+          stock,
+          category,
+          taxClass,
+          weight,
+          archived: false,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+        touch('products', product.id);
+        storage.products.set(product.id, product);
+        return product;
+      },
+
+      update: async (id, changes) => {
+        const product = touch('products', id);
+        if (!product) throw new Error('Product not found');
+
+        Object.assign(product, changes, { updatedAt: new Date().toISOString() });
+        storage.products.set(id, product);
+        return product;
+      },
+
+      archive: async (id) => {
+        const product = touch('products', id);
+        if (!product) throw new Error('Product not found');
+
+        product.archived = true;
+        product.archivedAt = new Date().toISOString();
+        product.updatedAt = product.archivedAt;
+        storage.products.set(id, product);
+        return product;
+      },
+
+      // Cộng/trừ tồn kho theo delta, không cho phép âm
+      adjustStock: async (id, delta) => {
+        const product = touch('products', id);
+        if (!product) throw new Error('Product not found');
+
+        if (product.stock + delta < 0) {
+          const error = new Error(`Insufficient stock for ${product.name}`);
+          error.code = 'INSUFFICIENT_STOCK';
+          error.productId = id;
+          throw error;
+        }
+
+        product.stock += delta;
+        product.updatedAt = new Date().toISOString();
+        storage.products.set(id, product);
+        return product;
+      },
+
+      decreaseStock: async (id, quantity) => {
+        const product = touch('products', id);
+        if (product) {
+          product.stock -= quantity;
+          product.updatedAt = new Date().toISOString();
+          storage.products.set(id, product);
+        }
+        return product;
+      },
+
+      // Trả hàng về kho (khi hủy hoặc hoàn tiền đơn hàng)
+      releaseStock: async (items) => {
+        return items.map(({ productId, quantity }) => {
+          const product = touch('products', productId);
+          if (!product) {
+            throw new Error(`Product not found: ${productId}`);
+          }
+          product.stock += quantity;
+          product.updatedAt = new Date().toISOString();
+          storage.products.set(productId, product);
+          return product;
+        });
+      },
+
+      // Kiểm tra còn đủ hàng mà không trừ kho
+      checkStock: async (items) => {
+        assertStock(sumQuantities(items));
+        return true;
+      },
+
+      // Giữ hàng cho nhiều sản phẩm cùng lúc: kiểm tra tất cả rồi mới trừ kho
+      reserveStock: async (items) => {
+        const quantities = sumQuantities(items);
+        assertStock(quantities);
+
+        return Array.from(quantities, ([productId, quantity]) => {
+          const product = touch('products', productId);
+          product.stock -= quantity;
+          product.updatedAt = new Date().toISOString();
+          storage.products.set(productId, product);
+          return product;
+        });
+      },
+    },
+
+    // Carts
+    carts: {
+      findByUserId: async (userId) => {
+        return Array.from(storage.carts.values()).find(c => c.userId === userId) || null;
+      },
+    
+      create: async ({ userId }) => {
+        const cart = {
+          id: uuidv4(),
+          userId,
+          items: [],
+          discount: 0,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+        touch('carts', cart.id);
+        storage.carts.set(cart.id, cart);
+        return cart;
+      },
+    
+      addItem: async (cartId, itemData) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        // Check if item already exists
+        const existingItemIndex = cart.items.findIndex(
+          item => item.productId === itemData.productId && 
+                  JSON.stringify(item.variant) === JSON.stringify(itemData.variant)
+        );
+      
+        if (existingItemIndex !== -1) {
+          // Update quantity
+          cart.items[existingItemIndex].quantity += itemData.quantity;
+        } else {
+          // Add new item
+          const newItem = {
+            id: uuidv4(),
+            productId: itemData.productId,
+            quantity: itemData.quantity,
+            variant: itemData.variant || null,
+            price: itemData.price,
+            category: itemData.category || null,
+            taxClass: itemData.taxClass || 'standard',
+            weight: itemData.weight || 0,
+            addedAt: new Date().toISOString(),
+          };
+          cart.items.push(newItem);
+        }
+      
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      updateItemQuantity: async (cartId, itemId, quantity) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        const item = cart.items.find(i => i.id === itemId);
+        if (!item) throw new Error('Item not found');
+      
+        item.quantity = quantity;
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      removeItem: async (cartId, itemId) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        cart.items = cart.items.filter(i => i.id !== itemId);
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      removeMultipleItems: async (cartId, itemIds) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        cart.items = cart.items.filter(i => !itemIds.includes(i.id));
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      clear: async (cartId) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        cart.items = [];
+        cart.discount = 0;
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      // discount: rule của mã giảm giá (số cũ = phần trăm)
+      applyDiscount: async (cartId, discount) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        cart.discount = discount;
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      // Vùng giao hàng dùng để tính thuế (null: vùng mặc định)
+      setShippingRegion: async (cartId, region) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        cart.shippingRegion = region;
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      setShippingMethod: async (cartId, method) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        cart.shippingMethod = method;
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+    
+      removeDiscount: async (cartId) => {
+        const cart = touch('carts', cartId);
+        if (!cart) throw new Error('Cart not found');
+      
+        cart.discount = 0;
+        cart.updatedAt = new Date().toISOString();
+        storage.carts.set(cartId, cart);
+        return cart;
+      },
+
+      delete: async (cartId) => {
+        touch('carts', cartId);
+        return storage.carts.delete(cartId);
+      },
+    },
+
+    // Discounts
+    discounts: {
+      findAll: async () => {
+        return Array.from(storage.discounts.values())
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      },
+
+      findById: async (id) => {
+        return findDiscountEntry(id)[1] || null;
+      },
+
+      // valid: đang chạy (không tạm dừng, đã đến ngày bắt đầu, chưa hết hạn, còn lượt)
+      findByCode: async (code) => {
+        const discount = storage.discounts.get(code.toUpperCase());
+      
+        if (!discount) return null;
+      
+        return {
+          ...discount,
+          valid: getUnavailableReason(discount) === null,
+        };
+      },
+
+      // Code là duy nhất (không phân biệt hoa thường)
+      create: async (data) => {
+        const code = data.code.toUpperCase();
+        if (storage.discounts.has(code)) {
+          const error = new Error(`Discount code ${code} already exists`);
+          error.code = 'DISCOUNT_CODE_TAKEN';
+          throw error;
+        }
+
+        const now = new Date().toISOString();
+        const discount = {
+          ...data,
+          id: uuidv4(),
+          code,
+          usedCount: 0,
+          paused: Boolean(data.paused),
+          createdAt: now,
+          updatedAt: now,
+        };
+        touch('discounts', code);
+        storage.discounts.set(code, discount);
+        return discount;
+      },
+
+      // Không đổi được code (là khóa của mã)
+      update: async (id, changes) => {
+        const [code, discount] = findDiscountEntry(id);
+        if (!discount) throw new Error('Discount not found');
+
+        touch('discounts', code);
+        Object.assign(discount, changes, {
+          id: discount.id,
+          code,
+          updatedAt: new Date().toISOString(),
+        });
+        storage.discounts.set(code, discount);
+        return discount;
+      },
+
+      delete: async (id) => {
+        const [code] = findDiscountEntry(id);
+        if (!code) return false;
+
+        touch('discounts', code);
+        return storage.discounts.delete(code);
+      },
+    
+      incrementUsage: async (id) => {
+        for (const [code, discount] of storage.discounts.entries()) {
+          if (discount.id === id) {
+            touch('discounts', code);
+            discount.usedCount++;
+            storage.discounts.set(code, discount);
+            return discount;
+          }
+        }
+        return null;
+      },
+    
+      // Trả lại một lượt dùng (đơn hàng bị hủy)
+      decrementUsage: async (id) => {
+        for (const [code, discount] of storage.discounts.entries()) {
+          if (discount.id === id) {
+            touch('discounts', code);
+            discount.usedCount = Math.max(0, discount.usedCount - 1);
+            storage.discounts.set(code, discount);
+            return discount;
+          }
+        }
+        return null;
+      },
+    },
+
+    // Lượt dùng mã giảm giá, mỗi đơn hàng dùng mã có một bản ghi
+    discountRedemptions: {
+      create: async ({ discountId, code, userId, orderId, amount }) => {
+        const redemption = {
+          id: uuidv4(),
+          discountId,
+          code,
+          userId,
+          orderId,
+          amount,
+          redeemedAt: new Date().toISOString(),
+          releasedAt: null,
+        };
+        touch('discountRedemptions', redemption.id);
+        storage.discountRedemptions.set(redemption.id, redemption);
+        return redemption;
+      },
+
+      // Lượt dùng còn hiệu lực của một đơn hàng
+      findActiveByOrderId: async (orderId) => {
+        return Array.from(storage.discountRedemptions.values())
+          .find(r => r.orderId === orderId && !r.releasedAt) || null;
+      },
+
+      // Mọi lượt dùng của một mã (kể cả đã trả lại), cũ nhất trước
+      findByCode: async (code) => {
+        return Array.from(storage.discountRedemptions.values())
+          .filter(r => r.code === code.toUpperCase())
+          .sort((a, b) => a.redeemedAt.localeCompare(b.redeemedAt));
+      },
+
+      countActiveByUser: async (discountId, userId) => {
+        return Array.from(storage.discountRedemptions.values())
+          .filter(r => r.discountId === discountId && r.userId === userId && !r.releasedAt)
+          .length;
+      },
+
+      release: async (id) => {
+        const redemption = touch('discountRedemptions', id);
+        if (!redemption) throw new Error('Redemption not found');
+
+        redemption.releasedAt = new Date().toISOString();
+        storage.discountRedemptions.set(id, redemption);
+        return redemption;
+      },
+    },
+
+    // Orders
+    orders: {
+      create: async ({ status = 'pending', ...orderData }) => {
+        const now = new Date().toISOString();
+        const order = {
+          id: uuidv4(),
+          ...orderData,
+          status,
+          history: [{ status, note: null, changedAt: now }],
+          createdAt: now,
+          updatedAt: now,
+        };
+        touch('orders', order.id);
+        storage.orders.set(order.id, order);
+        return order;
+      },
+    
+      findById: async (id) => {
+        return storage.orders.get(id) || null;
+      },
+    
+      findByUserId: async (userId) => {
+        return Array.from(storage.orders.values()).filter(o => o.userId === userId);
+      },
+    
+      // Đổi trạng thái và ghi lại vào lịch sử đơn hàng
+      updateStatus: async (id, status, { note = null } = {}) => {
+        const order = touch('orders', id);
+        if (!order) throw new Error('Order not found');
+        
+        const now = new Date().toISOString();
+        order.status = status;
+        order.history = [...(order.history || []), { status, note, changedAt: now }];
+        order.updatedAt = now;
+        storage.orders.set(id, order);
+        return order;
+      },
+
+      // Lưu trạng thái thanh toán mới nhất từ payment gateway
+      setPayment: async (id, payment) => {
+        const order = touch('orders', id);
+        if (!order) throw new Error('Order not found');
+
+        order.payment = payment;
+        order.updatedAt = new Date().toISOString();
+        storage.orders.set(id, order);
+        return order;
+      },
+
+      // Đánh dấu đơn đang chuyển trạng thái (đang gọi payment gateway), null để bỏ
+      setPendingTransition: async (id, transition) => {
+        const order = touch('orders', id);
+        if (!order) throw new Error('Order not found');
+
+        order.pendingTransition = transition;
+        storage.orders.set(id, order);
+        return order;
+      },
+    },
+
+    // Refresh tokens (chỉ lưu hash của token, không lưu token gốc)
+    refreshTokens: {
+      create: async ({ id, userId, familyId, expiresAt }) => {
+        const token = {
+          id,
+          userId,
+          familyId,
+          expiresAt,
+          replacedBy: null,
+          revokedAt: null,
+          createdAt: new Date().toISOString(),
+        };
+        touch('refreshTokens', id);
+        storage.refreshTokens.set(id, token);
+        return token;
+      },
+
+      findById: async (id) => {
+        return storage.refreshTokens.get(id) || null;
+      },
+
+      // Đánh dấu token đã được đổi sang token mới
+      markRotated: async (id, replacedBy) => {
+        const token = touch('refreshTokens', id);
+        if (!token) throw new Error('Refresh token not found');
+
+        token.replacedBy = replacedBy;
+        token.rotatedAt = new Date().toISOString();
+        storage.refreshTokens.set(id, token);
+        return token;
+      },
+
+      // Thu hồi mọi token cùng family, trả về số token bị thu hồi
+      revokeFamily: async (familyId) => {
+        return revokeRefreshTokens(token => token.familyId === familyId);
+      },
+
+      revokeByUserId: async (userId) => {
+        return revokeRefreshTokens(token => token.userId === userId);
+      },
+    },
+
+    // Access token bị thu hồi trước hạn, theo jti
+    revokedTokens: {
+      add: async (jti, expiresAt) => {
+        touch('revokedTokens', jti);
+        storage.revokedTokens.set(jti, { jti, expiresAt, revokedAt: new Date().toISOString() });
+      },
+
+      has: async (jti) => {
+        const entry = storage.revokedTokens.get(jti);
+        if (!entry) return false;
+
+        // Token đã hết hạn thì không cần giữ trong danh sách nữa
+        if (new Date(entry.expiresAt) <= new Date()) {
+          touch('revokedTokens', jti);
+          storage.revokedTokens.delete(jti);
+          return false;
+        }
+        return true;
+      },
+    },
+
+    // Kết quả của các mutation có idempotency key, theo owner (user hoặc guest) và key
+    idempotencyKeys: {
+      // Giữ key cho một request: trả về record đã có (còn hạn) hoặc null nếu vừa tạo mới.
+      // Record in_progress đã hết lease (process chết giữa chừng) được giữ lại từ đầu.
+      // Kiểm tra và ghi không có await ở giữa nên hai request trùng key không cùng giữ được.
+      begin: async ({ ownerId, key, operation, fingerprint, expiresAt, leaseExpiresAt = null }) => {
+        const id = `${ownerId}:${key}`;
+        const now = new Date();
+        if (now.getTime() - lastIdempotencySweep >= IDEMPOTENCY_SWEEP_INTERVAL_MS) {
+          deleteExpiredIdempotencyKeys(now);
+        }
+
+        const existing = storage.idempotencyKeys.get(id);
+        const abandoned = existing && existing.status !== 'completed' &&
+          existing.leaseExpiresAt && new Date(existing.leaseExpiresAt) <= now;
+        if (existing && new Date(existing.expiresAt) > now && !abandoned) {
+          return existing;
+        }
+
+        touch('idempotencyKeys', id);
+        storage.idempotencyKeys.set(id, {
+          id,
+          ownerId,
+          key,
+          operation,
+          fingerprint,
+          status: 'in_progress',
+          response: null,
+          expiresAt,
+          leaseExpiresAt,
+          createdAt: new Date().toISOString(),
+        });
+        return null;
+      },
+
+      complete: async (ownerId, key, response) => {
+        const id = `${ownerId}:${key}`;
+        const record = touch('idempotencyKeys', id);
+        if (!record) throw new Error('Idempotency key not found');
+
+        record.status = 'completed';
+        record.response = structuredClone(response);
+        storage.idempotencyKeys.set(id, record);
+        return record;
+      },
+
+      // Bỏ key khi request lỗi để client có thể gửi lại
+      release: async (ownerId, key) => {
+        const id = `${ownerId}:${key}`;
+        touch('idempotencyKeys', id);
+        return storage.idempotencyKeys.delete(id);
+      },
+
+      // Xóa các record đã hết hạn, trả về số record đã xóa
+      deleteExpired: async (now = new Date()) => deleteExpiredIdempotencyKeys(now),
+    },
+  };
+
+  return api;
+};
+
+module.exports = {
+  createMemoryAdapter,
+  createStorage,
+  COLLECTIONS,
+};
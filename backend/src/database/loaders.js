@@ -0,0 +1,31 @@
+/**
+ * Request-scoped Loaders
+ * Gom các lần đọc theo id trong cùng một tick thành một lần gọi database
+ * (ví dụ CartItem.product cho mọi dòng của giỏ hàng) và nhớ kết quả đến hết request.
+ * Mỗi request tạo loaders mới để dữ liệu không bị chia sẻ giữa các user.
+ */
+
+const DataLoader = require('dataloader');
+
+/**
+ * Batch function for a findByIds style lookup
+ * Trả kết quả đúng thứ tự ids như DataLoader yêu cầu, id không tồn tại → null.
+ */
+const byIds = (findByIds) => async (ids) => {
+  const records = await findByIds(ids);
+  const byId = new Map(records.map(record => [record.id, record]));
+  return ids.map(id => byId.get(id) || null);
+};
+
+/**
+ * Create the loaders for one request
+ * @param {Object} db - database adapter
+ * @param {Object} options - { cache } (mặc định true)
+ */
+const createLoaders = (db, { cache = true } = {}) => ({
+  products: new DataLoader(byIds(ids => db.products.findByIds(ids)), { cache }),
+});
+
+module.exports = {
+  createLoaders,
+};
@@ -0,0 +1,202 @@
+/**
+ * Sample catalog, discount codes and accounts
+ */
+
+const { validateEmail } = require('../middleware/validation');
+const { validatePassword, hashPasswordSync } = require('../services/password');
+
+// Môi trường được seed tài khoản mẫu
+const SAMPLE_ACCOUNT_ENVS = ['development', 'test'];
+
+/**
+ * Seed initial data
+ * Dùng chung cho mọi adapter khi kho dữ liệu còn trống
+ */
+const seedData = (storage, env = process.env) => {
+  // Sample products (weight: cân nặng khi giao hàng, kg)
+  const products = [
+    {
+      id: '1',
+      name: 'iPhone 15 Pro',
+      price: 999,
+      description: 'Latest iPhone with A17 Pro chip',
+      image: 'https://via.placeholder.com/300x300?text=iPhone+15+Pro',
+      stock: 50,
+      category: 'phones',
+      taxClass: 'standard',
+      weight: 0.2,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+    {
+      id: '2',
+      name: 'MacBook Air M3',
+      price: 1299,
+      description: 'Powerful and portable',
+      image: 'https://via.placeholder.com/300x300?text=MacBook+Air',
+      stock: 30,
+      category: 'laptops',
+      taxClass: 'standard',
+      weight: 1.3,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+    {
+      id: '3',
+      name: 'AirPods Pro',
+      price: 249,
+      description: 'Active noise cancellation',
+      image: 'https://via.placeholder.com/300x300?text=AirPods+Pro',
+      stock: 100,
+      category: 'audio',
+      taxClass: 'standard',
+      weight: 0.1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+    {
+      id: '4',
+      name: 'Apple Watch Series 9',
+      price: 399,
+      description: 'Advanced health features',
+      image: 'https://via.placeholder.com/300x300?text=Apple+Watch',
+      stock: 75,
+      category: 'wearables',
+      taxClass: 'standard',
+      weight: 0.1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+  ];
+
+  products.forEach(product => storage.products.set(product.id, product));
+
+  // Sample discount codes
+  const discounts = [
+    {
+      id: '1',
+      code: 'SAVE10',
+      type: 'percentage',
+      value: 10,
+      maxUses: 100,
+      usedCount: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    },
+    {
+      id: '2',
+      code: 'SAVE20',
+      type: 'percentage',
+      value: 20,
+      maxUses: 50,
+      usedCount: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    },
+    {
+      id: '3',
+      code: 'WELCOME',
+      type: 'percentage',
+      value: 15,
+      maxUses: 200,
+      // Mỗi khách chỉ dùng một lần
+      maxUsesPerUser: 1,
+      usedCount: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    },
+    {
+      id: '4',
+      code: 'FLAT50',
+      type: 'fixed',
+      value: 50,
+      minSubtotal: 500,
+      maxUses: 100,
+      usedCount: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    },
+    {
+      id: '5',
+      code: 'FREESHIP',
+      type: 'free_shipping',
+      minSubtotal: 50,
+      maxUses: 500,
+      usedCount: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    },
+    {
+      id: '6',
+      code: 'AUDIO15',
+      type: 'percentage',
+      value: 15,
+      categories: ['audio'],
+      maxUses: 100,
+      usedCount: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    },
+    {
+      id: '7',
+      code: 'WATCHB2G1',
+      type: 'buy_x_get_y',
+      value: 100,
+      productIds: ['4'],
+      buyQuantity: 2,
+      getQuantity: 1,
+      maxUses: 50,
+      usedCount: 0,
+      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+    },
+  ];
+
+  discounts.forEach(discount => storage.discounts.set(discount.code, discount));
+
+  seedAccounts(storage, env);
+};
+
+/**
+ * Seed accounts
+ * Tài khoản mẫu (mật khẩu password123, ai cũng biết) chỉ có khi NODE_ENV là
+ * development hoặc test. Admin thật lấy từ ADMIN_EMAIL / ADMIN_PASSWORD.
+ */
+const seedAccounts = (storage, env) => {
+  if (SAMPLE_ACCOUNT_ENVS.includes(env.NODE_ENV)) {
+    const samplePasswordHash = 'scrypt$38c7e630bfd939b0b036fda0757c61b3$5814e0360c35ebab4e1dc41bb83a4d0640efe4dedc53cf06c73718161ae501b3b6a4efd3f2adc3398364d327b8f6f4663be1d82935bae4cb782d97ec128558a6';
+
+    // Sample user (for testing)
+    storage.users.set('user-1', {
+      id: 'user-1',
+      email: 'test@example.com',
+      name: 'Test User',
+      role: 'user',
+      passwordHash: samplePasswordHash,
+      createdAt: new Date().toISOString(),
+    });
+
+    // Sample admin (for testing admin-only operations)
+    storage.users.set('admin-1', {
+      id: 'admin-1',
+      email: 'admin@example.com',
+      name: 'Admin User',
+      role: 'admin',
+      passwordHash: samplePasswordHash,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  if (env.ADMIN_EMAIL && env.ADMIN_PASSWORD) {
+    storage.users.set('admin-env', {
+      id: 'admin-env',
+      email: validateEmail(env.ADMIN_EMAIL),
+      name: 'Admin',
+      role: 'admin',
+      passwordHash: hashPasswordSync(validatePassword(env.ADMIN_PASSWORD)),
+      createdAt: new Date().toISOString(),
+    });
+  }
+};
+
+module.exports = { seedData };
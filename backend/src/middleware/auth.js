@@ -1,4 +1,7 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database');
+const { loggers } = require('../utils/logger');
 
 /**
  * JWT Authentication Middleware
@@ -6,7 +9,8 @@ const jwt = require('jsonwebtoken');
  */
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access token ngắn hạn; phiên dài hơn dùng refresh token (services/tokens.js)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
  * Generate JWT token
@@ -19,10 +23,19 @@ const generateToken = (userId, additionalPayload = {}) => {
       iat: Math.floor(Date.now() / 1000)
     },
     JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
+    // jti để có thể thu hồi từng token trước khi hết hạn
+    { expiresIn: JWT_EXPIRES_IN, jwtid: uuidv4() }
   );
 };
 
+/**
+ * Check the revocation list for a verified token
+ */
+const isTokenRevoked = async (decoded) => {
+  if (!decoded || !decoded.jti) return false;
+  return db.revokedTokens.has(decoded.jti);
+};
+
 /**
  * Verify JWT token
  */
@@ -81,6 +94,13 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token);
     
+    if (await isTokenRevoked(decoded)) {
+      return res.status(401).json({
+        error: 'Token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+    
     // Attach user info to request
     req.user = {
       id: decoded.userId,
@@ -89,7 +109,7 @@ const authenticate = async (req, res, next) => {
     
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
+    (req.loggers || loggers).security.invalidToken(extractToken(req));
     
     return res.status(401).json({
       error: error.message || 'Authentication failed',
@@ -108,6 +128,9 @@ const optionalAuthenticate = async (req, res, next) => {
     
     if (token) {
       const decoded = verifyToken(token);
+      if (await isTokenRevoked(decoded)) {
+        return next();
+      }
       req.user = {
         id: decoded.userId,
         ...decoded
@@ -117,7 +140,7 @@ const optionalAuthenticate = async (req, res, next) => {
     next();
   } catch (error) {
     // Token invalid but continue anyway
-    console.warn('Optional auth failed:', error.message);
+    (req.loggers || loggers).security.invalidToken(extractToken(req));
     next();
   }
 };
@@ -145,71 +168,12 @@ const authorize = (...allowedRoles) => {
   };
 };
 
-/**
- * Refresh token
- */
-const refreshToken = (oldToken) => {
-  try {
-    const decoded = jwt.verify(oldToken, JWT_SECRET, { ignoreExpiration: true });
-    
-    // Check if token is not too old (e.g., within 30 days)
-    const tokenAge = Date.now() / 1000 - decoded.iat;
-    if (tokenAge > 30 * 24 * 60 * 60) {
-      throw new Error('Token too old to refresh');
-    }
-    
-    // Generate new token
-    return generateToken(decoded.userId, {
-      role: decoded.role
-    });
-  } catch (error) {
-    throw new Error('Cannot refresh token: ' + error.message);
-  }
-};
-
-/**
- * Mock login for development/demo
- */
-const mockLogin = (req, res) => {
-  const { email } = req.body;
-  
-  // In production, verify credentials against database
-  const userId = 'user-1'; // Mock user ID
-  const token = generateToken(userId, { email, role: 'user' });
-  
-  res.json({
-    success: true,
-    token,
-    user: {
-      id: userId,
-      email
-    }
-  });
-};
-
-/**
- * Logout handler
- */
-const logout = (req, res) => {
-  // If using cookies, clear them
-  if (req.cookies && req.cookies.token) {
-    res.clearCookie('token');
-  }
-  
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
-};
-
 module.exports = {
   authenticate,
   optionalAuthenticate,
   authorize,
   generateToken,
   verifyToken,
-  refreshToken,
-  mockLogin,
-  logout,
+  isTokenRevoked,
   extractToken
 };
\ No newline at end of file
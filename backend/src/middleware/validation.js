@@ -3,6 +3,8 @@
  * Validates and sanitizes input data
  */
 
+const { logger, serializeError } = require('../utils/logger');
+
 /**
  * Sanitize string input
  */
@@ -89,6 +91,75 @@ const validateDiscountCode = (code) => {
   return cleaned;
 };
 
+/**
+ * Validate phone number
+ * Cùng quy tắc với XSSProtection.sanitizePhone ở frontend:
+ * chỉ giữ chữ số và dấu +, độ dài 10-15 ký tự
+ */
+const sanitizePhone = (phone) => {
+  if (typeof phone !== 'string') {
+    throw new Error('Phone number must be a string');
+  }
+  
+  const cleaned = phone.replace(/[^\d+]/g, '');
+  
+  if (cleaned.length < 10 || cleaned.length > 15) {
+    throw new Error('Invalid phone number length');
+  }
+  
+  return cleaned;
+};
+
+/**
+ * Validate shipping address
+ */
+const validateAddress = (address) => {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    throw new Error('Invalid address');
+  }
+  
+  // Không cắt ngắn: "Vietnam" cắt còn "VI" sẽ thành một quốc gia khác
+  const optional = (field, maxLength) => {
+    const value = sanitizeString(address[field], Infinity);
+    if (value.length > maxLength) {
+      throw new Error(`${field} must be at most ${maxLength} characters`);
+    }
+    return value;
+  };
+  
+  const required = (field, maxLength) => {
+    const value = optional(field, maxLength);
+    if (!value) {
+      throw new Error(`${field} is required`);
+    }
+    return value;
+  };
+  
+  const country = sanitizeString(address.country, Infinity).toUpperCase();
+  if (!country) {
+    throw new Error('country is required');
+  }
+  if (!/^[A-Z]{2}$/.test(country)) {
+    throw new Error('Country must be a 2-letter ISO code');
+  }
+  
+  const postalCode = optional('postalCode', 12).toUpperCase() || null;
+  if (postalCode && !/^[A-Z0-9][A-Z0-9 -]*$/.test(postalCode)) {
+    throw new Error('Invalid postal code');
+  }
+  
+  return {
+    recipient: required('recipient', 100),
+    phone: sanitizePhone(address.phone),
+    line1: required('line1', 200),
+    line2: optional('line2', 200) || null,
+    city: required('city', 100),
+    province: optional('province', 100) || null,
+    postalCode,
+    country,
+  };
+};
+
 /**
  * Validate cart item
  */
@@ -211,7 +282,7 @@ const validate = (schema) => {
       
       next();
     } catch (error) {
-      console.error('Validation error:', error);
+      (req.log || logger).warn('Validation error', serializeError(error));
       res.status(400).json({
         error: 'Validation failed',
         details: [error.message]
@@ -278,9 +349,14 @@ const schemas = {
           return ids.map(id => sanitizeString(id, 50));
         }
       },
+      // Địa chỉ đã lưu (addressId) hoặc địa chỉ nhập trực tiếp
+      addressId: {
+        required: false,
+        validate: (id) => sanitizeString(id, 50)
+      },
       shippingAddress: {
-        required: true,
-        validate: (addr) => sanitizeString(addr, 500)
+        required: false,
+        validate: validateAddress
       },
       paymentMethod: {
         required: true,
@@ -337,34 +413,62 @@ const sanitizeBody = (req, res, next) => {
  * Rate limiting validation
  */
 class RateLimitValidator {
-  constructor() {
+  // sweepIntervalMs: khoảng cách tối thiểu giữa hai lần dọn các key đã hết window
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
     this.requests = new Map();
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.lastSweep = Date.now();
   }
   
-  check(identifier, maxRequests = 100, windowMs = 15 * 60 * 1000) {
+  // Xóa các key không còn request nào trong window (client không quay lại)
+  sweep(now = Date.now()) {
+    for (const [key, { times, windowMs }] of this.requests) {
+      if (times.length === 0 || now - times[times.length - 1] >= windowMs) {
+        this.requests.delete(key);
+      }
+    }
+    this.lastSweep = now;
+  }
+  
+  // Ghi nhận một request (nếu còn lượt) và trả về trạng thái cho header RateLimit-*
+  hit(identifier, maxRequests = 100, windowMs = 15 * 60 * 1000) {
     const now = Date.now();
     const key = String(identifier);
     
-    if (!this.requests.has(key)) {
-      this.requests.set(key, []);
+    if (now - this.lastSweep >= this.sweepIntervalMs) {
+      this.sweep(now);
     }
     
-    const userRequests = this.requests.get(key);
+    const userRequests = this.requests.has(key) ? this.requests.get(key).times : [];
     
     // Remove old requests
     const validRequests = userRequests.filter(time => now - time < windowMs);
-    this.requests.set(key, validRequests);
+    this.requests.set(key, { times: validRequests, windowMs });
     
-    // Check limit
-    if (validRequests.length >= maxRequests) {
-      const oldestRequest = validRequests[0];
-      const waitTime = Math.ceil((windowMs - (now - oldestRequest)) / 1000);
-      throw new Error(`Too many requests. Please wait ${waitTime} seconds.`);
+    // Add current request
+    const allowed = validRequests.length < maxRequests;
+    if (allowed) {
+      validRequests.push(now);
     }
     
-    // Add current request
-    validRequests.push(now);
-    this.requests.set(key, validRequests);
+    // Số giây đến khi request cũ nhất hết hạn
+    const resetSeconds = Math.ceil((windowMs - (now - validRequests[0])) / 1000);
+    
+    return {
+      allowed,
+      limit: maxRequests,
+      remaining: maxRequests - validRequests.length,
+      resetSeconds,
+    };
+  }
+  
+  check(identifier, maxRequests = 100, windowMs = 15 * 60 * 1000) {
+    const { allowed, resetSeconds } = this.hit(identifier, maxRequests, windowMs);
+    
+    // Check limit
+    if (!allowed) {
+      throw new Error(`Too many requests. Please wait ${resetSeconds} seconds.`);
+    }
     
     return true;
   }
@@ -404,6 +508,8 @@ module.exports = {
   validateQuantity,
   validatePrice,
   validateDiscountCode,
+  sanitizePhone,
+  validateAddress,
   validateCartItem,
   
   // Middleware
@@ -415,5 +521,6 @@ module.exports = {
   schemas,
   
   // Rate limit validator
+  RateLimitValidator,
   rateLimitValidator
 };
\ No newline at end of file
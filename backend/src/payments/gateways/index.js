@@ -0,0 +1,37 @@
+/**
+ * Payment Gateway Registry
+ * Chọn gateway theo cấu hình (PAYMENT_GATEWAY = mock)
+ */
+
+const { createMockGateway } = require('./mock');
+
+const gateways = {
+  mock: (options) => createMockGateway(options),
+};
+
+/**
+ * Create a gateway for the given name
+ */
+const createGateway = (name = 'mock', options = {}) => {
+  const factory = gateways[name];
+  if (!factory) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return factory(options);
+};
+
+/**
+ * Read payment configuration from environment variables
+ */
+const configFromEnv = (env = process.env) => {
+  return {
+    gateway: env.PAYMENT_GATEWAY || 'mock',
+    timeoutMs: Number(env.PAYMENT_TIMEOUT_MS) || 10000,
+  };
+};
+
+module.exports = {
+  gateways,
+  createGateway,
+  configFromEnv,
+};
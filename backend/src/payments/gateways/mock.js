@@ -0,0 +1,165 @@
+/**
+ * Mock Payment Gateway
+ * Gateway chạy tại chỗ, kết quả chỉ phụ thuộc vào paymentMethod
+ * (giống thẻ test của các cổng thanh toán thật):
+ *   mock_declined            - bị từ chối (card_declined)
+ *   mock_insufficient_funds  - bị từ chối (insufficient_funds)
+ *   mock_3ds                 - cần xác thực 3-D Secure trước khi được authorize
+ *   mock_timeout             - gateway không bao giờ trả lời
+ *   còn lại                  - authorize thành công
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const MOCK_PAYMENT_METHODS = {
+  DECLINED: 'mock_declined',
+  INSUFFICIENT_FUNDS: 'mock_insufficient_funds',
+  THREE_D_SECURE: 'mock_3ds',
+  TIMEOUT: 'mock_timeout',
+};
+
+const DECLINE_CODES = {
+  [MOCK_PAYMENT_METHODS.DECLINED]: 'card_declined',
+  [MOCK_PAYMENT_METHODS.INSUFFICIENT_FUNDS]: 'insufficient_funds',
+};
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const gatewayError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const createMockGateway = () => {
+  const payments = new Map();
+
+  const findOrFail = (id) => {
+    const payment = payments.get(id);
+    if (!payment) {
+      throw gatewayError('PAYMENT_NOT_FOUND', `Payment not found: ${id}`);
+    }
+    return payment;
+  };
+
+  const assertStatus = (payment, allowed, action) => {
+    if (!allowed.includes(payment.status)) {
+      throw gatewayError('INVALID_PAYMENT_STATE', `Cannot ${action} a ${payment.status} payment`);
+    }
+  };
+
+  // Trả về bản sao để bên gọi không sửa được trạng thái trong gateway
+  const save = (payment) => {
+    payment.updatedAt = new Date().toISOString();
+    payments.set(payment.id, payment);
+    return { ...payment };
+  };
+
+  return {
+    name: 'mock',
+
+    authorize: async ({ amount, currency = 'USD', paymentMethod, reference = null }) => {
+      const method = String(paymentMethod || '').toLowerCase();
+
+      if (method === MOCK_PAYMENT_METHODS.TIMEOUT) {
+        return new Promise(() => {});
+      }
+
+      const payment = {
+        id: `mock_pay_${uuidv4()}`,
+        reference,
+        amount,
+        currency,
+        status: 'authorized',
+        capturedAmount: 0,
+        refundedAmount: 0,
+        declineCode: null,
+        nextAction: null,
+        createdAt: new Date().toISOString(),
+      };
+
+      if (DECLINE_CODES[method]) {
+        payment.status = 'declined';
+        payment.declineCode = DECLINE_CODES[method];
+      } else if (method === MOCK_PAYMENT_METHODS.THREE_D_SECURE) {
+        payment.status = 'requires_action';
+        payment.nextAction = {
+          type: 'three_d_secure',
+          url: `https://mock-gateway.local/3ds/${payment.id}`,
+        };
+      }
+
+      return save(payment);
+    },
+
+    retrieve: async (id) => {
+      return { ...findOrFail(id) };
+    },
+
+    // Các payment tạo với cùng reference (mã đơn hàng)
+    findByReference: async (reference) => {
+      return [...payments.values()]
+        .filter(payment => payment.reference === reference)
+        .map(payment => ({ ...payment }));
+    },
+
+    capture: async (id, amount) => {
+      const payment = findOrFail(id);
+      assertStatus(payment, ['authorized'], 'capture');
+
+      const captureAmount = amount === undefined ? payment.amount : amount;
+      if (captureAmount <= 0 || captureAmount > payment.amount) {
+        throw gatewayError('INVALID_PAYMENT_AMOUNT', 'Capture amount exceeds the authorized amount');
+      }
+
+      payment.status = 'captured';
+      payment.capturedAmount = captureAmount;
+      return save(payment);
+    },
+
+    void: async (id) => {
+      const payment = findOrFail(id);
+      assertStatus(payment, ['authorized', 'requires_action'], 'void');
+
+      payment.status = 'voided';
+      payment.nextAction = null;
+      return save(payment);
+    },
+
+    refund: async (id, amount) => {
+      const payment = findOrFail(id);
+      assertStatus(payment, ['captured', 'partially_refunded'], 'refund');
+
+      const refundable = payment.capturedAmount - payment.refundedAmount;
+      const refundAmount = amount === undefined ? refundable : amount;
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw gatewayError('INVALID_PAYMENT_AMOUNT', 'Refund amount exceeds the captured amount');
+      }
+
+      payment.refundedAmount += refundAmount;
+      payment.status = payment.refundedAmount === payment.capturedAmount
+        ? 'refunded'
+        : 'partially_refunded';
+      return save(payment);
+    },
+
+    /**
+     * Simulate the customer finishing (hoặc thất bại) bước xác thực 3-D Secure
+     */
+    completeAction: async (id, { approved = true } = {}) => {
+      const payment = findOrFail(id);
+      assertStatus(payment, ['requires_action'], 'authenticate');
+
+      payment.status = approved ? 'authorized' : 'declined';
+      payment.declineCode = approved ? null : 'authentication_failed';
+      payment.nextAction = null;
+      return save(payment);
+    },
+  };
+};
+
+module.exports = {
+  MOCK_PAYMENT_METHODS,
+  createMockGateway,
+};
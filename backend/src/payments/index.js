@@ -0,0 +1,15 @@
+/**
+ * Payments
+ * Gateway được chọn qua biến môi trường:
+ *   PAYMENT_GATEWAY=mock (mặc định) - gateway giả lập tại chỗ
+ *   PAYMENT_TIMEOUT_MS              - thời gian chờ tối đa mỗi lần gọi gateway (mặc định 10000)
+ */
+
+const { createGateway, configFromEnv } = require('./gateways');
+const { createPaymentService } = require('../services/payments');
+
+const { gateway, timeoutMs } = configFromEnv();
+
+const payments = createPaymentService({ gateway: createGateway(gateway), timeoutMs });
+
+module.exports = payments;
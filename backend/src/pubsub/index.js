@@ -0,0 +1,73 @@
+/**
+ * PubSub Layer
+ * Driver được chọn qua PUBSUB_DRIVER (mặc định: local).
+ * Driver "local" chỉ phát sự kiện trong cùng process; khi chạy nhiều
+ * instance, đăng ký một driver dùng chung (Redis, NATS, ...) với
+ * registerPubSubDriver. Mọi driver phải hiện thực PubSubEngine
+ * của graphql-subscriptions: publish, subscribe, unsubscribe, asyncIterator.
+ */
+
+const { PubSub } = require('graphql-subscriptions');
+
+// Subscription topics
+const TOPICS = {
+  CART_UPDATED: 'CART_UPDATED',
+  ORDER_UPDATED: 'ORDER_UPDATED',
+};
+
+const drivers = {
+  local: () => new PubSub(),
+};
+
+/**
+ * Register a pubsub driver factory
+ */
+const registerPubSubDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Create a pubsub engine for the given driver name
+ */
+const createPubSub = (name = process.env.PUBSUB_DRIVER || 'local', options = {}) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown pubsub driver: ${name}`);
+  }
+
+  const engine = factory(options);
+  if (typeof engine.publish !== 'function' || typeof engine.asyncIterator !== 'function') {
+    throw new Error(`PubSub driver "${name}" must implement PubSubEngine`);
+  }
+  return engine;
+};
+
+let engine = null;
+
+/**
+ * Replace the engine used by the shared pubsub (ví dụ lúc khởi động server)
+ */
+const usePubSub = (nextEngine) => {
+  engine = nextEngine;
+};
+
+const getEngine = () => {
+  if (!engine) {
+    engine = createPubSub();
+  }
+  return engine;
+};
+
+// Shared instance used by resolvers; engine thật được tạo khi dùng lần đầu
+const pubsub = {
+  publish: (trigger, payload) => getEngine().publish(trigger, payload),
+  asyncIterator: (triggers) => getEngine().asyncIterator(triggers),
+};
+
+module.exports = {
+  TOPICS,
+  pubsub,
+  createPubSub,
+  registerPubSubDriver,
+  usePubSub,
+};
@@ -1,8 +1,61 @@
-const { AuthenticationError, UserInputError, ForbiddenError } = require('apollo-server-express');
-const { PubSub } = require('graphql-subscriptions');
+const {
+  ApolloError,
+  AuthenticationError,
+  UserInputError,
+  ForbiddenError,
+} = require('apollo-server-express');
+const { withFilter } = require('graphql-subscriptions');
+const { pubsub, TOPICS } = require('../pubsub');
+const { calculatePricing, priceCart, lineSubtotal } = require('../services/pricing');
+const { ORDER_STATUS, assertTransition, shouldRestock } = require('../services/orderLifecycle');
+const { PAYMENT_STATUS, toOrderPayment, settlePayment, compensatePayment } = require('../services/payments');
+const defaultPayments = require('../payments');
+const { createLoaders } = require('../database/loaders');
+const { withIdempotency } = require('../services/idempotency');
+const { logger, loggers, serializeError } = require('../utils/logger');
+const { paginateOrders } = require('../services/orderHistory');
+const {
+  DISCOUNT_TYPES,
+  getUnavailableReason,
+  toDiscountRule,
+  evaluateDiscount,
+  describeDiscount,
+  explainIneligibility,
+  explainUnavailability,
+} = require('../services/discounts');
+const { assertRedeemable, canUserRedeem, redeemDiscount, releaseRedemption } = require('../services/discountUsage');
+const {
+  createDiscount,
+  updateDiscount,
+  setDiscountPaused,
+  deleteDiscount,
+  generateDiscountCodes,
+} = require('../services/discountCodes');
+const { TAX_CLASSES, resolveTaxRegion, resolveAddressTaxRegion } = require('../services/tax');
+const {
+  toAddressSnapshot,
+  listAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  setDefaultAddress,
+  resolveCheckoutAddress,
+} = require('../services/addresses');
+const {
+  SHIPPING_METHODS,
+  quoteShipping,
+  getShippingOptions,
+  isShippingMethodAvailable,
+} = require('../services/shipping');
+const { sanitizeString, sanitizeNumber, validatePrice } = require('../middleware/validation');
+const {
+  createGuestId,
+  createGuestCartToken,
+  verifyGuestCartToken,
+  mergeGuestCart,
+} = require('../services/guestCart');
 
-const pubsub = new PubSub();
-const CART_UPDATED = 'CART_UPDATED';
+const { CART_UPDATED, ORDER_UPDATED } = TOPICS;
 
 // Helper function to check authentication
 const requireAuth = (context) => {
@@ -12,6 +65,17 @@ const requireAuth = (context) => {
   return context.user;
 };
 
+// Chủ giỏ hàng: user đã đăng nhập, hoặc khách có guest cart token hợp lệ
+const requireCartOwner = (context) => {
+  if (context.user) {
+    return context.user.id;
+  }
+  if (context.guestId) {
+    return context.guestId;
+  }
+  throw new AuthenticationError('You must be logged in');
+};
+
 // Helper function to validate and sanitize input
 const sanitizeInput = (input) => {
   if (typeof input === 'string') {
@@ -20,34 +84,495 @@ const sanitizeInput = (input) => {
   return input;
 };
 
+// Kiểm tra và làm sạch dữ liệu sản phẩm do admin gửi lên
+// (chỉ giữ các trường có trong input, dùng chung cho create và update)
+const validateProductInput = (input) => {
+  const product = {};
+  
+  try {
+    if (input.name != null) {
+      product.name = sanitizeString(input.name, 100);
+      if (!product.name) {
+        throw new Error('Product name is required');
+      }
+    }
+    if (input.price != null) {
+      product.price = validatePrice(input.price);
+    }
+    if (input.description !== undefined) {
+      product.description = input.description === null ? null : sanitizeString(input.description, 1000);
+    }
+    if (input.image !== undefined) {
+      product.image = input.image === null ? null : sanitizeString(input.image, 500);
+    }
+    if (input.stock != null) {
+      product.stock = sanitizeNumber(input.stock, 0, 1000000);
+    }
+    if (input.weight != null) {
+      product.weight = sanitizeNumber(input.weight, 0, 1000);
+    }
+    if (input.taxClass != null) {
+      product.taxClass = input.taxClass;
+    }
+    if (input.category !== undefined) {
+      product.category = input.category === null ? null : sanitizeString(input.category, 50).toLowerCase() || null;
+    }
+  } catch (error) {
+    throw new UserInputError(error.message);
+  }
+  
+  return product;
+};
+
+// Mã giảm giá đang gắn với giỏ hàng và kết quả tính trên giỏ hiện tại
+const toAppliedDiscount = (cart) => {
+  const evaluation = evaluateDiscount(cart.discount, cart.items || []);
+  const { rule } = evaluation;
+  if (!rule) return null;
+  
+  return {
+    code: rule.code,
+    type: rule.type,
+    value: rule.value,
+    description: describeDiscount(rule),
+    qualifies: evaluation.qualifies,
+    reason: evaluation.reason,
+    message: explainIneligibility(evaluation),
+    amount: evaluation.amount,
+    freeShipping: evaluation.qualifies && evaluation.freeShipping,
+  };
+};
+
+// Lỗi của services/discountCodes → lỗi GraphQL
+const DISCOUNT_INPUT_ERRORS = ['INVALID_DISCOUNT', 'DISCOUNT_CODE_TAKEN', 'DISCOUNT_NOT_FOUND'];
+
+const toDiscountAdminError = (error) => {
+  if (DISCOUNT_INPUT_ERRORS.includes(error.code)) {
+    return new UserInputError(error.message);
+  }
+  return error;
+};
+
+// Dữ liệu để báo phí vận chuyển cho giỏ hàng (vùng nhận hàng, subtotal, mã miễn phí ship)
+const shippingContextOf = (cart) => {
+  const items = cart.items || [];
+  const { subtotal, shippingZone } = priceCart(cart);
+  const evaluation = evaluateDiscount(cart.discount, items);
+  
+  return {
+    items,
+    subtotal,
+    zone: shippingZone,
+    freeShipping: evaluation.qualifies && evaluation.freeShipping,
+  };
+};
+
+// Lỗi của services/addresses → lỗi GraphQL
+const ADDRESS_INPUT_ERRORS = ['INVALID_ADDRESS', 'ADDRESS_NOT_FOUND'];
+
+const toAddressError = (error) => {
+  if (ADDRESS_INPUT_ERRORS.includes(error.code)) {
+    return new UserInputError(error.message);
+  }
+  return error;
+};
+
+const toShippingMethod = (quote) => ({
+  code: quote.method,
+  name: quote.name,
+  zone: quote.zone,
+  amount: quote.amount,
+  freeShippingThreshold: quote.freeShippingThreshold,
+  estimatedDaysMin: quote.estimatedDays.min,
+  estimatedDaysMax: quote.estimatedDays.max,
+});
+
+// Lỗi của services/idempotency → lỗi GraphQL (giữ code để client phân biệt)
+const IDEMPOTENCY_CONFLICT_ERRORS = ['IDEMPOTENCY_KEY_CONFLICT', 'IDEMPOTENCY_IN_PROGRESS'];
+
+const toIdempotencyError = (error) => {
+  if (error.code === 'INVALID_IDEMPOTENCY_KEY') {
+    return new UserInputError(error.message);
+  }
+  if (IDEMPOTENCY_CONFLICT_ERRORS.includes(error.code)) {
+    return new ApolloError(error.message, error.code);
+  }
+  return error;
+};
+
+// Ghi lại mỗi lần kiểm tra mã giảm giá không hợp lệ (để phát hiện dò mã)
+const logsDiscountFailures = (resolve) => async (parent, args, context) => {
+  const result = await resolve(parent, args, context);
+  if (!result.valid) {
+    eventsOf(context).discount.failed(requireCartOwner(context), args.code, result.message);
+  }
+  return result;
+};
+
+// Ghi sự kiện checkout theo kết quả thanh toán
+const logCheckout = (context, userId, result) => {
+  if (result.success) {
+    eventsOf(context).cart.checkout(userId, result.orderId, result.total);
+  } else {
+    eventsOf(context).cart.checkoutFailed(userId, result.orderId, result.message);
+  }
+  return result;
+};
+
+/**
+ * Wrap a mutation resolver so it runs once per idempotency key
+ * Key lấy từ input.idempotencyKey, không có thì từ header Idempotency-Key.
+ * @param {string} operation - tên mutation, là một phần của fingerprint
+ * @param {Function} ownerOf - (context) => id của user/guest sở hữu key
+ */
+const idempotent = (operation, ownerOf, resolve) => async (parent, args, context) => {
+  const { idempotencyKey, ...payload } = args.input || {};
+  const key = idempotencyKey || context.idempotencyKey;
+  if (!key) {
+    return resolve(parent, args, context);
+  }
+  
+  const ownerId = ownerOf(context);
+  try {
+    return await withIdempotency(
+      context.db,
+      { ownerId, key, operation, payload },
+      () => resolve(parent, args, context)
+    );
+  } catch (error) {
+    throw toIdempotencyError(error);
+  }
+};
+
+// Logger và domain log helpers của request (kèm correlation id);
+// context tạo tay (test, script) thì dùng logger chung
+const logOf = (context) => context.logger || logger;
+const eventsOf = (context) => context.loggers || loggers;
+
+// Loaders của request; context tạo tay (test, script) thì tạo khi cần lần đầu
+const loadersOf = (context) => {
+  if (!context.loaders) {
+    context.loaders = createLoaders(context.db);
+  }
+  return context.loaders;
+};
+
+// Đọc sản phẩm qua loader để các lần đọc trong cùng request được gom lại
+const loadProduct = (context, id) => loadersOf(context).products.load(id);
+
+// Sau khi ghi sản phẩm: loader trả về bản mới cho phần còn lại của request
+const cacheProduct = (context, product) => {
+  loadersOf(context).products.clear(product.id).prime(product.id, product);
+  return product;
+};
+
+// Lấy sản phẩm cho thao tác admin
+const findProductOrFail = async (context, id) => {
+  const product = await loadProduct(context, id);
+  if (!product) {
+    throw new UserInputError('Product not found');
+  }
+  return product;
+};
+
+// Chỉ giữ lại sự kiện thuộc về user đang subscribe
+const filterByUser = (topic) => withFilter(
+  () => pubsub.asyncIterator([topic]),
+  (payload, variables) => payload.userId === variables.userId
+);
+
+// Phát sự kiện đơn hàng thay đổi trạng thái
+const publishOrderUpdated = (order) => {
+  return pubsub.publish(ORDER_UPDATED, {
+    orderUpdated: order,
+    userId: order.userId,
+  });
+};
+
+// Lấy đơn hàng mà user được phép thao tác (chủ đơn hoặc admin)
+const findOwnOrder = async (context, user, orderId) => {
+  const order = await context.db.orders.findById(orderId);
+  if (!order) {
+    throw new UserInputError('Order not found');
+  }
+  if (order.userId !== user.id && user.role !== 'admin') {
+    throw new ForbiddenError('Cannot modify another user\'s order');
+  }
+  return order;
+};
+
+// Payment service của request (mặc định: gateway cấu hình qua biến môi trường)
+const paymentsOf = (context) => context.payments || defaultPayments;
+
+// Lỗi của payment gateway → lỗi GraphQL (timeout giữ nguyên)
+const PAYMENT_INPUT_ERRORS = ['INVALID_PAYMENT_STATE', 'INVALID_PAYMENT_AMOUNT', 'PAYMENT_NOT_FOUND'];
+
+const toPaymentError = (error) => {
+  if (PAYMENT_INPUT_ERRORS.includes(error.code)) {
+    return new UserInputError(error.message);
+  }
+  return error;
+};
+
+const toStockError = (error) => {
+  if (error.code === 'INSUFFICIENT_STOCK' || error.code === 'PRODUCT_UNAVAILABLE') {
+    return new UserInputError(error.message);
+  }
+  return error;
+};
+
+const toRedemptionError = (error) => {
+  if (error.code === 'DISCOUNT_UNAVAILABLE' || error.code === 'DISCOUNT_USER_LIMIT') {
+    return new UserInputError(error.message);
+  }
+  return error;
+};
+
+const assertOrderTransition = (from, to) => {
+  try {
+    assertTransition(from, to);
+  } catch (error) {
+    if (error.code === 'INVALID_ORDER_TRANSITION') {
+      throw new UserInputError(error.message);
+    }
+    throw error;
+  }
+};
+
+// Kết quả checkout; chỉ thành công khi thanh toán đã được authorize
+const toCheckoutResult = (order, message) => ({
+  success: order.status === ORDER_STATUS.PENDING,
+  orderId: order.id,
+  total: order.total,
+  status: order.status,
+  payment: order.payment || null,
+  message,
+});
+
+// Đơn không thanh toán được: ghi lại lý do, kho và giỏ hàng giữ nguyên
+const failOrderPayment = async (context, orderId, note) => {
+  const order = await context.db.orders.updateStatus(orderId, ORDER_STATUS.PAYMENT_FAILED, { note });
+  publishOrderUpdated(order);
+  return order;
+};
+
+/**
+ * Apply an authorization result to a pending_payment order
+ *   authorized      → trừ kho, tính lượt dùng mã, xóa các dòng khỏi giỏ, đơn thành pending
+ *   requires_action → đơn chờ user xác thực (3-D Secure), gọi lại qua confirmPayment
+ *   declined        → đơn thành payment_failed
+ * Không giữ được hàng sau khi đã authorize thì void khoản thanh toán.
+ */
+const completeOrderPayment = async (context, order, payment) => {
+  const payments = paymentsOf(context);
+  let current = await context.db.orders.setPayment(
+    order.id,
+    toOrderPayment(payments.gateway.name, payment)
+  );
+  
+  if (payment.status === PAYMENT_STATUS.REQUIRES_ACTION) {
+    return toCheckoutResult(current, 'Payment requires authentication');
+  }
+  if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+    current = await failOrderPayment(context, order.id, `Payment declined: ${payment.declineCode}`);
+    return toCheckoutResult(current, 'Payment was declined');
+  }
+  
+  let updatedCart;
+  try {
+    current = await context.db.transaction(async (tx) => {
+      // Đơn đã được xác nhận bởi một request khác
+      const latest = await tx.orders.findById(order.id);
+      if (latest.status !== ORDER_STATUS.PENDING_PAYMENT) {
+        return latest;
+      }
+      
+      // Các dòng có thể đã được checkout bởi một đơn khác trong lúc chờ thanh toán
+      const cart = await tx.carts.findByUserId(order.userId);
+      const lineIds = order.items.map(item => item.id);
+      if (!cart || lineIds.some(id => !cart.items.some(item => item.id === id))) {
+        throw new UserInputError('Selected items are no longer in the cart');
+      }
+      
+      try {
+        await tx.products.reserveStock(order.items.map(item => ({
+          productId: item.productId,
+          quantity: item.quantity,
+        })));
+      } catch (error) {
+        throw toStockError(error);
+      }
+      
+      // Tính lượt dùng mã giảm giá cho đơn hàng
+      if (order.discountCode) {
+        try {
+          await redeemDiscount(tx, {
+            code: order.discountCode,
+            userId: order.userId,
+            orderId: order.id,
+            amount: order.discountAmount,
+          });
+        } catch (error) {
+          throw toRedemptionError(error);
+        }
+      }
+      
+      // Xóa items đã checkout khỏi giỏ hàng
+      updatedCart = await tx.carts.removeMultipleItems(cart.id, lineIds);
+      
+      return tx.orders.updateStatus(order.id, ORDER_STATUS.PENDING, { note: 'Payment authorized' });
+    });
+    // Tồn kho đã đổi
+    loadersOf(context).products.clearAll();
+  } catch (error) {
+    try {
+      const voided = await payments.void(payment.id);
+      await context.db.orders.setPayment(order.id, toOrderPayment(payments.gateway.name, voided));
+    } catch (voidError) {
+      logOf(context).error('Error voiding payment', serializeError(voidError));
+    }
+    await failOrderPayment(context, order.id, error.message);
+    throw error;
+  }
+  
+  // Publish update (chỉ sau khi transaction đã commit)
+  if (updatedCart) {
+    pubsub.publish(CART_UPDATED, {
+      cartUpdated: updatedCart,
+      userId: order.userId,
+    });
+  }
+  publishOrderUpdated(current);
+  
+  return toCheckoutResult(current, 'Order placed successfully');
+};
+
+// Lần chuyển trạng thái bỏ dở (process chết khi đang gọi gateway) hết hiệu lực sau thời gian này
+const TRANSITION_LEASE_MS = 5 * 60 * 1000;
+
+const isTransitionPending = (order) => {
+  return Boolean(order.pendingTransition) &&
+    Date.now() - new Date(order.pendingTransition.startedAt).getTime() < TRANSITION_LEASE_MS;
+};
+
+// Tiền đã chuyển nhưng không ghi được trạng thái đơn: đảo lại nếu được và lưu trạng thái gateway
+const compensateTransition = async (context, orderId, payment) => {
+  const payments = paymentsOf(context);
+  try {
+    const reverted = await compensatePayment(payments, payment);
+    if (reverted || payment) {
+      await context.db.orders.setPayment(orderId, toOrderPayment(payments.gateway.name, reverted || payment));
+    }
+    await context.db.orders.setPendingTransition(orderId, null);
+  } catch (error) {
+    logOf(context).error('Error compensating order transition', { orderId, ...serializeError(error) });
+  }
+};
+
+// Đổi trạng thái đơn hàng, chuyển tiền qua payment gateway và trả hàng về kho nếu cần.
+// Gateway được gọi ngoài transaction (như authorize trong checkout) để không chặn các ghi khác:
+//   1. transaction ngắn: đọc đơn, kiểm tra chuyển trạng thái và giữ đơn (pendingTransition)
+//   2. capture / void / refund
+//   3. transaction thứ hai: trả kho, lượt dùng mã, lưu thanh toán và trạng thái mới
+const transitionOrder = async (context, orderId, status, note = null) => {
+  const payments = paymentsOf(context);
+  
+  const { from, payment: currentPayment, items } = await context.db.transaction(async (tx) => {
+    const current = await tx.orders.findById(orderId);
+    if (!current) {
+      throw new UserInputError('Order not found');
+    }
+    if (isTransitionPending(current)) {
+      throw new UserInputError('Order is being updated, please try again');
+    }
+    assertOrderTransition(current.status, status);
+    
+    await tx.orders.setPendingTransition(orderId, { status, startedAt: new Date().toISOString() });
+    return {
+      from: current.status,
+      payment: current.payment && { ...current.payment },
+      items: current.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+    };
+  });
+  
+  let payment;
+  try {
+    payment = await settlePayment(payments, currentPayment, status);
+  } catch (error) {
+    await context.db.orders.setPendingTransition(orderId, null);
+    throw toPaymentError(error);
+  }
+  
+  let order;
+  try {
+    order = await context.db.transaction(async (tx) => {
+      if (shouldRestock(status, from)) {
+        await tx.products.releaseStock(items);
+      }
+      
+      // Đơn bị hủy thì trả lại lượt dùng mã giảm giá
+      if (status === ORDER_STATUS.CANCELLED) {
+        await releaseRedemption(tx, orderId);
+      }
+      
+      if (payment) {
+        await tx.orders.setPayment(orderId, toOrderPayment(payments.gateway.name, payment));
+      }
+      
+      await tx.orders.setPendingTransition(orderId, null);
+      return tx.orders.updateStatus(orderId, status, { note });
+    });
+  } catch (error) {
+    await compensateTransition(context, orderId, payment);
+    throw error;
+  }
+  loadersOf(context).products.clearAll();
+  
+  publishOrderUpdated(order);
+  return order;
+};
+
 const resolvers = {
   Query: {
     // Lấy giỏ hàng của user hiện tại
     getCart: async (_, __, context) => {
-      const user = requireAuth(context);
+      const ownerId = requireCartOwner(context);
       
       try {
-        let cart = await context.db.carts.findByUserId(user.id);
+        let cart = await context.db.carts.findByUserId(ownerId);
         
         // Nếu chưa có giỏ hàng, tạo mới
         if (!cart) {
-          cart = await context.db.carts.create({ userId: user.id });
+          cart = await context.db.carts.create({ userId: ownerId });
         }
         
         return cart;
       } catch (error) {
-        console.error('Error fetching cart:', error);
+        logOf(context).error('Error fetching cart', serializeError(error));
         throw new Error('Failed to fetch cart');
       }
     },
     
+    // Các phương thức giao hàng dùng được cho giỏ hàng hiện tại, kèm phí
+    getShippingOptions: async (_, __, context) => {
+      const ownerId = requireCartOwner(context);
+      
+      try {
+        const cart = await context.db.carts.findByUserId(ownerId);
+        return getShippingOptions(shippingContextOf(cart || { items: [] })).map(toShippingMethod);
+      } catch (error) {
+        logOf(context).error('Error fetching shipping options', serializeError(error));
+        throw new Error('Failed to fetch shipping options');
+      }
+    },
+    
     // Lấy danh sách sản phẩm
     getProducts: async (_, { limit = 20, offset = 0 }, context) => {
       try {
         const products = await context.db.products.findAll({ limit, offset });
         return products;
       } catch (error) {
-        console.error('Error fetching products:', error);
+        logOf(context).error('Error fetching products', serializeError(error));
         throw new Error('Failed to fetch products');
       }
     },
@@ -55,7 +580,7 @@ const resolvers = {
     // Lấy chi tiết sản phẩm
     getProduct: async (_, { id }, context) => {
       try {
-        const product = await context.db.products.findById(id);
+        const product = await loadProduct(context, id);
         
         if (!product) {
           throw new UserInputError('Product not found');
@@ -63,14 +588,14 @@ const resolvers = {
         
         return product;
       } catch (error) {
-        console.error('Error fetching product:', error);
+        logOf(context).error('Error fetching product', serializeError(error));
         throw new Error('Failed to fetch product');
       }
     },
     
     // Kiểm tra mã giảm giá
-    validateDiscountCode: async (_, { code }, context) => {
-      const user = requireAuth(context);
+    validateDiscountCode: logsDiscountFailures(async (_, { code }, context) => {
+      const ownerId = requireCartOwner(context);
       
       try {
         const sanitizedCode = sanitizeInput(code).toUpperCase();
@@ -84,38 +609,124 @@ const resolvers = {
           };
         }
         
-        // Kiểm tra thời hạn
-        if (discount.expiresAt && new Date(discount.expiresAt) < new Date()) {
+        const unavailable = getUnavailableReason(discount);
+        if (unavailable) {
           return {
             valid: false,
-            message: 'Mã giảm giá đã hết hạn',
+            message: explainUnavailability(unavailable),
           };
         }
         
-        // Kiểm tra số lần sử dụng
-        if (discount.maxUses && discount.usedCount >= discount.maxUses) {
+        // Kiểm tra số lần user đã dùng mã
+        if (!(await canUserRedeem(context.db, discount, context.user && context.user.id))) {
           return {
             valid: false,
-            message: 'Mã giảm giá đã hết lượt sử dụng',
+            message: 'Bạn đã dùng hết lượt của mã giảm giá này',
+          };
+        }
+        
+        // Kiểm tra điều kiện của mã trên giỏ hàng hiện tại
+        const rule = toDiscountRule(discount);
+        const cart = await context.db.carts.findByUserId(ownerId);
+        const evaluation = evaluateDiscount(rule, cart ? cart.items : []);
+        
+        const details = {
+          code: rule.code,
+          type: rule.type,
+          percentage: rule.type === DISCOUNT_TYPES.PERCENTAGE ? rule.value : null,
+        };
+        
+        if (!evaluation.qualifies) {
+          return {
+            ...details,
+            valid: false,
+            reason: evaluation.reason,
+            amountNeeded: evaluation.amountNeeded,
+            message: explainIneligibility(evaluation),
           };
         }
         
         return {
+          ...details,
           valid: true,
-          percentage: discount.percentage,
-          message: `Giảm ${discount.percentage}%`,
+          discountAmount: evaluation.amount,
+          message: describeDiscount(rule),
         };
       } catch (error) {
-        console.error('Error validating discount:', error);
+        logOf(context).error('Error validating discount', serializeError(error));
         throw new Error('Failed to validate discount code');
       }
+    }),
+    
+    // Lịch sử đơn hàng của user hiện tại (lọc, sắp xếp, phân trang bằng cursor)
+    getOrders: async (_, { filter, sort, first, after }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        const orders = await context.db.orders.findByUserId(user.id);
+        return paginateOrders(orders, { filter, sort, first, after });
+      } catch (error) {
+        logOf(context).error('Error fetching orders', serializeError(error));
+        if (error.code === 'INVALID_CURSOR') {
+          throw new UserInputError(error.message);
+        }
+        throw new Error('Failed to fetch orders');
+      }
+    },
+    
+    // Chi tiết một đơn hàng (chỉ chủ đơn hoặc admin)
+    getOrder: async (_, { id }, context) => {
+      const user = requireAuth(context);
+      
+      const order = await context.db.orders.findById(id);
+      if (!order) {
+        return null;
+      }
+      
+      if (order.userId !== user.id && user.role !== 'admin') {
+        throw new ForbiddenError('Cannot view another user\'s order');
+      }
+      
+      return order;
+    },
+    
+    // Sổ địa chỉ của user hiện tại
+    getAddresses: async (_, __, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        return await listAddresses(context.db, user.id);
+      } catch (error) {
+        logOf(context).error('Error fetching addresses', serializeError(error));
+        throw new Error('Failed to fetch addresses');
+      }
+    },
+    
+    // Danh sách mã giảm giá (admin, @auth trong schema)
+    getDiscounts: async (_, __, context) => {
+      try {
+        return await context.db.discounts.findAll();
+      } catch (error) {
+        logOf(context).error('Error fetching discounts', serializeError(error));
+        throw new Error('Failed to fetch discounts');
+      }
+    },
+    
+    // Lượt dùng của một mã giảm giá (admin, @auth trong schema)
+    getDiscountRedemptions: async (_, { code }, context) => {
+      try {
+        return await context.db.discountRedemptions.findByCode(sanitizeInput(code));
+      } catch (error) {
+        logOf(context).error('Error fetching discount redemptions', serializeError(error));
+        throw new Error('Failed to fetch discount redemptions');
+      }
     },
   },
   
   Mutation: {
     // Thêm sản phẩm vào giỏ hàng
-    addToCart: async (_, { input }, context) => {
-      const user = requireAuth(context);
+    addToCart: idempotent('addToCart', requireCartOwner, async (_, { input }, context) => {
+      const ownerId = requireCartOwner(context);
       
       try {
         const { productId, quantity, variant } = input;
@@ -126,20 +737,25 @@ const resolvers = {
         }
         
         // Kiểm tra sản phẩm tồn tại
-        const product = await context.db.products.findById(productId);
+        const product = await loadProduct(context, productId);
         if (!product) {
           throw new UserInputError('Product not found');
         }
         
+        // Sản phẩm đã ngừng bán
+        if (product.archived) {
+          throw new UserInputError('Product is no longer available');
+        }
+        
         // Kiểm tra tồn kho
         if (product.stock < quantity) {
           throw new UserInputError('Insufficient stock');
         }
         
         // Lấy hoặc tạo giỏ hàng
-        let cart = await context.db.carts.findByUserId(user.id);
+        let cart = await context.db.carts.findByUserId(ownerId);
         if (!cart) {
-          cart = await context.db.carts.create({ userId: user.id });
+          cart = await context.db.carts.create({ userId: ownerId });
         }
         
         // Thêm sản phẩm vào giỏ
@@ -148,24 +764,28 @@ const resolvers = {
           quantity,
           variant,
           price: product.price,
+          category: product.category,
+          taxClass: product.taxClass,
+          weight: product.weight,
         });
+        eventsOf(context).cart.addItem(ownerId, productId, quantity);
         
         // Publish update
         pubsub.publish(CART_UPDATED, { 
           cartUpdated: cart,
-          userId: user.id 
+          userId: ownerId 
         });
         
         return cart;
       } catch (error) {
-        console.error('Error adding to cart:', error);
+        logOf(context).error('Error adding to cart', serializeError(error));
         throw error;
       }
-    },
+    }),
     
     // Cập nhật số lượng sản phẩm
     updateCartItem: async (_, { input }, context) => {
-      const user = requireAuth(context);
+      const ownerId = requireCartOwner(context);
       
       try {
         const { itemId, quantity } = input;
@@ -175,7 +795,7 @@ const resolvers = {
           throw new UserInputError('Quantity must be between 1 and 999');
         }
         
-        const cart = await context.db.carts.findByUserId(user.id);
+        const cart = await context.db.carts.findByUserId(ownerId);
         if (!cart) {
           throw new UserInputError('Cart not found');
         }
@@ -187,7 +807,10 @@ const resolvers = {
         }
         
         // Kiểm tra tồn kho
-        const product = await context.db.products.findById(item.productId);
+        const product = await loadProduct(context, item.productId);
+        if (product.archived) {
+          throw new UserInputError('Product is no longer available');
+        }
         if (product.stock < quantity) {
           throw new UserInputError('Insufficient stock');
         }
@@ -198,51 +821,53 @@ const resolvers = {
           itemId, 
           quantity
         );
+        eventsOf(context).cart.updateQuantity(ownerId, itemId, quantity);
         
         // Publish update
         pubsub.publish(CART_UPDATED, { 
           cartUpdated: updatedCart,
-          userId: user.id 
+          userId: ownerId 
         });
         
         return updatedCart;
       } catch (error) {
-        console.error('Error updating cart item:', error);
+        logOf(context).error('Error updating cart item', serializeError(error));
         throw error;
       }
     },
     
     // Xóa sản phẩm khỏi giỏ hàng
     removeFromCart: async (_, { itemId }, context) => {
-      const user = requireAuth(context);
+      const ownerId = requireCartOwner(context);
       
       try {
-        const cart = await context.db.carts.findByUserId(user.id);
+        const cart = await context.db.carts.findByUserId(ownerId);
         if (!cart) {
           throw new UserInputError('Cart not found');
         }
         
         const updatedCart = await context.db.carts.removeItem(cart.id, itemId);
+        eventsOf(context).cart.removeItem(ownerId, itemId);
         
         // Publish update
         pubsub.publish(CART_UPDATED, { 
           cartUpdated: updatedCart,
-          userId: user.id 
+          userId: ownerId 
         });
         
         return updatedCart;
       } catch (error) {
-        console.error('Error removing from cart:', error);
+        logOf(context).error('Error removing from cart', serializeError(error));
         throw error;
       }
     },
     
     // Xóa nhiều sản phẩm
     removeMultipleItems: async (_, { itemIds }, context) => {
-      const user = requireAuth(context);
+      const ownerId = requireCartOwner(context);
       
       try {
-        const cart = await context.db.carts.findByUserId(user.id);
+        const cart = await context.db.carts.findByUserId(ownerId);
         if (!cart) {
           throw new UserInputError('Cart not found');
         }
@@ -251,48 +876,50 @@ const resolvers = {
           cart.id, 
           itemIds
         );
+        itemIds.forEach(itemId => eventsOf(context).cart.removeItem(ownerId, itemId));
         
         // Publish update
         pubsub.publish(CART_UPDATED, { 
           cartUpdated: updatedCart,
-          userId: user.id 
+          userId: ownerId 
         });
         
         return updatedCart;
       } catch (error) {
-        console.error('Error removing multiple items:', error);
+        logOf(context).error('Error removing multiple items', serializeError(error));
         throw error;
       }
     },
     
     // Xóa toàn bộ giỏ hàng
     clearCart: async (_, __, context) => {
-      const user = requireAuth(context);
+      const ownerId = requireCartOwner(context);
       
       try {
-        const cart = await context.db.carts.findByUserId(user.id);
+        const cart = await context.db.carts.findByUserId(ownerId);
         if (!cart) {
           throw new UserInputError('Cart not found');
         }
         
         const updatedCart = await context.db.carts.clear(cart.id);
+        eventsOf(context).cart.clear(ownerId);
         
         // Publish update
         pubsub.publish(CART_UPDATED, { 
           cartUpdated: updatedCart,
-          userId: user.id 
+          userId: ownerId 
         });
         
         return updatedCart;
       } catch (error) {
-        console.error('Error clearing cart:', error);
+        logOf(context).error('Error clearing cart', serializeError(error));
         throw error;
       }
     },
     
     // Áp dụng mã giảm giá
     applyDiscount: async (_, { input }, context) => {
-      const user = requireAuth(context);
+      const ownerId = requireCartOwner(context);
       
       try {
         const { code } = input;
@@ -304,156 +931,597 @@ const resolvers = {
           throw new UserInputError('Invalid discount code');
         }
         
-        const cart = await context.db.carts.findByUserId(user.id);
+        // Khách chưa đăng nhập được kiểm tra lại khi checkout
+        if (!(await canUserRedeem(context.db, discount, context.user && context.user.id))) {
+          throw new UserInputError('You have already used this discount code');
+        }
+        
+        const cart = await context.db.carts.findByUserId(ownerId);
         if (!cart) {
           throw new UserInputError('Cart not found');
         }
         
-        const updatedCart = await context.db.carts.applyDiscount(
-          cart.id, 
-          discount.percentage
+        // Mã phải áp dụng được cho giỏ hàng hiện tại
+        const rule = toDiscountRule(discount);
+        const evaluation = evaluateDiscount(rule, cart.items);
+        if (!evaluation.qualifies) {
+          throw new UserInputError(explainIneligibility(evaluation), { reason: evaluation.reason });
+        }
+        
+        // Lưu bản chụp điều kiện của mã lên giỏ hàng
+        // (lượt dùng chỉ được tính khi checkout thành công)
+        const updatedCart = await context.db.carts.applyDiscount(cart.id, rule);
+        eventsOf(context).discount.applied(ownerId, rule.code, evaluation.amount);
+        
+        // Publish update
+        pubsub.publish(CART_UPDATED, { 
+          cartUpdated: updatedCart,
+          userId: ownerId 
+        });
+        
+        return updatedCart;
+      } catch (error) {
+        if (error instanceof UserInputError) {
+          eventsOf(context).discount.failed(ownerId, input.code, error.message);
+        } else {
+          logOf(context).error('Error applying discount', serializeError(error));
+        }
+        throw error;
+      }
+    },
+    
+    // Chọn vùng giao hàng để tính thuế cho giỏ hàng
+    setShippingRegion: async (_, { region }, context) => {
+      const ownerId = requireCartOwner(context);
+      
+      try {
+        let cart = await context.db.carts.findByUserId(ownerId);
+        if (!cart) {
+          cart = await context.db.carts.create({ userId: ownerId });
+        }
+        
+        const updatedCart = await context.db.carts.setShippingRegion(
+          cart.id,
+          region ? resolveTaxRegion(sanitizeInput(region)) : null
         );
         
-        // Increment usage count
-        await context.db.discounts.incrementUsage(discount.id);
+        // Publish update
+        pubsub.publish(CART_UPDATED, { 
+          cartUpdated: updatedCart,
+          userId: ownerId 
+        });
+        
+        return updatedCart;
+      } catch (error) {
+        logOf(context).error('Error setting shipping region', serializeError(error));
+        if (error.code === 'UNKNOWN_TAX_REGION') {
+          throw new UserInputError(error.message);
+        }
+        throw error;
+      }
+    },
+    
+    // Chọn phương thức giao hàng cho giỏ hàng
+    selectShippingMethod: async (_, { method }, context) => {
+      const ownerId = requireCartOwner(context);
+      
+      try {
+        let cart = await context.db.carts.findByUserId(ownerId);
+        if (!cart) {
+          cart = await context.db.carts.create({ userId: ownerId });
+        }
+        
+        const { zone } = shippingContextOf(cart);
+        if (!isShippingMethodAvailable(method, zone)) {
+          throw new UserInputError(`Shipping method ${method} is not available for this address`);
+        }
+        
+        const updatedCart = await context.db.carts.setShippingMethod(cart.id, method);
         
         // Publish update
         pubsub.publish(CART_UPDATED, { 
           cartUpdated: updatedCart,
-          userId: user.id 
+          userId: ownerId 
         });
         
         return updatedCart;
       } catch (error) {
-        console.error('Error applying discount:', error);
+        logOf(context).error('Error selecting shipping method', serializeError(error));
         throw error;
       }
     },
     
     // Xóa mã giảm giá
     removeDiscount: async (_, __, context) => {
-      const user = requireAuth(context);
+      const ownerId = requireCartOwner(context);
       
       try {
-        const cart = await context.db.carts.findByUserId(user.id);
+        const cart = await context.db.carts.findByUserId(ownerId);
         if (!cart) {
           throw new UserInputError('Cart not found');
         }
         
         const updatedCart = await context.db.carts.removeDiscount(cart.id);
+        if (cart.discount) {
+          eventsOf(context).discount.removed(ownerId, cart.discount.code);
+        }
         
         // Publish update
         pubsub.publish(CART_UPDATED, { 
           cartUpdated: updatedCart,
-          userId: user.id 
+          userId: ownerId 
         });
         
         return updatedCart;
       } catch (error) {
-        console.error('Error removing discount:', error);
+        logOf(context).error('Error removing discount', serializeError(error));
         throw error;
       }
     },
     
+    // Bắt đầu (hoặc tiếp tục) giỏ hàng cho khách chưa đăng nhập
+    startGuestCart: async (_, __, context) => {
+      try {
+        const guestId = context.guestId || createGuestId();
+        
+        let cart = await context.db.carts.findByUserId(guestId);
+        if (!cart) {
+          cart = await context.db.carts.create({ userId: guestId });
+        }
+        
+        return {
+          token: createGuestCartToken(guestId),
+          cart,
+        };
+      } catch (error) {
+        logOf(context).error('Error starting guest cart', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Gộp giỏ hàng của khách vào giỏ của user vừa đăng nhập
+    mergeGuestCart: async (_, { guestCartToken }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        const guestId = guestCartToken
+          ? verifyGuestCartToken(guestCartToken)
+          : context.guestId;
+        
+        if (!guestId) {
+          throw new UserInputError('Invalid guest cart token');
+        }
+        
+        const result = await mergeGuestCart(context.db, { guestId, userId: user.id });
+        eventsOf(context).cart.merge(user.id, guestId, result.adjustments.length);
+        
+        // Publish update
+        pubsub.publish(CART_UPDATED, { 
+          cartUpdated: result.cart,
+          userId: user.id 
+        });
+        
+        return result;
+      } catch (error) {
+        logOf(context).error('Error merging guest cart', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Sổ địa chỉ
+    addAddress: async (_, { input, isDefault }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        return await addAddress(context.db, user.id, { ...input, isDefault });
+      } catch (error) {
+        logOf(context).error('Error adding address', serializeError(error));
+        throw toAddressError(error);
+      }
+    },
+    
+    updateAddress: async (_, { id, input }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        return await updateAddress(context.db, user.id, id, input);
+      } catch (error) {
+        logOf(context).error('Error updating address', serializeError(error));
+        throw toAddressError(error);
+      }
+    },
+    
+    removeAddress: async (_, { id }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        return await removeAddress(context.db, user.id, id);
+      } catch (error) {
+        logOf(context).error('Error removing address', serializeError(error));
+        throw toAddressError(error);
+      }
+    },
+    
+    setDefaultAddress: async (_, { id }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        return await setDefaultAddress(context.db, user.id, id);
+      } catch (error) {
+        logOf(context).error('Error setting default address', serializeError(error));
+        throw toAddressError(error);
+      }
+    },
+    
     // Thanh toán
-    checkout: async (_, { input }, context) => {
+    checkout: idempotent('checkout', (context) => requireAuth(context).id, async (_, { input }, context) => {
       const user = requireAuth(context);
       
       try {
-        const { cartItemIds, shippingAddress, paymentMethod } = input;
+        const { cartItemIds, addressId, shippingAddress, paymentMethod, region } = input;
         
         // Validate input
         if (!cartItemIds || cartItemIds.length === 0) {
           throw new UserInputError('No items selected for checkout');
         }
         
-        const cart = await context.db.carts.findByUserId(user.id);
-        if (!cart) {
-          throw new UserInputError('Cart not found');
+        let address;
+        try {
+          address = await resolveCheckoutAddress(context.db, user.id, { addressId, shippingAddress });
+        } catch (error) {
+          throw toAddressError(error);
         }
         
-        // Lọc các items được chọn
-        const selectedItems = cart.items.filter(item => 
-          cartItemIds.includes(item.id)
-        );
-        
-        if (selectedItems.length === 0) {
-          throw new UserInputError('Selected items not found in cart');
-        }
+        // Tạo đơn chờ thanh toán; kho và giỏ hàng chỉ đổi khi thanh toán được authorize
+        const order = await context.db.transaction(async (tx) => {
+          const cart = await tx.carts.findByUserId(user.id);
+          if (!cart) {
+            throw new UserInputError('Cart not found');
+          }
+          
+          // Lọc các items được chọn
+          const selectedItems = cart.items.filter(item => 
+            cartItemIds.includes(item.id)
+          );
+          
+          if (selectedItems.length === 0) {
+            throw new UserInputError('Selected items not found in cart');
+          }
+          
+          // Kiểm tra tồn kho trước khi gọi payment gateway (chưa trừ kho)
+          try {
+            await tx.products.checkStock(selectedItems.map(item => ({
+              productId: item.productId,
+              quantity: item.quantity,
+            })));
+          } catch (error) {
+            throw toStockError(error);
+          }
+          
+          // Tính tổng tiền bằng cùng công thức với Cart (kể cả mã giảm giá đã áp dụng);
+          // thuế và phí ship theo quốc gia của địa chỉ giao hàng
+          let priced;
+          try {
+            priced = calculatePricing(selectedItems, {
+              discount: cart.discount,
+              region: resolveAddressTaxRegion(address, region ? sanitizeInput(region) : cart.shippingRegion),
+              shippingMethod: cart.shippingMethod,
+            });
+          } catch (error) {
+            if (error.code === 'UNKNOWN_TAX_REGION') {
+              throw new UserInputError(error.message);
+            }
+            throw error;
+          }
+          const { allocations, ...pricing } = priced;
+          
+          // Mã có thể đã hết hạn / hết lượt từ lúc áp vào giỏ: kiểm tra lại trước khi authorize,
+          // lượt dùng chỉ được tính sau khi authorize (completeOrderPayment)
+          if (pricing.discountCode) {
+            try {
+              await assertRedeemable(tx, pricing.discountCode, user.id);
+            } catch (error) {
+              throw toRedemptionError(error);
+            }
+          }
+          
+          return tx.orders.create({
+            status: ORDER_STATUS.PENDING_PAYMENT,
+            userId: user.id,
+            items: selectedItems.map(item => ({
+              ...item,
+              subtotal: lineSubtotal(item),
+              discountAmount: allocations[item.id] || 0,
+            })),
+            ...pricing,
+            shippingAddress: address,
+            paymentMethod: sanitizeInput(paymentMethod),
+          });
+        });
         
-        // Kiểm tra tồn kho cho tất cả items
-        for (const item of selectedItems) {
-          const product = await context.db.products.findById(item.productId);
-          if (product.stock < item.quantity) {
-            throw new UserInputError(
-              `Insufficient stock for ${product.name}`
+        // Gọi gateway ngoài transaction để không giữ khóa trong lúc chờ
+        let payment;
+        try {
+          payment = await paymentsOf(context).authorize({
+            amount: order.total,
+            paymentMethod: order.paymentMethod,
+            reference: order.id,
+          });
+        } catch (error) {
+          const failed = await failOrderPayment(context, order.id, error.message);
+          if (error.code === 'PAYMENT_TIMEOUT') {
+            return logCheckout(
+              context,
+              user.id,
+              toCheckoutResult(failed, 'Payment provider did not respond, please try again')
             );
           }
+          throw error;
         }
         
-        // Tính tổng tiền
-        const subtotal = selectedItems.reduce(
-          (sum, item) => sum + item.subtotal, 
-          0
+        return logCheckout(context, user.id, await completeOrderPayment(context, order, payment));
+      } catch (error) {
+        eventsOf(context).cart.checkoutFailed(user.id, null, error.message);
+        logOf(context).error('Error during checkout', serializeError(error));
+        throw error;
+      }
+    }),
+    
+    // Hoàn tất thanh toán sau khi user xác thực (3-D Secure)
+    confirmPayment: async (_, { orderId }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        const order = await findOwnOrder(context, user, orderId);
+        if (order.status !== ORDER_STATUS.PENDING_PAYMENT || !order.payment) {
+          throw new UserInputError('Order is not awaiting payment');
+        }
+        
+        const payment = await paymentsOf(context).retrieve(order.payment.id);
+        return logCheckout(context, user.id, await completeOrderPayment(context, order, payment));
+      } catch (error) {
+        logOf(context).error('Error confirming payment', serializeError(error));
+        throw toPaymentError(error);
+      }
+    },
+    
+    // Hủy đơn hàng (chủ đơn hoặc admin)
+    cancelOrder: async (_, { id, reason }, context) => {
+      const user = requireAuth(context);
+      
+      try {
+        await findOwnOrder(context, user, id);
+        return await transitionOrder(
+          context,
+          id,
+          ORDER_STATUS.CANCELLED,
+          reason ? sanitizeInput(reason) : null
         );
+      } catch (error) {
+        logOf(context).error('Error cancelling order', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Các mutation (admin) bên dưới được bảo vệ bằng @auth(requires: ADMIN) trong schema
+    
+    // Capture khoản đã authorize, đơn chuyển sang paid (admin)
+    captureOrderPayment: async (_, { id }, context) => {
+      try {
+        const order = await context.db.orders.findById(id);
+        if (!order) {
+          throw new UserInputError('Order not found');
+        }
         
-        const tax = subtotal * 0.1; // 10% tax
-        const shipping = subtotal >= 100 ? 0 : 10;
-        const total = subtotal + tax + shipping;
-        
-        // Tạo đơn hàng
-        const order = await context.db.orders.create({
-          userId: user.id,
-          items: selectedItems,
-          subtotal,
-          tax,
-          shipping,
-          total,
-          shippingAddress: sanitizeInput(shippingAddress),
-          paymentMethod: sanitizeInput(paymentMethod),
-        });
+        return await transitionOrder(context, id, ORDER_STATUS.PAID, 'Payment captured');
+      } catch (error) {
+        logOf(context).error('Error capturing payment', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Đánh dấu đã giao cho đơn vị vận chuyển (admin)
+    markOrderShipped: async (_, { id, trackingNumber }, context) => {
+      try {
+        const order = await context.db.orders.findById(id);
+        if (!order) {
+          throw new UserInputError('Order not found');
+        }
         
-        // Cập nhật tồn kho
-        for (const item of selectedItems) {
-          await context.db.products.decreaseStock(
-            item.productId, 
-            item.quantity
-          );
+        return await transitionOrder(
+          context,
+          id,
+          ORDER_STATUS.SHIPPED,
+          trackingNumber ? `Tracking number: ${sanitizeInput(trackingNumber)}` : null
+        );
+      } catch (error) {
+        logOf(context).error('Error shipping order', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Đánh dấu khách đã nhận hàng (admin)
+    markOrderDelivered: async (_, { id }, context) => {
+      try {
+        const order = await context.db.orders.findById(id);
+        if (!order) {
+          throw new UserInputError('Order not found');
         }
         
-        // Xóa items đã checkout khỏi giỏ hàng
-        await context.db.carts.removeMultipleItems(cart.id, cartItemIds);
+        return await transitionOrder(context, id, ORDER_STATUS.DELIVERED, null);
+      } catch (error) {
+        logOf(context).error('Error delivering order', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Hoàn tiền đơn hàng (admin)
+    refundOrder: async (_, { id, reason }, context) => {
+      try {
+        const order = await context.db.orders.findById(id);
+        if (!order) {
+          throw new UserInputError('Order not found');
+        }
         
-        return {
-          success: true,
-          orderId: order.id,
-          total,
-          message: 'Order placed successfully',
-        };
+        return await transitionOrder(
+          context,
+          id,
+          ORDER_STATUS.REFUNDED,
+          reason ? sanitizeInput(reason) : null
+        );
       } catch (error) {
-        console.error('Error during checkout:', error);
+        logOf(context).error('Error refunding order', serializeError(error));
         throw error;
       }
     },
+    
+    // Thêm sản phẩm vào catalog (admin)
+    createProduct: async (_, { input }, context) => {
+      try {
+        const product = validateProductInput(input);
+        return cacheProduct(context, await context.db.products.create(product));
+      } catch (error) {
+        logOf(context).error('Error creating product', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Sửa thông tin sản phẩm (admin)
+    updateProduct: async (_, { id, input }, context) => {
+      try {
+        await findProductOrFail(context, id);
+        
+        const changes = validateProductInput(input);
+        if (Object.keys(changes).length === 0) {
+          throw new UserInputError('No changes provided');
+        }
+        
+        return cacheProduct(context, await context.db.products.update(id, changes));
+      } catch (error) {
+        logOf(context).error('Error updating product', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Ngừng bán sản phẩm (admin); giữ lại record cho giỏ hàng và đơn cũ
+    archiveProduct: async (_, { id }, context) => {
+      try {
+        const product = await findProductOrFail(context, id);
+        if (product.archived) {
+          return product;
+        }
+        
+        return cacheProduct(context, await context.db.products.archive(id));
+      } catch (error) {
+        logOf(context).error('Error archiving product', serializeError(error));
+        throw error;
+      }
+    },
+    
+    // Nhập thêm hoặc trừ bớt tồn kho (admin)
+    adjustStock: async (_, { id, delta }, context) => {
+      try {
+        await findProductOrFail(context, id);
+        return cacheProduct(context, await context.db.products.adjustStock(id, delta));
+      } catch (error) {
+        logOf(context).error('Error adjusting stock', serializeError(error));
+        if (error.code === 'INSUFFICIENT_STOCK') {
+          throw new UserInputError('Stock cannot go below zero');
+        }
+        throw error;
+      }
+    },
+    
+    // Quản lý mã giảm giá (admin)
+    createDiscount: async (_, { input }, context) => {
+      try {
+        return await createDiscount(context.db, input);
+      } catch (error) {
+        logOf(context).error('Error creating discount', serializeError(error));
+        throw toDiscountAdminError(error);
+      }
+    },
+    
+    updateDiscount: async (_, { id, input }, context) => {
+      try {
+        return await updateDiscount(context.db, id, input);
+      } catch (error) {
+        logOf(context).error('Error updating discount', serializeError(error));
+        throw toDiscountAdminError(error);
+      }
+    },
+    
+    pauseDiscount: async (_, { id }, context) => {
+      try {
+        return await setDiscountPaused(context.db, id, true);
+      } catch (error) {
+        logOf(context).error('Error pausing discount', serializeError(error));
+        throw toDiscountAdminError(error);
+      }
+    },
+    
+    resumeDiscount: async (_, { id }, context) => {
+      try {
+        return await setDiscountPaused(context.db, id, false);
+      } catch (error) {
+        logOf(context).error('Error resuming discount', serializeError(error));
+        throw toDiscountAdminError(error);
+      }
+    },
+    
+    deleteDiscount: async (_, { id }, context) => {
+      try {
+        return await deleteDiscount(context.db, id);
+      } catch (error) {
+        logOf(context).error('Error deleting discount', serializeError(error));
+        throw toDiscountAdminError(error);
+      }
+    },
+    
+    // Sinh hàng loạt mã dùng một lần từ một prefix
+    generateDiscountCodes: async (_, { input }, context) => {
+      try {
+        return await generateDiscountCodes(context.db, input);
+      } catch (error) {
+        logOf(context).error('Error generating discount codes', serializeError(error));
+        throw toDiscountAdminError(error);
+      }
+    },
   },
   
   Subscription: {
     cartUpdated: {
-      subscribe: (_, { userId }, context) => {
+      subscribe: (root, args, context, info) => {
         // Chỉ cho phép user subscribe vào cart của chính họ
-        if (context.user?.id !== userId) {
+        if (context.user?.id !== args.userId) {
           throw new ForbiddenError('Cannot subscribe to other user\'s cart');
         }
         
-        return pubsub.asyncIterator([CART_UPDATED]);
+        return filterByUser(CART_UPDATED)(root, args, context, info);
+      },
+    },
+    
+    orderUpdated: {
+      subscribe: (root, args, context, info) => {
+        // Chỉ cho phép user theo dõi đơn hàng của chính họ
+        if (context.user?.id !== args.userId) {
+          throw new ForbiddenError('Cannot subscribe to other user\'s orders');
+        }
+        
+        return filterByUser(ORDER_UPDATED)(root, args, context, info);
       },
     },
   },
   
   // Field resolvers
   Cart: {
+    // Gắn phần giảm giá được phân bổ cho từng dòng
     items: async (cart, _, context) => {
-      return cart.items || [];
+      const { allocations } = priceCart(cart);
+      return (cart.items || []).map(item => ({
+        ...item,
+        discountAmount: allocations[item.id] || 0,
+      }));
     },
     
     itemCount: (cart) => {
@@ -461,47 +1529,153 @@ const resolvers = {
     },
     
     subtotal: (cart) => {
-      return cart.items.reduce((sum, item) => sum + item.subtotal, 0);
+      return priceCart(cart).subtotal;
+    },
+    
+    discount: (cart) => {
+      return priceCart(cart).discount;
     },
     
     discountAmount: (cart) => {
-      if (!cart.discount) return 0;
-      const subtotal = cart.items.reduce((sum, item) => sum + item.subtotal, 0);
-      return subtotal * (cart.discount / 100);
+      return priceCart(cart).discountAmount;
+    },
+    
+    appliedDiscount: (cart) => {
+      return toAppliedDiscount(cart);
     },
     
     tax: (cart) => {
-      const subtotal = cart.items.reduce((sum, item) => sum + item.subtotal, 0);
-      const discountAmount = cart.discount 
-        ? subtotal * (cart.discount / 100) 
-        : 0;
-      return (subtotal - discountAmount) * 0.1; // 10% tax
+      return priceCart(cart).tax;
+    },
+    
+    taxRegion: (cart) => {
+      return priceCart(cart).taxRegion;
+    },
+    
+    taxLines: (cart) => {
+      return priceCart(cart).taxLines;
     },
     
     shipping: (cart) => {
-      const subtotal = cart.items.reduce((sum, item) => sum + item.subtotal, 0);
-      return subtotal >= 100 ? 0 : 10;
+      return priceCart(cart).shipping;
+    },
+    
+    shippingMethod: (cart) => {
+      return toShippingMethod(quoteShipping(priceCart(cart).shippingMethod, shippingContextOf(cart)));
     },
     
     total: (cart) => {
-      const subtotal = cart.items.reduce((sum, item) => sum + item.subtotal, 0);
-      const discountAmount = cart.discount 
-        ? subtotal * (cart.discount / 100) 
-        : 0;
-      const afterDiscount = subtotal - discountAmount;
-      const tax = afterDiscount * 0.1;
-      const shipping = subtotal >= 100 ? 0 : 10;
-      return afterDiscount + tax + shipping;
+      return priceCart(cart).total;
+    },
+  },
+  
+  Product: {
+    archived: (product) => {
+      return Boolean(product.archived);
+    },
+    
+    taxClass: (product) => {
+      return product.taxClass || TAX_CLASSES.STANDARD;
+    },
+    
+    weight: (product) => {
+      return product.weight || 0;
+    },
+  },
+  
+  Order: {
+    history: (order) => {
+      return order.history || [];
+    },
+    
+    // Đơn hàng cũ không lưu dòng thuế
+    taxLines: (order) => {
+      return order.taxLines || [];
+    },
+    
+    // Đơn hàng cũ lưu địa chỉ dạng chuỗi
+    shippingAddress: (order) => {
+      return toAddressSnapshot(order.shippingAddress);
     },
   },
   
+  Payment: {
+    nextActionUrl: (payment) => (payment.nextAction ? payment.nextAction.url : null),
+  },
+  
+  PaymentStatus: {
+    AUTHORIZED: PAYMENT_STATUS.AUTHORIZED,
+    REQUIRES_ACTION: PAYMENT_STATUS.REQUIRES_ACTION,
+    DECLINED: PAYMENT_STATUS.DECLINED,
+    CAPTURED: PAYMENT_STATUS.CAPTURED,
+    VOIDED: PAYMENT_STATUS.VOIDED,
+    PARTIALLY_REFUNDED: PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    REFUNDED: PAYMENT_STATUS.REFUNDED,
+  },
+  
+  Address: {
+    // Địa chỉ trong đơn hàng không có isDefault
+    isDefault: (address) => Boolean(address.isDefault),
+  },
+  
+  ShippingMethodCode: {
+    STANDARD: SHIPPING_METHODS.STANDARD,
+    EXPRESS: SHIPPING_METHODS.EXPRESS,
+    PICKUP: SHIPPING_METHODS.PICKUP,
+  },
+  
+  TaxClass: {
+    STANDARD: TAX_CLASSES.STANDARD,
+    REDUCED: TAX_CLASSES.REDUCED,
+    EXEMPT: TAX_CLASSES.EXEMPT,
+  },
+  
+  // Giá trị nội bộ của enum OrderStatus (lưu chữ thường trong db)
+  OrderStatus: {
+    PENDING_PAYMENT: ORDER_STATUS.PENDING_PAYMENT,
+    PAYMENT_FAILED: ORDER_STATUS.PAYMENT_FAILED,
+    PENDING: ORDER_STATUS.PENDING,
+    PAID: ORDER_STATUS.PAID,
+    SHIPPED: ORDER_STATUS.SHIPPED,
+    DELIVERED: ORDER_STATUS.DELIVERED,
+    CANCELLED: ORDER_STATUS.CANCELLED,
+    REFUNDED: ORDER_STATUS.REFUNDED,
+  },
+  
+  // Record cũ không có type và các trường mới
+  Discount: {
+    type: (discount) => toDiscountRule(discount).type,
+    value: (discount) => toDiscountRule(discount).value,
+    minSubtotal: (discount) => toDiscountRule(discount).minSubtotal,
+    productIds: (discount) => toDiscountRule(discount).productIds,
+    categories: (discount) => toDiscountRule(discount).categories,
+    paused: (discount) => Boolean(discount.paused),
+  },
+  
+  DiscountType: {
+    PERCENTAGE: DISCOUNT_TYPES.PERCENTAGE,
+    FIXED: DISCOUNT_TYPES.FIXED,
+    FREE_SHIPPING: DISCOUNT_TYPES.FREE_SHIPPING,
+    BUY_X_GET_Y: DISCOUNT_TYPES.BUY_X_GET_Y,
+  },
+  
   CartItem: {
     product: async (cartItem, _, context) => {
-      return await context.db.products.findById(cartItem.productId);
+      return loadProduct(context, cartItem.productId);
     },
     
     subtotal: (cartItem) => {
-      return cartItem.price * cartItem.quantity;
+      return lineSubtotal(cartItem);
+    },
+    
+    discountAmount: (cartItem) => {
+      return cartItem.discountAmount || 0;
+    },
+    
+    // Dòng hàng của sản phẩm đã ngừng bán (hoặc đã bị xóa) không thể thanh toán
+    available: async (cartItem, _, context) => {
+      const product = await loadProduct(context, cartItem.productId);
+      return Boolean(product) && !product.archived;
     },
   },
 };
@@ -0,0 +1,140 @@
+/**
+ * Auth routes
+ * POST /api/register, POST /api/login, POST /api/change-password,
+ * POST /api/token/refresh, POST /api/logout
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { register, login, changePassword, toPublicUser } = require('../services/accounts');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+} = require('../services/tokens');
+const { logger, loggers, serializeError } = require('../utils/logger');
+
+// Mã lỗi của services/accounts → HTTP status
+const STATUS_BY_CODE = {
+  INVALID_EMAIL: 400,
+  INVALID_PASSWORD: 400,
+  INVALID_CREDENTIALS: 401,
+  INVALID_REFRESH_TOKEN: 401,
+  REFRESH_TOKEN_REUSED: 401,
+  EMAIL_TAKEN: 409,
+  ACCOUNT_LOCKED: 423,
+};
+
+// Logger của request (có correlation id) khi đi qua middleware correlationId
+const logOf = (req) => req.log || logger;
+const eventsOf = (req) => req.loggers || loggers;
+
+const sendError = (req, res, error) => {
+  const status = STATUS_BY_CODE[error.code];
+  if (!status) {
+    logOf(req).error('Auth error', serializeError(error));
+    return res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+  }
+  return res.status(status).json({ error: error.message, code: error.code });
+};
+
+// `token` là access token (giữ tên cũ cho client hiện tại)
+const tokenResponse = ({ accessToken, refreshToken, refreshTokenExpiresAt }) => ({
+  token: accessToken,
+  refreshToken,
+  refreshTokenExpiresAt,
+});
+
+/**
+ * Create the router for account endpoints
+ * @param {Object} options - { db }
+ */
+const createAuthRouter = ({ db }) => {
+  const router = express.Router();
+
+  router.post('/register', async (req, res) => {
+    try {
+      const { email, password, name } = req.body || {};
+      const user = await register(db, { email, password, name });
+      const tokens = await issueTokens(db, user);
+      eventsOf(req).auth.register(user.id);
+
+      res.status(201).json({
+        success: true,
+        ...tokenResponse(tokens),
+        user: toPublicUser(user),
+      });
+    } catch (error) {
+      sendError(req, res, error);
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    try {
+      const { email, password } = req.body || {};
+      const user = await login(db, { email, password }, { ip: req.ip }, eventsOf(req));
+      const tokens = await issueTokens(db, user);
+
+      res.json({
+        success: true,
+        ...tokenResponse(tokens),
+        user: toPublicUser(user),
+      });
+    } catch (error) {
+      sendError(req, res, error);
+    }
+  });
+
+  router.post('/change-password', authenticate, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      await changePassword(db, req.user.id, { currentPassword, newPassword });
+      
+      // Đăng xuất mọi phiên khác: refresh token cũ không dùng được nữa
+      await db.refreshTokens.revokeByUserId(req.user.id);
+      eventsOf(req).auth.passwordChanged(req.user.id);
+
+      res.json({ success: true, message: 'Password changed successfully' });
+    } catch (error) {
+      sendError(req, res, error);
+    }
+  });
+
+  // Đổi refresh token lấy cặp token mới (refresh token cũ hết hiệu lực)
+  router.post('/token/refresh', async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      const { user, ...tokens } = await rotateRefreshToken(db, refreshToken, eventsOf(req));
+
+      res.json({
+        success: true,
+        ...tokenResponse(tokens),
+        user: toPublicUser(user),
+      });
+    } catch (error) {
+      sendError(req, res, error);
+    }
+  });
+
+  // Thu hồi access token hiện tại và cả family của refresh token
+  router.post('/logout', authenticate, async (req, res) => {
+    try {
+      await revokeAccessToken(db, req.user);
+      await revokeRefreshToken(db, (req.body || {}).refreshToken);
+      eventsOf(req).auth.logout(req.user.id);
+
+      if (req.cookies && req.cookies.token) {
+        res.clearCookie('token');
+      }
+
+      res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+      sendError(req, res, error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,81 @@
+/**
+ * @auth schema directive
+ * Phân quyền theo role ngay trong schema:
+ *   adjustStock(...): Product! @auth(requires: ADMIN)
+ * Đặt trên type thì áp dụng cho mọi field của type đó.
+ */
+
+const { defaultFieldResolver } = require('graphql');
+const { mapSchema, getDirective, MapperKind } = require('@graphql-tools/utils');
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+
+// Giá trị enum Role → role lưu trong db / context
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+};
+
+// Role cao hơn có mọi quyền của role thấp hơn
+const ROLE_RANK = {
+  [ROLES.USER]: 1,
+  [ROLES.ADMIN]: 2,
+};
+
+/**
+ * Check whether `role` satisfies the `requires` enum value
+ */
+const hasRole = (role, requires) => {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[ROLES[requires]];
+};
+
+/**
+ * Wrap resolvers of fields marked with @auth
+ * @param {GraphQLSchema} schema - executable schema
+ * @param {string} directiveName - tên directive trong typeDefs
+ */
+const authDirectiveTransformer = (schema, directiveName = 'auth') => {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, _fieldName, typeName) => {
+      const authDirective =
+        getDirective(schema, fieldConfig, directiveName)?.[0] ||
+        getDirective(schema, schema.getType(typeName), directiveName)?.[0];
+
+      if (!authDirective) {
+        return fieldConfig;
+      }
+
+      const { requires } = authDirective;
+      const resolve = fieldConfig.resolve || defaultFieldResolver;
+      const subscribe = fieldConfig.subscribe;
+
+      const assertRole = (context) => {
+        if (!context.user) {
+          throw new AuthenticationError('You must be logged in');
+        }
+        if (!hasRole(context.role, requires)) {
+          throw new ForbiddenError(`${requires} role required`);
+        }
+      };
+
+      fieldConfig.resolve = (source, args, context, info) => {
+        assertRole(context);
+        return resolve(source, args, context, info);
+      };
+
+      if (subscribe) {
+        fieldConfig.subscribe = (source, args, context, info) => {
+          assertRole(context);
+          return subscribe(source, args, context, info);
+        };
+      }
+
+      return fieldConfig;
+    },
+  });
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  authDirectiveTransformer,
+};
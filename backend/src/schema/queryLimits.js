@@ -0,0 +1,194 @@
+/**
+ * Query Limits
+ * Từ chối operation quá sâu, dùng quá nhiều alias hoặc quá "đắt" trước khi thực thi.
+ * Giới hạn cấu hình qua biến môi trường:
+ *   GRAPHQL_MAX_DEPTH     (mặc định 10)   - số tầng field lồng nhau
+ *   GRAPHQL_MAX_ALIASES   (mặc định 20)   - số field có alias trong một operation
+ *   GRAPHQL_MAX_COST      (mặc định 5000) - chi phí ước tính của operation
+ *   GRAPHQL_LIST_SIZE     (mặc định 20)   - số phần tử giả định của list không có limit
+ *
+ * Chi phí: mỗi field trả về object tính 1, field scalar không tính; field có
+ * argument `limit`/`first` hoặc kiểu list nhân chi phí của cả nhánh bên dưới.
+ */
+
+const { ApolloError } = require('apollo-server-express');
+const {
+  Kind,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  isCompositeType,
+  isListType,
+} = require('graphql');
+const { loggers } = require('../utils/logger');
+
+const DEFAULT_LIMITS = {
+  maxDepth: 10,
+  maxAliases: 20,
+  maxCost: 5000,
+  listSize: 20,
+};
+
+// Argument phân trang quyết định số phần tử của field
+const SIZE_ARGUMENTS = ['limit', 'first'];
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Read limits from environment
+ */
+const configFromEnv = (env = process.env) => ({
+  maxDepth: positiveNumber(env.GRAPHQL_MAX_DEPTH, DEFAULT_LIMITS.maxDepth),
+  maxAliases: positiveNumber(env.GRAPHQL_MAX_ALIASES, DEFAULT_LIMITS.maxAliases),
+  maxCost: positiveNumber(env.GRAPHQL_MAX_COST, DEFAULT_LIMITS.maxCost),
+  listSize: positiveNumber(env.GRAPHQL_LIST_SIZE, DEFAULT_LIMITS.listSize),
+});
+
+// Số phần tử field trả về theo limit/first (kể cả giá trị mặc định trong schema)
+const sizeArgumentOf = (fieldDef, node, variables) => {
+  if (!fieldDef.args.some(arg => SIZE_ARGUMENTS.includes(arg.name))) {
+    return null;
+  }
+
+  let args;
+  try {
+    args = getArgumentValues(fieldDef, node, variables);
+  } catch (error) {
+    // Argument sai kiểu: để bước thực thi báo lỗi
+    return null;
+  }
+
+  const name = SIZE_ARGUMENTS.find(argName => args[argName] != null);
+  return name ? Math.max(Number(args[name]) || 0, 0) : null;
+};
+
+/**
+ * Measure depth, aliases and cost of an operation
+ * Field introspection (__schema, __type, __typename) không được tính.
+ * @param {GraphQLSchema} schema
+ * @param {DocumentNode} document
+ * @param {OperationDefinitionNode} operation
+ * @param {Object} variables
+ * @returns {Object} { depth, aliases, cost }
+ */
+const analyzeOperation = (schema, document, operation, variables = {}, { listSize = DEFAULT_LIMITS.listSize } = {}) => {
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+
+  let aliases = 0;
+
+  // Trả về { depth, cost } của một selection set trên parentType
+  // sized: cha đã nhân theo limit/first (connection), list con không nhân thêm
+  const measure = (selectionSet, parentType, visited, sized) => {
+    let depth = 0;
+    let cost = 0;
+
+    for (const selection of selectionSet.selections) {
+      let result;
+
+      if (selection.kind === Kind.FIELD) {
+        if (selection.name.value.startsWith('__')) continue;
+        const fieldDef = parentType.getFields?.()[selection.name.value];
+        if (!fieldDef) continue;
+
+        if (selection.alias) {
+          aliases += 1;
+        }
+
+        const type = getNamedType(fieldDef.type);
+        const size = sizeArgumentOf(fieldDef, selection, variables);
+        const isList = isListType(getNullableType(fieldDef.type));
+        const multiplier = size ?? (isList && !sized ? listSize : 1);
+
+        const child = selection.selectionSet && isCompositeType(type)
+          ? measure(selection.selectionSet, type, visited, size != null && !isList)
+          : { depth: 0, cost: 0 };
+
+        result = {
+          depth: child.depth + 1,
+          cost: multiplier * ((isCompositeType(type) ? 1 : 0) + child.cost),
+        };
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const type = selection.typeCondition
+          ? schema.getType(selection.typeCondition.name.value)
+          : parentType;
+        result = measure(selection.selectionSet, type || parentType, visited, sized);
+      } else {
+        const name = selection.name.value;
+        const fragment = fragments[name];
+        // Fragment tự tham chiếu bị validation từ chối; bỏ qua để không lặp vô hạn
+        if (!fragment || visited.has(name)) continue;
+        const type = schema.getType(fragment.typeCondition.name.value) || parentType;
+        result = measure(fragment.selectionSet, type, new Set([...visited, name]), sized);
+      }
+
+      depth = Math.max(depth, result.depth);
+      cost += result.cost;
+    }
+
+    return { depth, cost };
+  };
+
+  const rootType = schema.getRootType(operation.operation);
+  const { depth, cost } = measure(operation.selectionSet, rootType, new Set(), false);
+  return { depth, aliases, cost };
+};
+
+const limitError = (limit, maximum, actual, message) => {
+  return new ApolloError(message, 'QUERY_TOO_COMPLEX', { limit, maximum, actual });
+};
+
+/**
+ * Throw when an analysis is over any limit
+ * @throws ApolloError QUERY_TOO_COMPLEX, extensions { limit, maximum, actual }
+ */
+const assertWithinLimits = ({ depth, aliases, cost }, limits) => {
+  if (depth > limits.maxDepth) {
+    throw limitError('depth', limits.maxDepth, depth,
+      `Query depth ${depth} exceeds the maximum of ${limits.maxDepth}`);
+  }
+  if (aliases > limits.maxAliases) {
+    throw limitError('aliases', limits.maxAliases, aliases,
+      `Query uses ${aliases} aliases, the maximum is ${limits.maxAliases}`);
+  }
+  if (cost > limits.maxCost) {
+    throw limitError('cost', limits.maxCost, cost,
+      `Query cost ${cost} exceeds the maximum of ${limits.maxCost}`);
+  }
+};
+
+/**
+ * Apollo Server plugin checking every operation before it executes
+ * @param {Object} limits - mặc định đọc từ biến môi trường
+ */
+const createQueryLimitsPlugin = (limits = configFromEnv()) => ({
+  async requestDidStart() {
+    return {
+      async didResolveOperation({ schema, document, operation, operationName, request, context }) {
+        const analysis = analyzeOperation(schema, document, operation, request.variables, limits);
+        const name = operationName || null;
+        const events = context.loggers || loggers;
+
+        try {
+          assertWithinLimits(analysis, limits);
+        } catch (error) {
+          events.security.queryRejected(name, error.extensions.limit, analysis);
+          throw error;
+        }
+        events.performance.queryCost(name, analysis);
+      },
+    };
+  },
+});
+
+module.exports = {
+  DEFAULT_LIMITS,
+  configFromEnv,
+  analyzeOperation,
+  assertWithinLimits,
+  createQueryLimitsPlugin,
+};
@@ -0,0 +1,109 @@
+/**
+ * GraphQL Rate Limits
+ * Mỗi field gốc của operation (getCart, applyDiscount, ...) có ngân sách riêng,
+ * đếm theo user đã đăng nhập, chưa đăng nhập thì theo IP.
+ * Response luôn có header RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ * của ngân sách còn ít lượt nhất; vượt ngân sách thì trả 429 kèm Retry-After.
+ */
+
+const { ApolloError } = require('apollo-server-express');
+const { Kind } = require('graphql');
+const { RateLimitValidator } = require('../middleware/validation');
+const { loggers } = require('../utils/logger');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+const DEFAULT_BUDGETS = {
+  // Field không có ngân sách riêng
+  default: { max: 100, windowMs: WINDOW_MS },
+  // Giỏ hàng được tải lại thường xuyên
+  getCart: { max: 300, windowMs: WINDOW_MS },
+  // Chặn dò mã giảm giá
+  applyDiscount: { max: 10, windowMs: WINDOW_MS },
+  validateDiscountCode: { max: 10, windowMs: WINDOW_MS },
+};
+
+/**
+ * Who a request is counted against
+ */
+const identifierOf = (context = {}) => {
+  if (context.user) {
+    return `user:${context.user.id}`;
+  }
+  return `ip:${context.ip || 'unknown'}`;
+};
+
+// Tên các field gốc được gọi, mỗi lần xuất hiện (kể cả alias) là một phần tử
+// (bỏ qua introspection, đi vào fragment)
+const rootFieldsOf = (document, selectionSet, visited = new Set()) => {
+  return selectionSet.selections.flatMap(selection => {
+    if (selection.kind === Kind.FIELD) {
+      return selection.name.value.startsWith('__') ? [] : [selection.name.value];
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      return rootFieldsOf(document, selection.selectionSet, visited);
+    }
+
+    const name = selection.name.value;
+    const fragment = document.definitions.find(definition =>
+      definition.kind === Kind.FRAGMENT_DEFINITION && definition.name.value === name
+    );
+    if (!fragment || visited.has(name)) return [];
+    return rootFieldsOf(document, fragment.selectionSet, new Set([...visited, name]));
+  });
+};
+
+const setHeaders = (http, { limit, remaining, resetSeconds }) => {
+  if (!http) return;
+  http.headers.set('RateLimit-Limit', String(limit));
+  http.headers.set('RateLimit-Remaining', String(remaining));
+  http.headers.set('RateLimit-Reset', String(resetSeconds));
+};
+
+/**
+ * Apollo Server plugin enforcing per-user, per-field budgets
+ * @param {Object} options - { budgets, validator }
+ */
+const createRateLimitPlugin = ({
+  budgets = DEFAULT_BUDGETS,
+  validator = new RateLimitValidator(),
+} = {}) => ({
+  async requestDidStart() {
+    return {
+      async didResolveOperation({ document, operation, context, response }) {
+        const identifier = identifierOf(context);
+        // Tính lượt theo từng lần gọi: 20 alias applyDiscount là 20 lượt
+        const fields = rootFieldsOf(document, operation.selectionSet);
+        if (fields.length === 0) return;
+
+        const results = fields.map(field => {
+          const { max, windowMs } = budgets[field] || budgets.default;
+          return { field, ...validator.hit(`${identifier}:${field}`, max, windowMs) };
+        });
+
+        const blocked = results.find(result => !result.allowed);
+        const tightest = blocked || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+        setHeaders(response?.http, tightest);
+
+        if (blocked) {
+          (context.loggers || loggers).security.rateLimitExceeded(identifier, blocked.field);
+          if (response?.http) {
+            response.http.status = 429;
+            response.http.headers.set('Retry-After', String(blocked.resetSeconds));
+          }
+          throw new ApolloError(
+            `Too many requests. Please wait ${blocked.resetSeconds} seconds.`,
+            'RATE_LIMITED',
+            { field: blocked.field, retryAfter: blocked.resetSeconds }
+          );
+        }
+      },
+    };
+  },
+});
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  identifierOf,
+  createRateLimitPlugin,
+};
@@ -8,6 +8,14 @@ const typeDefs = gql`
   scalar JSON
   scalar DateTime
   
+  # Phân quyền theo role (xem schema/directives/auth.js)
+  directive @auth(requires: Role = ADMIN) on OBJECT | FIELD_DEFINITION
+  
+  enum Role {
+    USER
+    ADMIN
+  }
+  
   # ==================== TYPES ====================
   
   # Product type
@@ -18,10 +26,51 @@ const typeDefs = gql`
     description: String
     image: String
     stock: Int!
+    category: String
+    taxClass: TaxClass!
+    # Cân nặng khi giao hàng (kg)
+    weight: Float!
+    # Sản phẩm đã ngừng bán: không hiện trong getProducts
+    archived: Boolean!
+    archivedAt: DateTime
     createdAt: DateTime!
     updatedAt: DateTime!
   }
   
+  # Loại thuế của sản phẩm (thuế suất theo vùng, xem src/config/taxRates.json)
+  enum TaxClass {
+    STANDARD
+    REDUCED
+    EXEMPT
+  }
+  
+  # Một dòng thuế: tổng tiền chịu thuế và tiền thuế của một loại thuế
+  type TaxLine {
+    taxClass: TaxClass!
+    rate: Float!
+    taxableAmount: Float!
+    amount: Float!
+  }
+  
+  enum ShippingMethodCode {
+    STANDARD
+    EXPRESS
+    PICKUP
+  }
+  
+  # Phương thức giao hàng và phí cho giỏ hàng hiện tại
+  type ShippingMethod {
+    code: ShippingMethodCode!
+    name: String!
+    # Vùng nhận hàng: domestic, regional, international
+    zone: String!
+    amount: Float!
+    # null: phương thức không có mức miễn phí vận chuyển
+    freeShippingThreshold: Float
+    estimatedDaysMin: Int!
+    estimatedDaysMax: Int!
+  }
+  
   # Cart item type
   type CartItem {
     id: ID!
@@ -30,8 +79,12 @@ const typeDefs = gql`
     variant: JSON
     price: Float!
     subtotal: Float!
+    # Phần giảm giá của mã được phân bổ cho dòng này
+    discountAmount: Float!
     addedAt: DateTime!
     product: Product!
+    # false khi sản phẩm đã ngừng bán
+    available: Boolean!
   }
   
   # Cart type
@@ -43,44 +96,231 @@ const typeDefs = gql`
     subtotal: Float!
     discount: Float!
     discountAmount: Float!
+    appliedDiscount: AppliedDiscount
     tax: Float!
+    # Vùng tính thuế (setShippingRegion, mặc định theo cấu hình)
+    taxRegion: String!
+    taxLines: [TaxLine!]!
     shipping: Float!
+    # Phương thức giao hàng đang dùng để tính phí
+    shippingMethod: ShippingMethod!
     total: Float!
     createdAt: DateTime!
     updatedAt: DateTime!
   }
   
+  enum DiscountType {
+    PERCENTAGE
+    FIXED
+    FREE_SHIPPING
+    BUY_X_GET_Y
+  }
+  
+  # Lý do mã giảm giá chưa áp dụng được cho giỏ hàng
+  enum DiscountIneligibleReason {
+    MIN_SUBTOTAL
+    NO_ELIGIBLE_ITEMS
+    NOT_ENOUGH_ITEMS
+  }
+  
+  # Mã giảm giá đang gắn với giỏ hàng
+  type AppliedDiscount {
+    code: String
+    type: DiscountType!
+    value: Float!
+    description: String!
+    # false khi giỏ hàng thay đổi và không còn đủ điều kiện
+    qualifies: Boolean!
+    reason: DiscountIneligibleReason
+    message: String
+    amount: Float!
+    freeShipping: Boolean!
+  }
+  
+  # Guest cart session (token gửi lại qua header X-Guest-Cart-Token)
+  type GuestCartSession {
+    token: String!
+    cart: Cart!
+  }
+  
+  # Lý do dòng hàng bị thay đổi khi gộp giỏ của khách
+  enum CartMergeReason {
+    STOCK_LIMITED
+    UNAVAILABLE
+  }
+  
+  type CartMergeAdjustment {
+    productId: ID!
+    variant: JSON
+    requestedQuantity: Int!
+    quantity: Int!
+    reason: CartMergeReason!
+  }
+  
+  type CartMergeResult {
+    cart: Cart!
+    adjustments: [CartMergeAdjustment!]!
+  }
+  
   # Discount validation result
   type DiscountValidation {
     valid: Boolean!
+    code: String
+    type: DiscountType
     percentage: Float
+    # Số tiền giảm nếu áp dụng cho giỏ hàng hiện tại
+    discountAmount: Float
+    reason: DiscountIneligibleReason
+    # Số tiền cần mua thêm (MIN_SUBTOTAL)
+    amountNeeded: Float
     message: String!
   }
   
+  # Mã giảm giá (admin)
+  type Discount {
+    id: ID!
+    code: String!
+    type: DiscountType!
+    value: Float!
+    minSubtotal: Float!
+    productIds: [ID!]!
+    categories: [String!]!
+    buyQuantity: Int
+    getQuantity: Int
+    # null: không giới hạn
+    maxUses: Int
+    maxUsesPerUser: Int
+    usedCount: Int!
+    startsAt: DateTime
+    expiresAt: DateTime
+    paused: Boolean!
+    createdAt: DateTime!
+    updatedAt: DateTime
+  }
+  
+  # Một lượt dùng mã giảm giá (tính khi checkout, trả lại khi đơn bị hủy)
+  type DiscountRedemption {
+    id: ID!
+    code: String!
+    userId: ID!
+    orderId: ID!
+    amount: Float!
+    redeemedAt: DateTime!
+    releasedAt: DateTime
+  }
+  
+  # Payment status at the gateway
+  enum PaymentStatus {
+    AUTHORIZED
+    REQUIRES_ACTION
+    DECLINED
+    CAPTURED
+    VOIDED
+    PARTIALLY_REFUNDED
+    REFUNDED
+  }
+  
+  # Payment of an order
+  type Payment {
+    id: ID!
+    gateway: String!
+    status: PaymentStatus!
+    amount: Float!
+    declineCode: String
+    # Trang xác thực (3-D Secure) khi status là REQUIRES_ACTION
+    nextActionUrl: String
+  }
+  
   # Checkout result
+  # success chỉ true khi thanh toán đã được authorize và đơn đã được đặt
   type CheckoutResult {
     success: Boolean!
     orderId: ID
     total: Float!
+    status: OrderStatus
+    payment: Payment
     message: String!
   }
   
+  # Order status (pending_payment → pending → paid → shipped → delivered,
+  # payment_failed, cancelled, refunded)
+  enum OrderStatus {
+    PENDING_PAYMENT
+    PAYMENT_FAILED
+    PENDING
+    PAID
+    SHIPPED
+    DELIVERED
+    CANCELLED
+    REFUNDED
+  }
+  
+  # Order status history entry
+  type OrderStatusChange {
+    status: OrderStatus!
+    note: String
+    changedAt: DateTime!
+  }
+  
   # Order type
   type Order {
     id: ID!
     userId: ID!
     items: [CartItem!]!
+    # Bảng giá đã báo cho user tại thời điểm đặt hàng
     subtotal: Float!
+    discount: Float!
+    discountCode: String
+    discountAmount: Float!
     tax: Float!
+    taxRegion: String
+    taxLines: [TaxLine!]!
     shipping: Float!
+    shippingMethod: ShippingMethodCode
+    shippingZone: String
     total: Float!
-    shippingAddress: String!
+    shippingAddress: Address!
     paymentMethod: String!
-    status: String!
+    payment: Payment
+    status: OrderStatus!
+    history: [OrderStatusChange!]!
     createdAt: DateTime!
     updatedAt: DateTime!
   }
   
+  # Order history pagination
+  type OrderEdge {
+    cursor: String!
+    node: Order!
+  }
+  
+  type PageInfo {
+    hasNextPage: Boolean!
+    endCursor: String
+  }
+  
+  type OrderConnection {
+    edges: [OrderEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+  
+  # Shipping address
+  # Địa chỉ trong sổ địa chỉ có id; địa chỉ lưu trong đơn hàng thì id là null
+  type Address {
+    id: ID
+    recipient: String!
+    phone: String!
+    line1: String!
+    line2: String
+    city: String!
+    province: String
+    postalCode: String
+    # Mã quốc gia ISO 3166-1 alpha-2
+    country: String!
+    isDefault: Boolean!
+  }
+  
   # User type (basic)
   type User {
     id: ID!
@@ -96,6 +336,8 @@ const typeDefs = gql`
     productId: ID!
     quantity: Int!
     variant: JSON
+    # Gửi lại cùng key thì nhận kết quả cũ (có thể dùng header Idempotency-Key thay thế)
+    idempotencyKey: String
   }
   
   # Update cart item input
@@ -109,11 +351,135 @@ const typeDefs = gql`
     code: String!
   }
   
+  # Shipping address input
+  input AddressInput {
+    recipient: String!
+    phone: String!
+    line1: String!
+    line2: String
+    city: String!
+    province: String
+    postalCode: String
+    country: String!
+  }
+  
+  # Update address input (chỉ đổi các trường được gửi lên)
+  input UpdateAddressInput {
+    recipient: String
+    phone: String
+    line1: String
+    line2: String
+    city: String
+    province: String
+    postalCode: String
+    country: String
+  }
+  
   # Checkout input
   input CheckoutInput {
     cartItemIds: [ID!]!
-    shippingAddress: String!
+    # Một địa chỉ đã lưu (addressId) hoặc địa chỉ nhập trực tiếp
+    addressId: ID
+    shippingAddress: AddressInput
     paymentMethod: String!
+    # Vùng tính thuế trong quốc gia của địa chỉ giao hàng (ví dụ US-CA);
+    # mặc định suy ra từ địa chỉ
+    region: String
+    # Gửi lại cùng key thì nhận kết quả cũ (có thể dùng header Idempotency-Key thay thế)
+    idempotencyKey: String
+  }
+  
+  # Admin: create product input
+  input CreateProductInput {
+    name: String!
+    price: Float!
+    description: String
+    image: String
+    stock: Int = 0
+    category: String
+    taxClass: TaxClass = STANDARD
+    weight: Float = 0
+  }
+  
+  # Admin: update product input (chỉ đổi các trường được gửi lên)
+  input UpdateProductInput {
+    name: String
+    price: Float
+    description: String
+    image: String
+    category: String
+    taxClass: TaxClass
+    weight: Float
+  }
+  
+  # Admin: create discount input
+  input CreateDiscountInput {
+    code: String!
+    type: DiscountType!
+    # Phần trăm (PERCENTAGE, BUY_X_GET_Y) hoặc số tiền (FIXED)
+    value: Float
+    minSubtotal: Float
+    productIds: [ID!]
+    categories: [String!]
+    buyQuantity: Int
+    getQuantity: Int
+    maxUses: Int
+    maxUsesPerUser: Int
+    startsAt: DateTime
+    expiresAt: DateTime
+  }
+  
+  # Admin: update discount input (code không đổi được)
+  input UpdateDiscountInput {
+    type: DiscountType
+    value: Float
+    minSubtotal: Float
+    productIds: [ID!]
+    categories: [String!]
+    buyQuantity: Int
+    getQuantity: Int
+    maxUses: Int
+    maxUsesPerUser: Int
+    startsAt: DateTime
+    expiresAt: DateTime
+  }
+  
+  # Admin: sinh hàng loạt mã dùng một lần <PREFIX>-<8 ký tự>
+  input GenerateDiscountCodesInput {
+    prefix: String!
+    count: Int!
+    type: DiscountType!
+    value: Float
+    minSubtotal: Float
+    productIds: [ID!]
+    categories: [String!]
+    buyQuantity: Int
+    getQuantity: Int
+    startsAt: DateTime
+    expiresAt: DateTime
+  }
+  
+  # Order history filter
+  input OrderFilter {
+    status: [OrderStatus!]
+    from: DateTime
+    to: DateTime
+  }
+  
+  enum OrderSortField {
+    CREATED_AT
+    TOTAL
+  }
+  
+  enum SortDirection {
+    ASC
+    DESC
+  }
+  
+  # Order history sort (mặc định: mới nhất trước)
+  input OrderSort {
+    field: OrderSortField = CREATED_AT
+    direction: SortDirection = DESC
   }
   
   # ==================== QUERIES ====================
@@ -128,14 +494,26 @@ const typeDefs = gql`
     # Get single product
     getProduct(id: ID!): Product
     
+    # Shipping methods available for the current cart
+    getShippingOptions: [ShippingMethod!]!
+    
     # Validate discount code
     validateDiscountCode(code: String!): DiscountValidation!
     
     # Get user's orders
-    getOrders: [Order!]!
+    getOrders(filter: OrderFilter, sort: OrderSort, first: Int = 20, after: String): OrderConnection!
     
     # Get single order
     getOrder(id: ID!): Order
+    
+    # Saved shipping addresses, default first
+    getAddresses: [Address!]!
+    
+    # Discount codes (admin)
+    getDiscounts: [Discount!]! @auth(requires: ADMIN)
+    
+    # Discount redemptions (admin)
+    getDiscountRedemptions(code: String!): [DiscountRedemption!]! @auth(requires: ADMIN)
   }
   
   # ==================== MUTATIONS ====================
@@ -148,12 +526,48 @@ const typeDefs = gql`
     removeMultipleItems(itemIds: [ID!]!): Cart!
     clearCart: Cart!
     
+    # Guest carts
+    startGuestCart: GuestCartSession!
+    mergeGuestCart(guestCartToken: String): CartMergeResult!
+    
     # Discount operations
     applyDiscount(input: ApplyDiscountInput!): Cart!
     removeDiscount: Cart!
     
+    # Tax region of the cart (null: vùng mặc định)
+    setShippingRegion(region: String): Cart!
+    selectShippingMethod(method: ShippingMethodCode!): Cart!
+    
+    # Address book
+    addAddress(input: AddressInput!, isDefault: Boolean = false): Address!
+    updateAddress(id: ID!, input: UpdateAddressInput!): Address!
+    removeAddress(id: ID!): Boolean!
+    setDefaultAddress(id: ID!): Address!
+    
     # Checkout
     checkout(input: CheckoutInput!): CheckoutResult!
+    confirmPayment(orderId: ID!): CheckoutResult!
+    
+    # Order lifecycle
+    cancelOrder(id: ID!, reason: String): Order!
+    captureOrderPayment(id: ID!): Order! @auth(requires: ADMIN)
+    markOrderShipped(id: ID!, trackingNumber: String): Order! @auth(requires: ADMIN)
+    markOrderDelivered(id: ID!): Order! @auth(requires: ADMIN)
+    refundOrder(id: ID!, reason: String): Order! @auth(requires: ADMIN)
+    
+    # Product catalog (admin)
+    createProduct(input: CreateProductInput!): Product! @auth(requires: ADMIN)
+    updateProduct(id: ID!, input: UpdateProductInput!): Product! @auth(requires: ADMIN)
+    archiveProduct(id: ID!): Product! @auth(requires: ADMIN)
+    adjustStock(id: ID!, delta: Int!): Product! @auth(requires: ADMIN)
+    
+    # Discount codes (admin)
+    createDiscount(input: CreateDiscountInput!): Discount! @auth(requires: ADMIN)
+    updateDiscount(id: ID!, input: UpdateDiscountInput!): Discount! @auth(requires: ADMIN)
+    pauseDiscount(id: ID!): Discount! @auth(requires: ADMIN)
+    resumeDiscount(id: ID!): Discount! @auth(requires: ADMIN)
+    deleteDiscount(id: ID!): Boolean! @auth(requires: ADMIN)
+    generateDiscountCodes(input: GenerateDiscountCodesInput!): [Discount!]! @auth(requires: ADMIN)
   }
   
   # ==================== SUBSCRIPTIONS ====================
@@ -1,5 +1,9 @@
+const http = require('http');
+const crypto = require('crypto');
 const express = require('express');
 const { ApolloServer } = require('apollo-server-express');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const { makeExecutableSchema } = require('@graphql-tools/schema');
 const { GraphQLScalarType, Kind } = require('graphql');
 const cors = require('cors');
@@ -10,9 +14,32 @@ const jwt = require('jsonwebtoken');
 // Import resolvers and typeDefs
 const typeDefs = require('./schema/typeDefs');
 const resolvers = require('./resolvers');
+const { authDirectiveTransformer } = require('./schema/directives/auth');
+const { createQueryLimitsPlugin } = require('./schema/queryLimits');
+const { createRateLimitPlugin } = require('./schema/rateLimits');
+const { createAuthRouter } = require('./routes/auth');
+const { isTokenRevoked } = require('./middleware/auth');
+const { GUEST_CART_HEADER, verifyGuestCartToken } = require('./services/guestCart');
+const { IDEMPOTENCY_KEY_HEADER } = require('./services/idempotency');
+const {
+  logger,
+  loggers,
+  serializeError,
+  correlationId,
+  logRequest,
+  logError,
+  createChildLogger,
+  createLoggers,
+  createGraphQLLoggingPlugin,
+  logStartup,
+} = require('./utils/logger');
 
 // Database (sử dụng in-memory hoặc kết nối database thực)
 const db = require('./database');
+const { createLoaders } = require('./database/loaders');
+
+// Payment gateway (mặc định: mock gateway chạy tại chỗ)
+const payments = require('./payments');
 
 // ==================== SCALAR TYPES ====================
 
@@ -51,36 +78,59 @@ const DateTimeScalar = new GraphQLScalarType({
   },
 });
 
-// Create schema
-const schema = makeExecutableSchema({
+// Create schema (kèm directive @auth để phân quyền theo role)
+const schema = authDirectiveTransformer(makeExecutableSchema({
   typeDefs,
   resolvers: {
     ...resolvers,
     JSON: JSONScalar,
     DateTime: DateTimeScalar,
   },
-});
+}));
 
 // ==================== AUTHENTICATION ====================
 
-// JWT Authentication Middleware
-const authenticate = async (req) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
+// Xác thực JWT, dùng chung cho HTTP và WebSocket
+// Role lấy từ user trong db; claim `role` trong token chỉ dùng khi user chưa có role
+const authenticateToken = async (token) => {
   if (!token) {
-    return { user: null };
+    return { user: null, role: null };
   }
   
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    if (await isTokenRevoked(decoded)) {
+      return { user: null, role: null };
+    }
+    
     const user = await db.users.findById(decoded.userId);
-    return { user };
+    if (!user) {
+      return { user: null, role: null };
+    }
+    return { user, role: user.role || decoded.role || 'user' };
   } catch (error) {
-    console.error('Authentication error:', error);
-    return { user: null };
+    // Token sai chữ ký / hết hạn: request chạy tiếp như khách
+    loggers.security.invalidToken(token);
+    return { user: null, role: null };
   }
 };
 
+// JWT Authentication Middleware
+const authenticate = async (req) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  return authenticateToken(token);
+};
+
+// Lấy token từ connectionParams của graphql-ws
+// Chấp nhận { authorization: 'Bearer <token>' } hoặc { authToken: '<token>' }
+const extractConnectionToken = (connectionParams = {}) => {
+  const authorization = connectionParams.authorization || connectionParams.Authorization;
+  if (authorization) {
+    return authorization.replace('Bearer ', '');
+  }
+  return connectionParams.authToken || null;
+};
+
 // ==================== APOLLO SERVER ====================
 
 // Create Apollo Server
@@ -91,12 +141,19 @@ const createApolloServer = async () => {
       const auth = await authenticate(req);
       return {
         ...auth,
+        guestId: verifyGuestCartToken(req.headers[GUEST_CART_HEADER]),
+        idempotencyKey: req.headers[IDEMPOTENCY_KEY_HEADER] || null,
+        ip: req.ip,
+        correlationId: req.correlationId,
+        logger: req.log,
+        loggers: req.loggers,
         db,
+        loaders: createLoaders(db),
+        payments,
       };
     },
+    // Lỗi được ghi log trong createGraphQLLoggingPlugin (kèm correlation id)
     formatError: (error) => {
-      console.error('GraphQL Error:', error);
-      
       // Sanitize error messages in production
       if (process.env.NODE_ENV === 'production') {
         return {
@@ -107,6 +164,9 @@ const createApolloServer = async () => {
       
       return error;
     },
+    // Giới hạn số lần gọi mỗi field theo user/IP, rồi chặn query quá sâu /
+    // quá nhiều alias / quá tốn kém trước khi thực thi
+    plugins: [createGraphQLLoggingPlugin(), createRateLimitPlugin(), createQueryLimitsPlugin()],
     introspection: process.env.NODE_ENV !== 'production',
     playground: process.env.NODE_ENV !== 'production',
   });
@@ -120,6 +180,10 @@ const createApolloServer = async () => {
 // Create Express app
 const app = express();
 
+// Correlation id và log cho mọi request
+app.use(correlationId);
+app.use(logRequest);
+
 // Security middlewares
 app.use(helmet({
   contentSecurityPolicy: {
@@ -136,9 +200,12 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
+  // Cho client đọc được trạng thái rate limit
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Correlation-Id'],
 }));
 
-// Rate limiting
+// Rate limiting theo IP; ngân sách theo từng operation GraphQL được tính thêm
+// trong plugin schema/rateLimits.js
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
@@ -160,74 +227,115 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Mock login endpoint (for development)
-app.post('/api/login', (req, res) => {
-  const { email } = req.body;
-  
-  if (!email) {
-    return res.status(400).json({ error: 'Email required' });
-  }
+// Đăng ký, đăng nhập, đổi mật khẩu, refresh token, đăng xuất
+app.use('/api', createAuthRouter({ db }));
+
+// ==================== SUBSCRIPTIONS ====================
+
+// GraphQL subscriptions qua WebSocket (graphql-ws), cùng path với HTTP
+const createSubscriptionServer = (httpServer) => {
+  const wsServer = new WebSocketServer({
+    server: httpServer,
+    path: '/graphql',
+  });
   
-  // In production, verify credentials against database
-  const userId = 'user-1'; // Mock user ID
-  const token = jwt.sign(
-    { userId, email, role: 'user' },
-    process.env.JWT_SECRET || 'your-secret-key-change-in-production',
-    { expiresIn: '7d' }
-  );
+  const serverCleanup = useServer({
+    schema,
+    // Token có nhưng không hợp lệ thì từ chối kết nối ngay
+    onConnect: async (ctx) => {
+      const token = extractConnectionToken(ctx.connectionParams);
+      if (!token) {
+        return true;
+      }
+      const { user } = await authenticateToken(token);
+      return Boolean(user);
+    },
+    context: async (ctx) => {
+      const auth = await authenticateToken(extractConnectionToken(ctx.connectionParams));
+      // Mỗi subscription có correlation id riêng
+      const log = createChildLogger({ correlationId: crypto.randomUUID(), transport: 'ws' });
+      return {
+        ...auth,
+        logger: log,
+        loggers: createLoggers(log),
+        db,
+        // Subscription sống lâu: chỉ gom lần đọc, không nhớ kết quả giữa các sự kiện
+        loaders: createLoaders(db, { cache: false }),
+      };
+    },
+  }, wsServer);
   
-  res.json({
-    success: true,
-    token,
-    user: {
-      id: userId,
-      email
-    }
-  });
-});
+  return {
+    wsServer,
+    dispose: async () => {
+      await serverCleanup.dispose();
+      await new Promise(resolve => wsServer.close(resolve));
+    },
+  };
+};
 
 // ==================== START SERVER ====================
 
-const startServer = async () => {
-  try {
-    const apolloServer = await createApolloServer();
-    
-    apolloServer.applyMiddleware({ 
-      app, 
-      path: '/graphql',
-      cors: false, // Already handled by express cors
-    });
+const startServer = async ({ port = process.env.PORT || 4000 } = {}) => {
+  const apolloServer = await createApolloServer();
+  
+  apolloServer.applyMiddleware({ 
+    app, 
+    path: '/graphql',
+    cors: false, // Already handled by express cors
+  });
+  
+  // Ghi log lỗi chưa được xử lý (kèm correlation id) rồi để Express trả 500.
+  // Đăng ký sau /graphql: error middleware chỉ nhận lỗi của các handler đứng trước nó
+  app.use(logError);
 
-    const PORT = process.env.PORT || 4000;
-    
-    app.listen(PORT, () => {
-      console.log(`🚀 Server ready at http://localhost:${PORT}${apolloServer.graphqlPath}`);
-      console.log(`🏥 Health check at http://localhost:${PORT}/health`);
-      console.log(`🔐 Mock login at http://localhost:${PORT}/api/login`);
-      console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-    });
-  } catch (error) {
-    console.error('Failed to start server:', error);
-    process.exit(1);
-  }
+  const httpServer = http.createServer(app);
+  const subscriptionServer = createSubscriptionServer(httpServer);
+  
+  await new Promise(resolve => httpServer.listen(port, resolve));
+  const { port: actualPort } = httpServer.address();
+  
+  logStartup(actualPort, process.env.NODE_ENV || 'development');
+  logger.info('Endpoints ready', {
+    graphql: `http://localhost:${actualPort}${apolloServer.graphqlPath}`,
+    subscriptions: `ws://localhost:${actualPort}${apolloServer.graphqlPath}`,
+    health: `http://localhost:${actualPort}/health`,
+    auth: `http://localhost:${actualPort}/api/login`,
+  });
+  
+  return {
+    httpServer,
+    port: actualPort,
+    stop: async () => {
+      await subscriptionServer.dispose();
+      await apolloServer.stop();
+      await new Promise(resolve => httpServer.close(resolve));
+    },
+  };
 };
 
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+// Tests tự gọi startServer với port riêng
+if (process.env.NODE_ENV !== 'test') {
+  // Handle uncaught errors
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught exception', serializeError(error));
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled rejection', serializeError(reason));
+    process.exit(1);
+  });
 
-startServer();
-if (process.env.NODE_ENV !== 'test') {
-  const server = app.listen(PORT, () => {
-    // Server started
+  startServer().catch((error) => {
+    logger.error('Failed to start server', serializeError(error));
+    process.exit(1);
   });
 }
 
-module.exports = app;
\ No newline at end of file
+module.exports = {
+  app,
+  startServer,
+  authenticateToken,
+  extractConnectionToken,
+};
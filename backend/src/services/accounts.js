@@ -0,0 +1,154 @@
+/**
+ * Accounts
+ * Đăng ký, đăng nhập bằng mật khẩu và đổi mật khẩu.
+ * Sai mật khẩu quá MAX_FAILED_ATTEMPTS lần liên tiếp thì khóa tài khoản
+ * trong LOCK_DURATION_MS.
+ */
+
+const { validateEmail, sanitizeString } = require('../middleware/validation');
+const { validatePassword, hashPassword, verifyPassword, verifyDummyPassword } = require('./password');
+const { loggers } = require('../utils/logger');
+
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_DURATION_MS = 15 * 60 * 1000;
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const accountError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Fields of a user that are safe to return to clients
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name || null,
+  role: user.role,
+});
+
+const normalizeEmail = (email) => {
+  try {
+    return validateEmail(typeof email === 'string' ? email.trim() : email);
+  } catch (error) {
+    throw accountError('INVALID_EMAIL', error.message);
+  }
+};
+
+const isLocked = (user, now = Date.now()) => {
+  return Boolean(user.lockedUntil) && new Date(user.lockedUntil).getTime() > now;
+};
+
+/**
+ * Create a new account
+ * @returns {Object} the stored user
+ */
+const register = async (db, { email, password, name }) => {
+  const normalizedEmail = normalizeEmail(email);
+  validatePassword(password);
+
+  return db.users.create({
+    email: normalizedEmail,
+    name: name ? sanitizeString(name, 100) || null : null,
+    passwordHash: await hashPassword(password),
+  });
+};
+
+/**
+ * Check email and password, tracking failed attempts
+ * @param {Object} meta - { ip } ghi kèm vào log
+ * @param {Object} events - structured loggers của request (có correlation id)
+ * @returns {Object} the authenticated user
+ */
+const login = async (db, { email, password }, meta = {}, events = loggers) => {
+  let normalizedEmail;
+  try {
+    normalizedEmail = normalizeEmail(email);
+  } catch (error) {
+    events.auth.login(null, false, { email, reason: 'invalid_email', ...meta });
+    throw accountError('INVALID_CREDENTIALS', 'Invalid email or password');
+  }
+
+  const user = await db.users.findByEmail(normalizedEmail);
+  if (!user || !user.passwordHash) {
+    // Vẫn chạy scrypt để thời gian phản hồi không lộ email nào đã đăng ký
+    await verifyDummyPassword(password);
+    events.auth.login(null, false, { email: normalizedEmail, reason: 'unknown_email', ...meta });
+    throw accountError('INVALID_CREDENTIALS', 'Invalid email or password');
+  }
+
+  if (isLocked(user)) {
+    events.auth.login(user.id, false, { email: normalizedEmail, reason: 'locked', ...meta });
+    throw accountError('ACCOUNT_LOCKED', 'Account is temporarily locked. Please try again later');
+  }
+
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    // Đọc lại và ghi bộ đếm trong transaction để các lần thử song song không ghi đè nhau
+    const { attempts, locked } = await db.transaction(async (tx) => {
+      const current = await tx.users.findById(user.id);
+      const failedAttempts = (current.failedLoginAttempts || 0) + 1;
+      const lockNow = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+      await tx.users.update(user.id, {
+        failedLoginAttempts: lockNow ? 0 : failedAttempts,
+        lockedUntil: lockNow ? new Date(Date.now() + LOCK_DURATION_MS).toISOString() : null,
+      });
+
+      return { attempts: failedAttempts, locked: lockNow };
+    });
+
+    events.auth.login(user.id, false, {
+      email: normalizedEmail,
+      reason: 'invalid_password',
+      attempts,
+      locked,
+      ...meta,
+    });
+
+    if (locked) {
+      throw accountError('ACCOUNT_LOCKED', 'Account is temporarily locked. Please try again later');
+    }
+    throw accountError('INVALID_CREDENTIALS', 'Invalid email or password');
+  }
+
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await db.users.update(user.id, { failedLoginAttempts: 0, lockedUntil: null });
+  }
+
+  events.auth.login(user.id, true, { email: normalizedEmail, ...meta });
+  return user;
+};
+
+/**
+ * Replace the password after checking the current one
+ */
+const changePassword = async (db, userId, { currentPassword, newPassword }) => {
+  const user = await db.users.findById(userId);
+  if (!user) {
+    throw accountError('INVALID_CREDENTIALS', 'User not found');
+  }
+
+  if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+    throw accountError('INVALID_CREDENTIALS', 'Current password is incorrect');
+  }
+
+  validatePassword(newPassword);
+
+  return db.users.update(userId, {
+    passwordHash: await hashPassword(newPassword),
+    passwordChangedAt: new Date().toISOString(),
+  });
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  LOCK_DURATION_MS,
+  toPublicUser,
+  register,
+  login,
+  changePassword,
+};
@@ -0,0 +1,164 @@
+/**
+ * Address Book
+ * Sổ địa chỉ giao hàng của user và địa chỉ dùng khi checkout.
+ * Đơn hàng lưu bản sao địa chỉ tại thời điểm đặt, nên sửa hoặc xóa
+ * địa chỉ trong sổ không làm thay đổi đơn hàng cũ.
+ */
+
+const { validateAddress } = require('../middleware/validation');
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = [
+  'recipient',
+  'phone',
+  'line1',
+  'line2',
+  'city',
+  'province',
+  'postalCode',
+  'country',
+];
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const addressError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Lỗi kiểm tra dữ liệu → INVALID_ADDRESS
+const withInputErrors = (validate) => {
+  try {
+    return validate();
+  } catch (error) {
+    throw addressError('INVALID_ADDRESS', error.message);
+  }
+};
+
+// Địa chỉ của user khác cũng coi như không tồn tại
+const findOwnAddressOrFail = async (db, userId, id) => {
+  const address = await db.addresses.findById(id);
+  if (!address || address.userId !== userId) {
+    throw addressError('ADDRESS_NOT_FOUND', 'Address not found');
+  }
+  return address;
+};
+
+/**
+ * Address fields only (không gồm id, userId, isDefault)
+ * Đơn hàng cũ lưu địa chỉ dạng chuỗi: đưa vào line1.
+ */
+const toAddressSnapshot = (address) => {
+  if (typeof address === 'string') {
+    return {
+      recipient: '',
+      phone: '',
+      line1: address,
+      line2: null,
+      city: '',
+      province: null,
+      postalCode: null,
+      country: '',
+    };
+  }
+
+  return Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field] ?? null]));
+};
+
+/**
+ * Addresses of a user, default address first
+ */
+const listAddresses = async (db, userId) => {
+  return db.addresses.findByUserId(userId);
+};
+
+/**
+ * Save an address; địa chỉ đầu tiên luôn là mặc định
+ * @param {Object} input - các trường địa chỉ và isDefault
+ */
+const addAddress = async (db, userId, { isDefault = false, ...input }) => {
+  const fields = withInputErrors(() => validateAddress(input));
+
+  return db.transaction(async (tx) => {
+    const existing = await tx.addresses.findByUserId(userId);
+    if (existing.length >= MAX_ADDRESSES) {
+      throw addressError('INVALID_ADDRESS', `You can save at most ${MAX_ADDRESSES} addresses`);
+    }
+
+    const address = await tx.addresses.create({ userId, ...fields });
+    if (isDefault || existing.length === 0) {
+      return tx.addresses.setDefault(userId, address.id);
+    }
+    return address;
+  });
+};
+
+/**
+ * Update an address (chỉ đổi các trường được gửi lên)
+ */
+const updateAddress = async (db, userId, id, input) => {
+  const current = await findOwnAddressOrFail(db, userId, id);
+  const merged = {
+    ...toAddressSnapshot(current),
+    ...Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined)),
+  };
+
+  const fields = withInputErrors(() => validateAddress(merged));
+  return db.addresses.update(id, fields);
+};
+
+/**
+ * Remove an address; nếu là địa chỉ mặc định thì địa chỉ cũ nhất còn lại thành mặc định
+ */
+const removeAddress = async (db, userId, id) => {
+  return db.transaction(async (tx) => {
+    const address = await findOwnAddressOrFail(tx, userId, id);
+    await tx.addresses.delete(id);
+
+    if (address.isDefault) {
+      const [next] = await tx.addresses.findByUserId(userId);
+      if (next) {
+        await tx.addresses.setDefault(userId, next.id);
+      }
+    }
+    return true;
+  });
+};
+
+/**
+ * Make an address the default one
+ */
+const setDefaultAddress = async (db, userId, id) => {
+  await findOwnAddressOrFail(db, userId, id);
+  return db.addresses.setDefault(userId, id);
+};
+
+/**
+ * Address to ship an order to: một địa chỉ đã lưu hoặc địa chỉ nhập trực tiếp
+ * @param {Object} input - { addressId, shippingAddress }
+ * @returns {Object} address snapshot để lưu vào đơn hàng
+ */
+const resolveCheckoutAddress = async (db, userId, { addressId, shippingAddress }) => {
+  if (Boolean(addressId) === Boolean(shippingAddress)) {
+    throw addressError('INVALID_ADDRESS', 'Provide either addressId or shippingAddress');
+  }
+
+  if (addressId) {
+    return toAddressSnapshot(await findOwnAddressOrFail(db, userId, addressId));
+  }
+  return withInputErrors(() => validateAddress(shippingAddress));
+};
+
+module.exports = {
+  MAX_ADDRESSES,
+  toAddressSnapshot,
+  listAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  setDefaultAddress,
+  resolveCheckoutAddress,
+};
@@ -0,0 +1,205 @@
+/**
+ * Discount Codes (admin)
+ * Tạo, sửa, tạm dừng, xóa mã giảm giá và sinh hàng loạt mã dùng một lần.
+ * Mọi thay đổi đều được kiểm tra lại trên toàn bộ record (sau khi gộp
+ * với dữ liệu cũ) để các trường phụ thuộc nhau luôn hợp lệ.
+ */
+
+const crypto = require('crypto');
+const {
+  sanitizeString,
+  sanitizeNumber,
+  validatePrice,
+  validateDiscountCode,
+} = require('../middleware/validation');
+const { DISCOUNT_TYPES } = require('./discounts');
+
+const MAX_GENERATED_CODES = 1000;
+const GENERATED_SUFFIX_LENGTH = 8;
+// Bỏ các ký tự dễ nhầm (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const discountError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const optionalInt = (value, min, max) => {
+  return value == null ? null : sanitizeNumber(Math.trunc(value), min, max);
+};
+
+const optionalDate = (value, field) => {
+  if (value == null) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field}`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Validate a full discount record (không gồm code)
+ * @returns {Object} the sanitized fields
+ */
+const validateDiscountFields = (input) => {
+  const type = input.type || DISCOUNT_TYPES.PERCENTAGE;
+  if (!Object.values(DISCOUNT_TYPES).includes(type)) {
+    throw new Error(`Invalid discount type: ${type}`);
+  }
+
+  const fields = {
+    type,
+    value: 0,
+    minSubtotal: input.minSubtotal == null ? 0 : validatePrice(input.minSubtotal),
+    productIds: (input.productIds || []).map(id => String(id)),
+    categories: (input.categories || [])
+      .map(category => sanitizeString(category, 50).toLowerCase())
+      .filter(Boolean),
+    buyQuantity: null,
+    getQuantity: null,
+    maxUses: optionalInt(input.maxUses, 1, 10000000),
+    maxUsesPerUser: optionalInt(input.maxUsesPerUser, 1, 1000),
+    startsAt: optionalDate(input.startsAt, 'start date'),
+    expiresAt: optionalDate(input.expiresAt, 'end date'),
+  };
+
+  switch (type) {
+    case DISCOUNT_TYPES.PERCENTAGE:
+      fields.value = sanitizeNumber(input.value, 0.01, 100);
+      break;
+    case DISCOUNT_TYPES.FIXED:
+      fields.value = validatePrice(input.value);
+      if (fields.value <= 0) {
+        throw new Error('Fixed discount must be greater than 0');
+      }
+      break;
+    case DISCOUNT_TYPES.BUY_X_GET_Y:
+      // value: phần trăm giảm cho sản phẩm được tặng
+      fields.value = input.value == null ? 100 : sanitizeNumber(input.value, 0.01, 100);
+      fields.buyQuantity = sanitizeNumber(Math.trunc(input.buyQuantity), 1, 100);
+      fields.getQuantity = sanitizeNumber(Math.trunc(input.getQuantity), 1, 100);
+      break;
+    default:
+      break;
+  }
+
+  if (fields.startsAt && fields.expiresAt && fields.startsAt >= fields.expiresAt) {
+    throw new Error('End date must be after start date');
+  }
+
+  return fields;
+};
+
+// Lỗi kiểm tra dữ liệu → INVALID_DISCOUNT
+const withInputErrors = (validate) => {
+  try {
+    return validate();
+  } catch (error) {
+    throw discountError('INVALID_DISCOUNT', error.message);
+  }
+};
+
+const findDiscountOrFail = async (db, id) => {
+  const discount = await db.discounts.findById(id);
+  if (!discount) {
+    throw discountError('DISCOUNT_NOT_FOUND', 'Discount not found');
+  }
+  return discount;
+};
+
+/**
+ * Create a discount code
+ */
+const createDiscount = async (db, input) => {
+  const record = withInputErrors(() => ({
+    code: validateDiscountCode(input.code),
+    ...validateDiscountFields(input),
+  }));
+
+  return db.discounts.create(record);
+};
+
+/**
+ * Update a discount (code không đổi được, chỉ đổi các trường được gửi lên)
+ */
+const updateDiscount = async (db, id, input) => {
+  const current = await findDiscountOrFail(db, id);
+  const merged = {
+    ...current,
+    ...Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined)),
+  };
+
+  const changes = withInputErrors(() => validateDiscountFields(merged));
+  return db.discounts.update(id, changes);
+};
+
+/**
+ * Pause or resume a discount
+ */
+const setDiscountPaused = async (db, id, paused) => {
+  await findDiscountOrFail(db, id);
+  return db.discounts.update(id, { paused });
+};
+
+/**
+ * Delete a discount (lịch sử lượt dùng vẫn được giữ)
+ */
+const deleteDiscount = async (db, id) => {
+  await findDiscountOrFail(db, id);
+  return db.discounts.delete(id);
+};
+
+const randomSuffix = () => {
+  let suffix = '';
+  for (let i = 0; i < GENERATED_SUFFIX_LENGTH; i++) {
+    suffix += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return suffix;
+};
+
+/**
+ * Generate unique single-use codes `<PREFIX>-<SUFFIX>` sharing one template
+ * @param {Object} input - { prefix, count, ...các trường của mã }
+ * @returns {Array} the created discounts
+ */
+const generateDiscountCodes = async (db, { prefix, count, ...template }) => {
+  const { cleanPrefix, fields } = withInputErrors(() => {
+    const cleaned = sanitizeString(prefix, 20).toUpperCase();
+    if (!/^[A-Z0-9]{1,11}$/.test(cleaned)) {
+      throw new Error('Prefix must be 1-11 letters or digits');
+    }
+    sanitizeNumber(count, 1, MAX_GENERATED_CODES);
+
+    return {
+      cleanPrefix: cleaned,
+      // Mã sinh hàng loạt chỉ dùng được một lần
+      fields: validateDiscountFields({ ...template, maxUses: 1, maxUsesPerUser: 1 }),
+    };
+  });
+
+  // Tạo tất cả hoặc không tạo mã nào
+  return db.transaction(async (tx) => {
+    const created = [];
+    while (created.length < count) {
+      const code = `${cleanPrefix}-${randomSuffix()}`;
+      if (await tx.discounts.findByCode(code)) continue;
+
+      created.push(await tx.discounts.create({ code, ...fields }));
+    }
+    return created;
+  });
+};
+
+module.exports = {
+  MAX_GENERATED_CODES,
+  createDiscount,
+  updateDiscount,
+  setDiscountPaused,
+  deleteDiscount,
+  generateDiscountCodes,
+};
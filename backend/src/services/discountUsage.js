@@ -0,0 +1,81 @@
+/**
+ * Discount Usage
+ * Lượt dùng mã giảm giá chỉ được tính khi checkout thành công
+ * (áp mã vào giỏ hàng không tốn lượt) và được trả lại khi đơn bị hủy.
+ * Ngoài giới hạn tổng (maxUses), mã có thể giới hạn số lần mỗi user dùng
+ * (maxUsesPerUser).
+ */
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const usageError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Whether a user still has redemptions left for a discount
+ */
+const canUserRedeem = async (db, discount, userId) => {
+  if (!discount.maxUsesPerUser || !userId) return true;
+
+  const used = await db.discountRedemptions.countActiveByUser(discount.id, userId);
+  return used < discount.maxUsesPerUser;
+};
+
+/**
+ * Check that a discount can still be redeemed by a user (chưa tính lượt dùng)
+ * @returns {Object} the discount
+ */
+const assertRedeemable = async (db, code, userId) => {
+  const discount = await db.discounts.findByCode(code);
+  if (!discount || !discount.valid) {
+    throw usageError('DISCOUNT_UNAVAILABLE', 'Discount code is no longer available');
+  }
+
+  if (!(await canUserRedeem(db, discount, userId))) {
+    throw usageError('DISCOUNT_USER_LIMIT', 'You have already used this discount code');
+  }
+
+  return discount;
+};
+
+/**
+ * Record a redemption for an order (gọi trong transaction của checkout)
+ * @param {Object} redemption - { code, userId, orderId, amount }
+ * @returns {Object} the stored redemption
+ */
+const redeemDiscount = async (db, { code, userId, orderId, amount }) => {
+  const discount = await assertRedeemable(db, code, userId);
+
+  await db.discounts.incrementUsage(discount.id);
+
+  return db.discountRedemptions.create({
+    discountId: discount.id,
+    code: discount.code,
+    userId,
+    orderId,
+    amount,
+  });
+};
+
+/**
+ * Give back the redemption of an order, if any
+ * @returns {Object|null} the released redemption
+ */
+const releaseRedemption = async (db, orderId) => {
+  const redemption = await db.discountRedemptions.findActiveByOrderId(orderId);
+  if (!redemption) return null;
+
+  await db.discounts.decrementUsage(redemption.discountId);
+  return db.discountRedemptions.release(redemption.id);
+};
+
+module.exports = {
+  assertRedeemable,
+  canUserRedeem,
+  redeemDiscount,
+  releaseRedemption,
+};
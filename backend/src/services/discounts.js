@@ -0,0 +1,264 @@
+/**
+ * Discount Engine
+ * Tính mã giảm giá trên các dòng hàng:
+ *   - percentage:   giảm value% trên các dòng được áp dụng
+ *   - fixed:        giảm value (tối đa bằng tổng các dòng được áp dụng)
+ *   - free_shipping: miễn phí vận chuyển
+ *   - buy_x_get_y:  mua buyQuantity tặng getQuantity (giảm value% cho phần tặng, mặc định 100%)
+ * Mã có thể giới hạn theo productIds / categories và yêu cầu minSubtotal.
+ */
+
+const { roundMoney, lineSubtotal } = require('./money');
+
+const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  FREE_SHIPPING: 'free_shipping',
+  BUY_X_GET_Y: 'buy_x_get_y',
+};
+
+// Lý do mã không dùng được (không phụ thuộc giỏ hàng)
+const UNAVAILABLE_REASONS = {
+  PAUSED: 'PAUSED',
+  NOT_STARTED: 'NOT_STARTED',
+  EXPIRED: 'EXPIRED',
+  USED_UP: 'USED_UP',
+};
+
+// Lý do mã chưa được áp dụng cho giỏ hàng hiện tại
+const INELIGIBLE_REASONS = {
+  MIN_SUBTOTAL: 'MIN_SUBTOTAL',
+  NO_ELIGIBLE_ITEMS: 'NO_ELIGIBLE_ITEMS',
+  NOT_ENOUGH_ITEMS: 'NOT_ENOUGH_ITEMS',
+};
+
+/**
+ * Why a discount record cannot be used right now
+ * @returns {string|null} one of UNAVAILABLE_REASONS, null khi mã dùng được
+ */
+const getUnavailableReason = (discount, now = new Date()) => {
+  if (discount.paused) return UNAVAILABLE_REASONS.PAUSED;
+  if (discount.startsAt && new Date(discount.startsAt) > now) return UNAVAILABLE_REASONS.NOT_STARTED;
+  if (discount.expiresAt && new Date(discount.expiresAt) < now) return UNAVAILABLE_REASONS.EXPIRED;
+  if (discount.maxUses != null && discount.usedCount >= discount.maxUses) return UNAVAILABLE_REASONS.USED_UP;
+  return null;
+};
+
+/**
+ * Build the rule stored on a cart from a discount record.
+ * `value` là phần trăm (percentage, buy_x_get_y) hoặc số tiền (fixed);
+ * record không có `type` được coi là mã percentage.
+ */
+const toDiscountRule = (record) => {
+  return {
+    code: record.code,
+    type: record.type || DISCOUNT_TYPES.PERCENTAGE,
+    value: record.value || 0,
+    minSubtotal: record.minSubtotal || 0,
+    productIds: record.productIds || [],
+    categories: record.categories || [],
+    buyQuantity: record.buyQuantity || 0,
+    getQuantity: record.getQuantity || 0,
+  };
+};
+
+/**
+ * Normalize what a cart stores in `discount`:
+ * rule object, legacy percentage number, or nothing
+ */
+const normalizeDiscount = (discount) => {
+  if (!discount) return null;
+  if (typeof discount === 'number') {
+    return toDiscountRule({ code: null, value: discount });
+  }
+  return toDiscountRule(discount);
+};
+
+const isScoped = (rule) => rule.productIds.length > 0 || rule.categories.length > 0;
+
+const appliesTo = (rule, item) => {
+  if (!isScoped(rule)) return true;
+  return rule.productIds.includes(item.productId) ||
+    (Boolean(item.category) && rule.categories.includes(item.category));
+};
+
+/**
+ * Split `total` across lines in proportion to their subtotal.
+ * Dòng cuối nhận phần lẻ để tổng phân bổ luôn bằng `total`.
+ */
+const allocateProportionally = (total, lines) => {
+  const allocations = {};
+  const base = lines.reduce((sum, item) => sum + lineSubtotal(item), 0);
+  if (base <= 0) return allocations;
+
+  let allocated = 0;
+  lines.forEach((item, index) => {
+    const amount = index === lines.length - 1
+      ? roundMoney(total - allocated)
+      : roundMoney(total * (lineSubtotal(item) / base));
+    allocated = roundMoney(allocated + amount);
+    allocations[item.id] = amount;
+  });
+  return allocations;
+};
+
+/**
+ * Buy X get Y: trong mỗi nhóm (X + Y) sản phẩm, Y sản phẩm rẻ nhất được giảm
+ */
+const allocateBuyXGetY = (rule, lines) => {
+  const groupSize = rule.buyQuantity + rule.getQuantity;
+  const units = lines
+    .flatMap(item => Array.from({ length: item.quantity }, () => item))
+    .sort((a, b) => a.price - b.price);
+  // Mã cấu hình sai (X và Y bằng 0) không tặng gì, tránh chia cho 0
+  const freeUnits = groupSize > 0
+    ? Math.floor(units.length / groupSize) * rule.getQuantity
+    : 0;
+  const percentOff = (rule.value || 100) / 100;
+
+  const allocations = {};
+  let amount = 0;
+  units.slice(0, freeUnits).forEach((item) => {
+    const unitDiscount = roundMoney(item.price * percentOff);
+    allocations[item.id] = roundMoney((allocations[item.id] || 0) + unitDiscount);
+    amount = roundMoney(amount + unitDiscount);
+  });
+
+  return { allocations, amount, unitCount: units.length, groupSize };
+};
+
+/**
+ * Evaluate a discount against cart lines
+ * @param {Object|number} discount - rule (hoặc phần trăm kiểu cũ)
+ * @param {Array} items - cart lines ({ id, productId, category, price, quantity })
+ * @returns {{ rule, qualifies, amount, freeShipping, allocations, reason, amountNeeded, itemsNeeded }}
+ */
+const evaluateDiscount = (discount, items = []) => {
+  const rule = normalizeDiscount(discount);
+  const result = {
+    rule,
+    qualifies: false,
+    amount: 0,
+    freeShipping: false,
+    allocations: {},
+    reason: null,
+    amountNeeded: null,
+    itemsNeeded: null,
+  };
+
+  if (!rule) return result;
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + lineSubtotal(item), 0));
+  if (rule.minSubtotal && subtotal < rule.minSubtotal) {
+    return {
+      ...result,
+      reason: INELIGIBLE_REASONS.MIN_SUBTOTAL,
+      amountNeeded: roundMoney(rule.minSubtotal - subtotal),
+    };
+  }
+
+  const eligible = items.filter(item => appliesTo(rule, item));
+  if (isScoped(rule) && eligible.length === 0) {
+    return { ...result, reason: INELIGIBLE_REASONS.NO_ELIGIBLE_ITEMS };
+  }
+
+  const eligibleSubtotal = eligible.reduce((sum, item) => sum + lineSubtotal(item), 0);
+
+  switch (rule.type) {
+    case DISCOUNT_TYPES.PERCENTAGE: {
+      const amount = roundMoney(eligibleSubtotal * (rule.value / 100));
+      const allocations = allocateProportionally(amount, eligible);
+      return { ...result, qualifies: true, amount, allocations };
+    }
+
+    case DISCOUNT_TYPES.FIXED: {
+      const amount = roundMoney(Math.min(rule.value, eligibleSubtotal));
+      const allocations = allocateProportionally(amount, eligible);
+      return { ...result, qualifies: true, amount, allocations };
+    }
+
+    case DISCOUNT_TYPES.FREE_SHIPPING:
+      return { ...result, qualifies: true, freeShipping: true };
+
+    case DISCOUNT_TYPES.BUY_X_GET_Y: {
+      const { allocations, amount, unitCount, groupSize } = allocateBuyXGetY(rule, eligible);
+      if (unitCount < groupSize) {
+        return {
+          ...result,
+          reason: INELIGIBLE_REASONS.NOT_ENOUGH_ITEMS,
+          itemsNeeded: groupSize - unitCount,
+        };
+      }
+      return { ...result, qualifies: true, amount, allocations };
+    }
+
+    default:
+      return result;
+  }
+};
+
+/**
+ * Short human-readable description of a rule
+ */
+const describeDiscount = (discount) => {
+  const rule = normalizeDiscount(discount);
+  if (!rule) return null;
+
+  switch (rule.type) {
+    case DISCOUNT_TYPES.FIXED:
+      return `Giảm $${rule.value}`;
+    case DISCOUNT_TYPES.FREE_SHIPPING:
+      return 'Miễn phí vận chuyển';
+    case DISCOUNT_TYPES.BUY_X_GET_Y:
+      return `Mua ${rule.buyQuantity} tặng ${rule.getQuantity}`;
+    default:
+      return `Giảm ${rule.value}%`;
+  }
+};
+
+/**
+ * Explain why a discount does not qualify yet
+ */
+const explainIneligibility = (evaluation) => {
+  switch (evaluation.reason) {
+    case INELIGIBLE_REASONS.MIN_SUBTOTAL:
+      return `Mua thêm $${evaluation.amountNeeded} để dùng mã này`;
+    case INELIGIBLE_REASONS.NO_ELIGIBLE_ITEMS:
+      return 'Giỏ hàng chưa có sản phẩm được áp dụng mã này';
+    case INELIGIBLE_REASONS.NOT_ENOUGH_ITEMS:
+      return `Thêm ${evaluation.itemsNeeded} sản phẩm được áp dụng để dùng mã này`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Message for a code that cannot be used (xem getUnavailableReason)
+ */
+const explainUnavailability = (reason) => {
+  switch (reason) {
+    case UNAVAILABLE_REASONS.PAUSED:
+      return 'Mã giảm giá đang tạm dừng';
+    case UNAVAILABLE_REASONS.NOT_STARTED:
+      return 'Mã giảm giá chưa đến thời gian áp dụng';
+    case UNAVAILABLE_REASONS.EXPIRED:
+      return 'Mã giảm giá đã hết hạn';
+    case UNAVAILABLE_REASONS.USED_UP:
+      return 'Mã giảm giá đã hết lượt sử dụng';
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  UNAVAILABLE_REASONS,
+  INELIGIBLE_REASONS,
+  getUnavailableReason,
+  toDiscountRule,
+  normalizeDiscount,
+  evaluateDiscount,
+  describeDiscount,
+  explainIneligibility,
+  explainUnavailability,
+};
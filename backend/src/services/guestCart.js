@@ -0,0 +1,150 @@
+/**
+ * Guest Cart
+ * Khách chưa đăng nhập được cấp một guest id (`guest-<uuid>`) trong token
+ * có chữ ký; giỏ hàng của khách lưu như giỏ hàng thường với userId = guest id.
+ * Khi đăng nhập, giỏ của khách được gộp vào giỏ của user.
+ */
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { priceCart } = require('./pricing');
+
+const GUEST_CART_HEADER = 'x-guest-cart-token';
+const GUEST_CART_TOKEN_TTL = '30d';
+const GUEST_ID_PREFIX = 'guest-';
+const MAX_LINE_QUANTITY = 999;
+
+const TOKEN_TYPE = 'guest_cart';
+
+const getSecret = () => {
+  return process.env.GUEST_CART_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+};
+
+// Lý do một dòng hàng bị thay đổi khi gộp giỏ
+const MERGE_REASONS = {
+  STOCK_LIMITED: 'STOCK_LIMITED',
+  UNAVAILABLE: 'UNAVAILABLE',
+};
+
+/**
+ * Generate a new guest id
+ */
+const createGuestId = () => `${GUEST_ID_PREFIX}${uuidv4()}`;
+
+/**
+ * Sign a guest cart token for a guest id
+ */
+const createGuestCartToken = (guestId) => {
+  return jwt.sign({ guestId, type: TOKEN_TYPE }, getSecret(), { expiresIn: GUEST_CART_TOKEN_TTL });
+};
+
+/**
+ * Verify a guest cart token
+ * @returns {string|null} guest id, or null when missing or invalid
+ */
+const verifyGuestCartToken = (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, getSecret());
+    if (decoded.type !== TOKEN_TYPE || !String(decoded.guestId).startsWith(GUEST_ID_PREFIX)) {
+      return null;
+    }
+    return decoded.guestId;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sameLine = (a, b) => {
+  return a.productId === b.productId && JSON.stringify(a.variant) === JSON.stringify(b.variant);
+};
+
+/**
+ * Merge a guest's cart into a user's cart and delete the guest cart.
+ * - Cùng sản phẩm và variant: cộng số lượng
+ * - Số lượng vượt tồn kho: giảm về mức còn hàng
+ * - Sản phẩm không còn bán: bỏ dòng đó
+ * - Mã giảm giá: giữ mã cho tổng tiền thấp hơn trên giỏ đã gộp
+ * @returns {{ cart, adjustments }} adjustments: các dòng không gộp được nguyên vẹn
+ */
+const mergeGuestCart = async (db, { guestId, userId }) => {
+  return db.transaction(async (tx) => {
+    let cart = await tx.carts.findByUserId(userId);
+    if (!cart) {
+      cart = await tx.carts.create({ userId });
+    }
+
+    const guestCart = await tx.carts.findByUserId(guestId);
+    if (!guestCart) {
+      return { cart, adjustments: [] };
+    }
+
+    const adjustments = [];
+
+    for (const guestItem of guestCart.items) {
+      const product = await tx.products.findById(guestItem.productId);
+      const existing = cart.items.find(item => sameLine(item, guestItem));
+      const currentQuantity = existing ? existing.quantity : 0;
+      const requestedQuantity = currentQuantity + guestItem.quantity;
+
+      if (!product || product.archived) {
+        adjustments.push({
+          productId: guestItem.productId,
+          variant: guestItem.variant,
+          requestedQuantity,
+          quantity: currentQuantity,
+          reason: MERGE_REASONS.UNAVAILABLE,
+        });
+        continue;
+      }
+
+      const quantity = Math.min(requestedQuantity, product.stock, MAX_LINE_QUANTITY);
+      if (quantity < requestedQuantity) {
+        adjustments.push({
+          productId: guestItem.productId,
+          variant: guestItem.variant,
+          requestedQuantity,
+          quantity,
+          reason: MERGE_REASONS.STOCK_LIMITED,
+        });
+      }
+
+      if (existing) {
+        if (quantity !== existing.quantity) {
+          cart = quantity > 0
+            ? await tx.carts.updateItemQuantity(cart.id, existing.id, quantity)
+            : await tx.carts.removeItem(cart.id, existing.id);
+        }
+      } else if (quantity > 0) {
+        cart = await tx.carts.addItem(cart.id, {
+          productId: guestItem.productId,
+          quantity,
+          variant: guestItem.variant,
+          price: product.price,
+          category: product.category,
+          taxClass: product.taxClass,
+          weight: product.weight,
+        });
+      }
+    }
+
+    if (guestCart.discount &&
+        priceCart({ ...cart, discount: guestCart.discount }).total < priceCart(cart).total) {
+      cart = await tx.carts.applyDiscount(cart.id, guestCart.discount);
+    }
+
+    await tx.carts.delete(guestCart.id);
+
+    return { cart, adjustments };
+  });
+};
+
+module.exports = {
+  GUEST_CART_HEADER,
+  MERGE_REASONS,
+  createGuestId,
+  createGuestCartToken,
+  verifyGuestCartToken,
+  mergeGuestCart,
+};
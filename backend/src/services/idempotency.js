@@ -0,0 +1,144 @@
+/**
+ * Idempotency Keys
+ * Mutation gửi kèm idempotency key (trường `idempotencyKey` của input hoặc header
+ * Idempotency-Key) chỉ chạy một lần cho mỗi owner và key. Gửi lại cùng key trong
+ * thời hạn IDEMPOTENCY_TTL_MS (mặc định 24 giờ) nhận lại kết quả cũ mà không chạy lại;
+ * cùng key nhưng nội dung khác thì bị từ chối.
+ * Key đang chạy chỉ được giữ trong IDEMPOTENCY_LEASE_MS (mặc định 2 phút): nếu process
+ * chết giữa chừng, hết lease thì request gửi lại với cùng key được chạy lại.
+ */
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+// Dài hơn nhiều so với thời gian chờ payment gateway (PAYMENT_TIMEOUT_MS)
+const DEFAULT_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const idempotencyError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * How long results are kept (đọc mỗi lần gọi để đổi được khi chạy)
+ */
+const getIdempotencyTtl = (env = process.env) => {
+  const ttl = Number(env.IDEMPOTENCY_TTL_MS);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_MS;
+};
+
+/**
+ * How long an unfinished request keeps its key
+ */
+const getIdempotencyLease = (env = process.env) => {
+  const lease = Number(env.IDEMPOTENCY_LEASE_MS);
+  return Number.isFinite(lease) && lease > 0 ? lease : DEFAULT_LEASE_MS;
+};
+
+/**
+ * Validate a client supplied key
+ * @throws INVALID_IDEMPOTENCY_KEY
+ */
+const validateIdempotencyKey = (key) => {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9_.:-]{8,255}$/.test(key)) {
+    throw idempotencyError(
+      'INVALID_IDEMPOTENCY_KEY',
+      'Idempotency key must be 8-255 letters, digits or _ . : -'
+    );
+  }
+  return key;
+};
+
+// JSON với key của object được sắp xếp, để cùng nội dung luôn cho cùng fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprintOf = (operation, payload) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${operation}:${stableStringify(payload)}`)
+    .digest('hex');
+};
+
+/**
+ * Run `execute` at most once per owner and key
+ * Request lỗi không được lưu: key được bỏ để client gửi lại.
+ * @param {Object} options - { ownerId, key, operation, payload, ttlMs, leaseMs }
+ * @throws IDEMPOTENCY_KEY_CONFLICT khi key đã dùng cho request khác
+ * @throws IDEMPOTENCY_IN_PROGRESS khi request cùng key đang chạy
+ */
+const withIdempotency = async (db, {
+  ownerId,
+  key,
+  operation,
+  payload,
+  ttlMs = getIdempotencyTtl(),
+  leaseMs = getIdempotencyLease(),
+}, execute) => {
+  if (!key) {
+    return execute();
+  }
+
+  validateIdempotencyKey(key);
+  const fingerprint = fingerprintOf(operation, payload);
+
+  const existing = await db.idempotencyKeys.begin({
+    ownerId,
+    key,
+    operation,
+    fingerprint,
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    leaseExpiresAt: new Date(Date.now() + leaseMs).toISOString(),
+  });
+
+  if (existing) {
+    if (existing.operation !== operation || existing.fingerprint !== fingerprint) {
+      throw idempotencyError(
+        'IDEMPOTENCY_KEY_CONFLICT',
+        'Idempotency key was already used with a different request'
+      );
+    }
+    if (existing.status !== 'completed') {
+      throw idempotencyError(
+        'IDEMPOTENCY_IN_PROGRESS',
+        'A request with this idempotency key is still being processed'
+      );
+    }
+    return structuredClone(existing.response);
+  }
+
+  let response;
+  try {
+    response = await execute();
+  } catch (error) {
+    await db.idempotencyKeys.release(ownerId, key);
+    throw error;
+  }
+
+  await db.idempotencyKeys.complete(ownerId, key, response);
+  return response;
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_HEADER,
+  getIdempotencyTtl,
+  getIdempotencyLease,
+  validateIdempotencyKey,
+  withIdempotency,
+};
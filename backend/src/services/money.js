@@ -0,0 +1,23 @@
+/**
+ * Money helpers
+ * Dùng chung cho pricing và discounts (tránh require vòng giữa hai module)
+ */
+
+/**
+ * Round an amount to cents
+ */
+const roundMoney = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Line subtotal (price * quantity)
+ */
+const lineSubtotal = (item) => {
+  return item.price * item.quantity;
+};
+
+module.exports = {
+  roundMoney,
+  lineSubtotal,
+};
@@ -0,0 +1,100 @@
+/**
+ * Order History
+ * Lọc, sắp xếp và phân trang (cursor) danh sách đơn hàng của user
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Trường được phép sắp xếp và cách lấy giá trị so sánh
+const SORT_FIELDS = {
+  CREATED_AT: (order) => new Date(order.createdAt).getTime(),
+  TOTAL: (order) => order.total || 0,
+};
+
+/**
+ * Encode the position of an order in the current sort order
+ */
+const encodeCursor = (value, id) => {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64');
+};
+
+/**
+ * Decode a cursor, throwing a coded error when it is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (id === undefined) throw new Error('missing id');
+    return { value, id };
+  } catch (error) {
+    const invalid = new Error('Invalid cursor');
+    invalid.code = 'INVALID_CURSOR';
+    throw invalid;
+  }
+};
+
+/**
+ * Keep orders matching status and date range
+ */
+const filterOrders = (orders, { status, from, to } = {}) => {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+
+  return orders.filter((order) => {
+    const createdAt = new Date(order.createdAt).getTime();
+    if (status && status.length > 0 && !status.includes(order.status)) return false;
+    return createdAt >= fromTime && createdAt <= toTime;
+  });
+};
+
+/**
+ * Filter, sort and paginate orders into a connection
+ * @param {Array} orders - all orders of the user
+ * @param {Object} options - { filter, sort: { field, direction }, first, after }
+ * @returns {{ edges, pageInfo, totalCount }}
+ */
+const paginateOrders = (orders, { filter, sort = {}, first = DEFAULT_PAGE_SIZE, after } = {}) => {
+  const field = sort.field || 'CREATED_AT';
+  const direction = sort.direction === 'ASC' ? 1 : -1;
+  const getValue = SORT_FIELDS[field];
+  const pageSize = Math.min(Math.max(first, 1), MAX_PAGE_SIZE);
+
+  // So sánh theo giá trị sắp xếp, cùng giá trị thì theo id để thứ tự ổn định
+  const compare = (a, b) => {
+    if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * direction;
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -1 : 1;
+  };
+
+  const keyed = filterOrders(orders, filter)
+    .map(order => ({ order, value: getValue(order), id: order.id }))
+    .sort(compare);
+
+  const start = after ? decodeCursor(after) : null;
+  const remaining = start ? keyed.filter(entry => compare(entry, start) > 0) : keyed;
+  const page = remaining.slice(0, pageSize);
+
+  const edges = page.map(entry => ({
+    cursor: encodeCursor(entry.value, entry.id),
+    node: entry.order,
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: remaining.length > pageSize,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+    },
+    totalCount: keyed.length,
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  filterOrders,
+  paginateOrders,
+};
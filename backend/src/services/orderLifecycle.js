@@ -0,0 +1,77 @@
+/**
+ * Order Lifecycle
+ * Máy trạng thái của đơn hàng:
+ *   pending_payment → pending → paid → shipped → delivered
+ *   pending_payment → payment_failed
+ *   pending_payment | pending | paid → cancelled
+ *   paid | shipped | delivered → refunded
+ * Hàng chỉ bị trừ kho khi thanh toán đã được authorize (pending_payment → pending).
+ */
+
+const ORDER_STATUS = {
+  PENDING_PAYMENT: 'pending_payment',
+  PAYMENT_FAILED: 'payment_failed',
+  PENDING: 'pending',
+  PAID: 'paid',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+};
+
+// Trạng thái kế tiếp hợp lệ của từng trạng thái
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING_PAYMENT]: [
+    ORDER_STATUS.PENDING,
+    ORDER_STATUS.PAYMENT_FAILED,
+    ORDER_STATUS.CANCELLED,
+  ],
+  [ORDER_STATUS.PAYMENT_FAILED]: [],
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+// Chuyển sang các trạng thái này thì hàng được trả lại kho
+const RESTOCK_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+// Đơn ở các trạng thái này chưa trừ kho
+const UNRESERVED_STATUSES = [ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.PAYMENT_FAILED];
+
+/**
+ * Check whether an order may move from one status to another
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Throw if the transition is not allowed
+ */
+const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    const error = new Error(`Cannot change order status from ${from} to ${to}`);
+    error.code = 'INVALID_ORDER_TRANSITION';
+    throw error;
+  }
+};
+
+/**
+ * Whether moving to `status` returns the order's items to stock
+ * @param {string} status - trạng thái mới
+ * @param {string} [from] - trạng thái hiện tại
+ */
+const shouldRestock = (status, from) => {
+  return RESTOCK_STATUSES.includes(status) && !UNRESERVED_STATUSES.includes(from);
+};
+
+module.exports = {
+  ORDER_STATUS,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  shouldRestock,
+};
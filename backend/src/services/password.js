@@ -0,0 +1,88 @@
+/**
+ * Password hashing
+ * scrypt của Node (crypto) với salt ngẫu nhiên cho mỗi mật khẩu.
+ * Hash lưu dạng `scrypt$<salt hex>$<key hex>`.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Check password strength, throwing a coded error when it is too weak
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH) {
+    const error = new Error(
+      `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`
+    );
+    error.code = 'INVALID_PASSWORD';
+    throw error;
+  }
+  return password;
+};
+
+/**
+ * Hash a password with a fresh random salt
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+/**
+ * Synchronous variant for seeding accounts at startup
+ */
+const hashPasswordSync = (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+// Hash giả để email không tồn tại vẫn tốn đúng một lần scrypt như email có thật
+const DUMMY_HASH = hashPasswordSync(crypto.randomBytes(SALT_BYTES).toString('hex'));
+
+/**
+ * Burn the same scrypt work as a real check, for unknown accounts
+ * @returns {Promise<false>}
+ */
+const verifyDummyPassword = async (password) => {
+  await verifyPassword(typeof password === 'string' ? password : '', DUMMY_HASH);
+  return false;
+};
+
+/**
+ * Compare a password against a stored hash in constant time
+ */
+const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const [scheme, saltHex, keyHex] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  hashPassword,
+  hashPasswordSync,
+  verifyPassword,
+  verifyDummyPassword,
+};
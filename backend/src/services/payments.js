@@ -0,0 +1,154 @@
+/**
+ * Payments
+ * Lớp trung gian giữa checkout/đơn hàng và payment gateway.
+ * Mọi gateway đều có authorize, retrieve, findByReference, capture, void, refund;
+ * mỗi lần gọi bị giới hạn thời gian để gateway treo không giữ request mãi.
+ */
+
+const { ORDER_STATUS } = require('./orderLifecycle');
+const { logger, serializeError } = require('../utils/logger');
+
+const PAYMENT_STATUS = {
+  AUTHORIZED: 'authorized',
+  REQUIRES_ACTION: 'requires_action',
+  DECLINED: 'declined',
+  CAPTURED: 'captured',
+  VOIDED: 'voided',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+};
+
+// Khoản thanh toán đang giữ tiền của khách (chưa capture)
+const HELD_STATUSES = [PAYMENT_STATUS.AUTHORIZED, PAYMENT_STATUS.REQUIRES_ACTION];
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const paymentError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const withTimeout = async (promise, timeoutMs, action) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(paymentError('PAYMENT_TIMEOUT', `Payment gateway timed out during ${action}`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Create the payment service for a gateway
+ * @param {Object} options - { gateway, timeoutMs }
+ * @throws PAYMENT_TIMEOUT khi gateway không trả lời kịp
+ */
+const createPaymentService = ({ gateway, timeoutMs = 10000 }) => {
+  const call = (action, ...args) => {
+    return withTimeout(Promise.resolve(gateway[action](...args)), timeoutMs, action);
+  };
+
+  // Authorize trả lời sau khi đã hết giờ chờ: đơn đã thành payment_failed nên
+  // mọi khoản còn giữ tiền của khách với cùng reference đều phải được void
+  const releaseLateAuthorization = async (pending, reference) => {
+    const late = await pending.catch(() => null);
+    const candidates = reference
+      ? await gateway.findByReference(reference)
+      : [late].filter(Boolean);
+
+    await Promise.all(candidates
+      .filter(payment => HELD_STATUSES.includes(payment.status))
+      .map(payment => gateway.void(payment.id)));
+  };
+
+  return {
+    gateway,
+    // Lỗi từ chối thanh toán không phải exception: kết quả có status declined
+    authorize: async (request) => {
+      const pending = Promise.resolve(gateway.authorize(request));
+      try {
+        return await withTimeout(pending, timeoutMs, 'authorize');
+      } catch (error) {
+        if (error.code === 'PAYMENT_TIMEOUT') {
+          releaseLateAuthorization(pending, request.reference).catch((releaseError) => {
+            logger.error('Failed to void late authorization', {
+              reference: request.reference,
+              ...serializeError(releaseError),
+            });
+          });
+        }
+        throw error;
+      }
+    },
+    retrieve: (paymentId) => call('retrieve', paymentId),
+    capture: (paymentId, amount) => call('capture', paymentId, amount),
+    void: (paymentId) => call('void', paymentId),
+    refund: (paymentId, amount) => call('refund', paymentId, amount),
+  };
+};
+
+/**
+ * Payment fields stored on an order
+ */
+const toOrderPayment = (gatewayName, payment) => ({
+  id: payment.id,
+  gateway: gatewayName,
+  status: payment.status,
+  amount: payment.amount,
+  declineCode: payment.declineCode || null,
+  nextAction: payment.nextAction || null,
+});
+
+/**
+ * Move money to match a new order status
+ *   paid      - capture khoản đã authorize
+ *   cancelled - void nếu chưa capture, refund nếu đã capture
+ *   refunded  - refund khoản đã capture
+ * @returns {Object|null} the updated gateway payment, null khi không cần làm gì
+ */
+const settlePayment = async (payments, payment, status) => {
+  if (!payment) return null;
+
+  switch (status) {
+    case ORDER_STATUS.PAID:
+      return payments.capture(payment.id);
+    case ORDER_STATUS.CANCELLED:
+    case ORDER_STATUS.REFUNDED:
+      if (HELD_STATUSES.includes(payment.status)) {
+        return payments.void(payment.id);
+      }
+      if (payment.status === PAYMENT_STATUS.CAPTURED) {
+        return payments.refund(payment.id);
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Undo a settlement whose order update could not be saved
+ * Chỉ capture đảo ngược được (refund); void và refund thì không.
+ * @returns {Object|null} the updated gateway payment, null khi không làm gì được
+ */
+const compensatePayment = async (payments, payment) => {
+  if (payment && payment.status === PAYMENT_STATUS.CAPTURED) {
+    return payments.refund(payment.id);
+  }
+  return null;
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  createPaymentService,
+  toOrderPayment,
+  settlePayment,
+  compensatePayment,
+};
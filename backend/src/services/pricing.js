@@ -0,0 +1,82 @@
+/**
+ * Pricing Service
+ * Một nguồn tính giá duy nhất cho Cart resolvers và checkout,
+ * để tổng tiền của đơn hàng luôn khớp với những gì getCart hiển thị.
+ */
+
+const { roundMoney, lineSubtotal } = require('./money');
+const { DISCOUNT_TYPES, evaluateDiscount } = require('./discounts');
+const { calculateTax } = require('./tax');
+const { getShippingZone, quoteShipping, resolveShippingMethod } = require('./shipping');
+
+/**
+ * Calculate the full price breakdown for a list of cart lines
+ * @param {Array} items - cart lines ({ id, productId, category, taxClass, price, quantity })
+ * @param {Object} options
+ * @param {Object|number} options.discount - discount rule applied to the cart
+ *   (số cũ được hiểu là phần trăm)
+ * @param {string} options.region - tax region (mặc định: vùng mặc định trong cấu hình thuế)
+ * @param {string} options.shippingMethod - phương thức giao hàng đã chọn
+ *   (không giao được tới vùng này thì dùng phương thức mặc định)
+ * @returns {{ subtotal, discount, discountCode, discountAmount, tax, taxRegion, taxLines,
+ *   shipping, shippingMethod, shippingZone, total, allocations }}
+ *   allocations: số tiền giảm của từng dòng, theo item id
+ */
+const calculatePricing = (items = [], { discount = 0, region = null, shippingMethod = null } = {}) => {
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + lineSubtotal(item), 0));
+  const evaluation = evaluateDiscount(discount, items);
+  const { rule, qualifies } = evaluation;
+
+  const discountAmount = evaluation.amount;
+  const afterDiscount = roundMoney(subtotal - discountAmount);
+  // Thuế tính trên tiền hàng của từng dòng sau khi trừ phần giảm giá của dòng đó
+  const taxResult = calculateTax(items.map(item => ({
+    taxClass: item.taxClass,
+    amount: lineSubtotal(item) - (evaluation.allocations[item.id] || 0),
+  })), { region });
+  const { tax } = taxResult;
+  
+  // Miễn phí vận chuyển dựa trên subtotal trước giảm giá
+  const shippingZone = getShippingZone(taxResult.region);
+  const shippingQuote = quoteShipping(resolveShippingMethod(shippingMethod, shippingZone), {
+    items,
+    subtotal,
+    zone: shippingZone,
+    freeShipping: qualifies && evaluation.freeShipping,
+  });
+  const shipping = shippingQuote.amount;
+
+  return {
+    subtotal,
+    // Giữ `discount` là phần trăm cho client cũ; các loại mã khác trả về 0
+    discount: qualifies && rule.type === DISCOUNT_TYPES.PERCENTAGE ? rule.value : 0,
+    discountCode: qualifies ? rule.code : null,
+    discountAmount,
+    tax,
+    taxRegion: taxResult.region,
+    taxLines: taxResult.lines,
+    shipping,
+    shippingMethod: shippingQuote.method,
+    shippingZone,
+    total: roundMoney(afterDiscount + tax + shipping),
+    allocations: evaluation.allocations,
+  };
+};
+
+/**
+ * Price breakdown for a whole cart
+ */
+const priceCart = (cart) => {
+  return calculatePricing(cart.items || [], {
+    discount: cart.discount,
+    region: cart.shippingRegion,
+    shippingMethod: cart.shippingMethod,
+  });
+};
+
+module.exports = {
+  roundMoney,
+  lineSubtotal,
+  calculatePricing,
+  priceCart,
+};
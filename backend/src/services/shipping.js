@@ -0,0 +1,142 @@
+/**
+ * Shipping
+ * Phí vận chuyển theo phương thức (standard, express, pickup) và vùng nhận hàng:
+ *   phí = base + perKg * (cân nặng vượt includedWeight) + perItem * (số sản phẩm - 1)
+ * Đơn có subtotal (trước giảm giá) từ freeOver trở lên được miễn phí.
+ * Vùng nhận hàng (zone) suy ra từ vùng tính thuế của giỏ hàng.
+ */
+
+const { roundMoney } = require('./money');
+
+const SHIPPING_METHODS = {
+  STANDARD: 'standard',
+  EXPRESS: 'express',
+  PICKUP: 'pickup',
+};
+
+const DEFAULT_SHIPPING_METHOD = SHIPPING_METHODS.STANDARD;
+
+const SHIPPING_ZONES = {
+  DOMESTIC: 'domestic',
+  REGIONAL: 'regional',
+  INTERNATIONAL: 'international',
+};
+
+// Vùng không có trong bảng là international
+const ZONE_BY_REGION = {
+  VN: SHIPPING_ZONES.DOMESTIC,
+  SG: SHIPPING_ZONES.REGIONAL,
+};
+
+// Bảng phí; phương thức không có rate cho một zone thì không dùng được ở zone đó
+const RATE_TABLE = {
+  [SHIPPING_METHODS.STANDARD]: {
+    name: 'Giao hàng tiêu chuẩn',
+    includedWeight: 2,
+    zones: {
+      [SHIPPING_ZONES.DOMESTIC]: { base: 10, perKg: 2, perItem: 0, freeOver: 100, days: [3, 5] },
+      [SHIPPING_ZONES.REGIONAL]: { base: 20, perKg: 5, perItem: 1, freeOver: 300, days: [5, 10] },
+      [SHIPPING_ZONES.INTERNATIONAL]: { base: 35, perKg: 10, perItem: 2, freeOver: null, days: [7, 21] },
+    },
+  },
+  [SHIPPING_METHODS.EXPRESS]: {
+    name: 'Giao hàng nhanh',
+    includedWeight: 0.5,
+    zones: {
+      [SHIPPING_ZONES.DOMESTIC]: { base: 25, perKg: 4, perItem: 1, freeOver: null, days: [1, 2] },
+      [SHIPPING_ZONES.REGIONAL]: { base: 45, perKg: 8, perItem: 2, freeOver: null, days: [2, 4] },
+      [SHIPPING_ZONES.INTERNATIONAL]: { base: 70, perKg: 15, perItem: 3, freeOver: null, days: [3, 7] },
+    },
+  },
+  [SHIPPING_METHODS.PICKUP]: {
+    name: 'Nhận tại cửa hàng',
+    includedWeight: 0,
+    zones: {
+      [SHIPPING_ZONES.DOMESTIC]: { base: 0, perKg: 0, perItem: 0, freeOver: null, days: [0, 1] },
+    },
+  },
+};
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const shippingError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Shipping zone of a (normalized) tax region
+ */
+const getShippingZone = (region) => {
+  return ZONE_BY_REGION[region] || SHIPPING_ZONES.INTERNATIONAL;
+};
+
+const isAvailable = (method, zone) => {
+  return Boolean(RATE_TABLE[method] && RATE_TABLE[method].zones[zone]);
+};
+
+/**
+ * Price one shipping method for cart lines
+ * @param {string} method - SHIPPING_METHODS
+ * @param {Object} options - { items, subtotal, zone, freeShipping }
+ *   freeShipping: mã giảm giá miễn phí vận chuyển (chỉ áp dụng cho standard)
+ * @returns {{ method, name, zone, amount, freeShippingThreshold, estimatedDays }}
+ */
+const quoteShipping = (method, { items = [], subtotal = 0, zone, freeShipping = false }) => {
+  if (!isAvailable(method, zone)) {
+    throw shippingError('SHIPPING_METHOD_UNAVAILABLE', `Shipping method ${method} is not available for ${zone}`);
+  }
+
+  const { name, includedWeight, zones } = RATE_TABLE[method];
+  const rate = zones[zone];
+
+  const weight = items.reduce((sum, item) => sum + (item.weight || 0) * item.quantity, 0);
+  const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  const isFree = (freeShipping && method === SHIPPING_METHODS.STANDARD) ||
+    (rate.freeOver !== null && subtotal >= rate.freeOver);
+
+  const amount = isFree ? 0 : roundMoney(
+    rate.base +
+    rate.perKg * Math.max(0, weight - includedWeight) +
+    rate.perItem * Math.max(0, itemCount - 1)
+  );
+
+  return {
+    method,
+    name,
+    zone,
+    amount,
+    freeShippingThreshold: rate.freeOver,
+    estimatedDays: { min: rate.days[0], max: rate.days[1] },
+  };
+};
+
+/**
+ * Quotes of every method available in a zone
+ */
+const getShippingOptions = (options) => {
+  return Object.values(SHIPPING_METHODS)
+    .filter(method => isAvailable(method, options.zone))
+    .map(method => quoteShipping(method, options));
+};
+
+/**
+ * The selected method if it can ship to the zone, otherwise the default method
+ */
+const resolveShippingMethod = (method, zone) => {
+  return method && isAvailable(method, zone) ? method : DEFAULT_SHIPPING_METHOD;
+};
+
+module.exports = {
+  SHIPPING_METHODS,
+  SHIPPING_ZONES,
+  DEFAULT_SHIPPING_METHOD,
+  getShippingZone,
+  quoteShipping,
+  getShippingOptions,
+  resolveShippingMethod,
+  isShippingMethodAvailable: isAvailable,
+};
@@ -0,0 +1,163 @@
+/**
+ * Tax Engine
+ * Thuế tính theo vùng giao hàng và loại thuế của sản phẩm
+ * (standard, reduced, exempt). Bảng thuế suất đọc từ file JSON:
+ *   TAX_RATES_FILE (mặc định src/config/taxRates.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { roundMoney } = require('./money');
+
+const TAX_CLASSES = {
+  STANDARD: 'standard',
+  REDUCED: 'reduced',
+  EXEMPT: 'exempt',
+};
+
+const DEFAULT_TAX_RATES_FILE = path.join(__dirname, '..', 'config', 'taxRates.json');
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const taxError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check a tax configuration and normalize region codes to upper case
+ */
+const validateTaxConfig = (config) => {
+  if (!config || typeof config.regions !== 'object') {
+    throw new Error('Tax config must define regions');
+  }
+
+  const regions = {};
+  for (const [code, region] of Object.entries(config.regions)) {
+    for (const taxClass of Object.values(TAX_CLASSES)) {
+      const rate = region.rates && region.rates[taxClass];
+      if (typeof rate !== 'number' || rate < 0 || rate >= 1) {
+        throw new Error(`Invalid ${taxClass} rate for tax region ${code}`);
+      }
+    }
+    regions[code.toUpperCase()] = { name: region.name || code, rates: { ...region.rates } };
+  }
+
+  const defaultRegion = String(config.defaultRegion || '').toUpperCase();
+  if (!regions[defaultRegion]) {
+    throw new Error(`Default tax region ${config.defaultRegion} is not configured`);
+  }
+
+  return { defaultRegion, regions };
+};
+
+/**
+ * Read and validate a tax configuration file
+ */
+const loadTaxConfig = (filePath = process.env.TAX_RATES_FILE || DEFAULT_TAX_RATES_FILE) => {
+  return validateTaxConfig(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+};
+
+let cachedConfig = null;
+
+/**
+ * Tax configuration of the process (đọc file một lần)
+ */
+const getTaxConfig = () => {
+  if (!cachedConfig) {
+    cachedConfig = loadTaxConfig();
+  }
+  return cachedConfig;
+};
+
+/**
+ * Replace the process tax configuration (dùng cho test)
+ * @param {Object|null} config - null để đọc lại từ file
+ */
+const setTaxConfig = (config) => {
+  cachedConfig = config ? validateTaxConfig(config) : null;
+};
+
+/**
+ * Normalize a region code, falling back to the default region
+ * @throws UNKNOWN_TAX_REGION khi vùng không có trong cấu hình
+ */
+const resolveTaxRegion = (region, config = getTaxConfig()) => {
+  if (!region) return config.defaultRegion;
+
+  const code = String(region).trim().toUpperCase();
+  if (!config.regions[code]) {
+    throw taxError('UNKNOWN_TAX_REGION', `Unknown tax region: ${region}`);
+  }
+  return code;
+};
+
+/**
+ * Tax region of a shipping address
+ * Ưu tiên vùng theo tỉnh/bang (US-CA), rồi vùng đã chọn (preferred) nếu cùng quốc gia,
+ * cuối cùng là chính quốc gia đó (mức mặc định cho các bang chưa cấu hình riêng).
+ * @throws UNKNOWN_TAX_REGION khi quốc gia không có vùng thuế nào
+ */
+const resolveAddressTaxRegion = (address, preferred = null, config = getTaxConfig()) => {
+  const country = String(address.country).trim().toUpperCase();
+  const withinCountry = (code) => code === country || code.startsWith(`${country}-`);
+
+  const candidates = [
+    address.province ? `${country}-${String(address.province).trim().toUpperCase()}` : null,
+    preferred ? String(preferred).trim().toUpperCase() : null,
+    country,
+  ];
+  const code = candidates.find(candidate => candidate && withinCountry(candidate) && config.regions[candidate]);
+  if (!code) {
+    throw taxError('UNKNOWN_TAX_REGION', `Unknown tax region: ${country}`);
+  }
+  return code;
+};
+
+/**
+ * Calculate tax for priced lines
+ * @param {Array} lines - [{ taxClass, amount }] amount: tiền hàng sau giảm giá
+ * @param {Object} options - { region, config }
+ * @returns {{ region, tax, lines }} lines: mỗi loại thuế một dòng
+ *   ({ taxClass, rate, taxableAmount, amount })
+ */
+const calculateTax = (lines = [], { region, config = getTaxConfig() } = {}) => {
+  const regionCode = resolveTaxRegion(region, config);
+  const { rates } = config.regions[regionCode];
+
+  const byClass = new Map();
+  for (const line of lines) {
+    const taxClass = rates[line.taxClass] === undefined ? TAX_CLASSES.STANDARD : line.taxClass;
+    byClass.set(taxClass, (byClass.get(taxClass) || 0) + line.amount);
+  }
+
+  const taxLines = Object.values(TAX_CLASSES)
+    .filter(taxClass => byClass.has(taxClass))
+    .map((taxClass) => {
+      const taxableAmount = roundMoney(byClass.get(taxClass));
+      return {
+        taxClass,
+        rate: rates[taxClass],
+        taxableAmount,
+        amount: roundMoney(taxableAmount * rates[taxClass]),
+      };
+    });
+
+  return {
+    region: regionCode,
+    tax: roundMoney(taxLines.reduce((sum, line) => sum + line.amount, 0)),
+    lines: taxLines,
+  };
+};
+
+module.exports = {
+  TAX_CLASSES,
+  loadTaxConfig,
+  getTaxConfig,
+  setTaxConfig,
+  resolveTaxRegion,
+  resolveAddressTaxRegion,
+  calculateTax,
+};
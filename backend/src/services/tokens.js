@@ -0,0 +1,139 @@
+/**
+ * Tokens
+ * Access token (JWT) ngắn hạn + refresh token dài hạn lưu phía server.
+ * Mỗi lần refresh, token cũ bị đổi sang token mới cùng "family";
+ * dùng lại một token đã đổi nghĩa là token bị lộ → thu hồi cả family.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { generateToken } = require('../middleware/auth');
+const { loggers } = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Build an error carrying a machine-readable code
+ */
+const tokenError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Chỉ lưu hash, lộ db cũng không dùng được refresh token
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issue an access token and a new refresh token
+ * @param {Object} options - { familyId } để tiếp tục family khi rotate
+ * @returns {{ accessToken, refreshToken, refreshTokenExpiresAt }}
+ */
+const issueTokens = async (db, user, { familyId = uuidv4() } = {}) => {
+  const accessToken = generateToken(user.id, { email: user.email, role: user.role });
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+  await db.refreshTokens.create({
+    id: hashToken(refreshToken),
+    userId: user.id,
+    familyId,
+    expiresAt: refreshTokenExpiresAt,
+  });
+
+  return { accessToken, refreshToken, refreshTokenExpiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {Object} events - structured loggers của request (có correlation id)
+ * @returns {{ user, accessToken, refreshToken, refreshTokenExpiresAt }}
+ */
+const rotateRefreshToken = async (db, refreshToken, events = loggers) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    throw tokenError('INVALID_REFRESH_TOKEN', 'Refresh token required');
+  }
+
+  const id = hashToken(refreshToken);
+
+  // Lỗi ném trong transaction sẽ rollback cả việc thu hồi family,
+  // nên transaction trả về kết quả và chỉ ném lỗi sau khi commit
+  const result = await db.transaction(async (tx) => {
+    const stored = await tx.refreshTokens.findById(id);
+    if (!stored) {
+      return { error: tokenError('INVALID_REFRESH_TOKEN', 'Invalid refresh token') };
+    }
+
+    if (stored.replacedBy) {
+      await tx.refreshTokens.revokeFamily(stored.familyId);
+      return {
+        reused: stored,
+        error: tokenError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used'),
+      };
+    }
+
+    if (stored.revokedAt) {
+      return { error: tokenError('INVALID_REFRESH_TOKEN', 'Refresh token has been revoked') };
+    }
+
+    if (new Date(stored.expiresAt) <= new Date()) {
+      return { error: tokenError('INVALID_REFRESH_TOKEN', 'Refresh token expired') };
+    }
+
+    const user = await tx.users.findById(stored.userId);
+    if (!user) {
+      return { error: tokenError('INVALID_REFRESH_TOKEN', 'Invalid refresh token') };
+    }
+
+    const tokens = await issueTokens(tx, user, { familyId: stored.familyId });
+    await tx.refreshTokens.markRotated(id, hashToken(tokens.refreshToken));
+
+    return { user, ...tokens };
+  });
+
+  if (result.reused) {
+    events.security.suspiciousActivity({
+      reason: 'refresh_token_reuse',
+      userId: result.reused.userId,
+      familyId: result.reused.familyId,
+    });
+  }
+  if (result.error) {
+    throw result.error;
+  }
+
+  events.auth.tokenRefresh(result.user.id);
+  return result;
+};
+
+/**
+ * Put an access token on the revocation list until it expires
+ * @param {Object} decoded - payload của JWT đã verify
+ */
+const revokeAccessToken = async (db, decoded) => {
+  if (!decoded || !decoded.jti) return;
+  await db.revokedTokens.add(decoded.jti, new Date(decoded.exp * 1000).toISOString());
+};
+
+/**
+ * Revoke the family a refresh token belongs to (logout)
+ */
+const revokeRefreshToken = async (db, refreshToken) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) return 0;
+
+  const stored = await db.refreshTokens.findById(hashToken(refreshToken));
+  if (!stored) return 0;
+
+  return db.refreshTokens.revokeFamily(stored.familyId);
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken,
+};
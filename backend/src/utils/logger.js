@@ -1,11 +1,16 @@
 /**
  * Logging Utility
  * Winston-based logger với multiple transports
+ * Log ghi dạng JSON (mỗi dòng một object); LOG_FORMAT=pretty để console dễ đọc khi dev.
+ * Mỗi request có correlation id (header X-Correlation-Id) gắn vào mọi dòng log của nó.
  */
 
+const crypto = require('crypto');
 const winston = require('winston');
 const path = require('path');
 
+const CORRELATION_ID_HEADER = 'x-correlation-id';
+
 // Define log levels
 const levels = {
   error: 0,
@@ -33,45 +38,31 @@ const level = () => {
   return isDevelopment ? 'debug' : 'info';
 };
 
-// Define log format
+// Define log format (JSON, timestamp ISO)
 const format = winston.format.combine(
-  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
+  winston.format.timestamp(),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
-  winston.format.printf((info) => {
-    const { timestamp, level, message, stack, ...meta } = info;
-    
-    let log = `${timestamp} [${level.toUpperCase()}]: ${message}`;
-    
-    // Add metadata if present
-    if (Object.keys(meta).length > 0) {
-      log += `\n${JSON.stringify(meta, null, 2)}`;
-    }
-    
-    // Add stack trace for errors
-    if (stack) {
-      log += `\n${stack}`;
-    }
-    
-    return log;
-  })
+  winston.format.json()
 );
 
-// Define console format (with colors)
-const consoleFormat = winston.format.combine(
+// Define console format (with colors) cho LOG_FORMAT=pretty
+const prettyFormat = winston.format.combine(
   winston.format.colorize({ all: true }),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.printf((info) => {
-    const { timestamp, level, message } = info;
-    return `${timestamp} [${level}]: ${message}`;
+    const { timestamp, level, message, correlationId } = info;
+    const id = correlationId ? ` (${correlationId})` : '';
+    return `${timestamp} [${level}]${id}: ${message}`;
   })
 );
 
 // Create transports
 const transports = [
-  // Console transport
+  // Console transport (tắt khi chạy test)
   new winston.transports.Console({
-    format: consoleFormat,
+    format: process.env.LOG_FORMAT === 'pretty' ? prettyFormat : format,
+    silent: process.env.NODE_ENV === 'test',
   }),
   
   // Error log file
@@ -116,17 +107,51 @@ logger.stream = {
   },
 };
 
+/**
+ * Error fields that survive JSON output (Error không serialize được trực tiếp)
+ */
+const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+  return {
+    message: error.message,
+    code: error.code || error.extensions?.code,
+    stack: error.stack,
+  };
+};
+
+/**
+ * Correlation id middleware
+ * Nhận id từ header X-Correlation-Id (nếu hợp lệ) hoặc tạo mới, trả lại trong
+ * response và gắn vào req: req.correlationId, req.log (child logger), req.loggers.
+ */
+const correlationId = (req, res, next) => {
+  const incoming = req.headers[CORRELATION_ID_HEADER];
+  const id = typeof incoming === 'string' && /^[A-Za-z0-9_.:-]{1,128}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  
+  req.correlationId = id;
+  req.log = createChildLogger({ correlationId: id });
+  req.loggers = createLoggers(req.log);
+  res.setHeader('X-Correlation-Id', id);
+  
+  next();
+};
+
 /**
  * Log request middleware
  */
 const logRequest = (req, res, next) => {
+  const log = req.log || logger;
   const start = Date.now();
   
   res.on('finish', () => {
     const duration = Date.now() - start;
-    const log = {
+    const details = {
       method: req.method,
-      url: req.url,
+      url: req.originalUrl || req.url,
       status: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip || req.connection.remoteAddress,
@@ -134,9 +159,9 @@ const logRequest = (req, res, next) => {
     };
     
     if (res.statusCode >= 400) {
-      logger.warn('Request failed', log);
+      log.warn('Request failed', details);
     } else {
-      logger.http('Request completed', log);
+      log.http('Request completed', details);
     }
   });
   
@@ -147,12 +172,11 @@ const logRequest = (req, res, next) => {
  * Log error middleware
  */
 const logError = (err, req, res, next) => {
-  logger.error('Error occurred', {
-    message: err.message,
-    stack: err.stack,
+  // Không ghi body: có thể chứa mật khẩu / token
+  (req.log || logger).error('Error occurred', {
+    ...serializeError(err),
     method: req.method,
-    url: req.url,
-    body: req.body,
+    url: req.originalUrl || req.url,
     params: req.params,
     query: req.query,
     ip: req.ip || req.connection.remoteAddress,
@@ -162,13 +186,13 @@ const logError = (err, req, res, next) => {
 };
 
 /**
- * Structured logging helpers
+ * Structured logging helpers ghi qua `log` (logger chung hoặc child logger của request)
  */
-const loggers = {
+const createLoggers = (log) => ({
   // Authentication logs
   auth: {
     login: (userId, success, details = {}) => {
-      logger.info('Authentication attempt', {
+      log.info('Authentication attempt', {
         event: 'login',
         userId,
         success,
@@ -176,15 +200,29 @@ const loggers = {
       });
     },
     
+    register: (userId) => {
+      log.info('User registered', {
+        event: 'register',
+        userId,
+      });
+    },
+    
+    passwordChanged: (userId) => {
+      log.info('Password changed', {
+        event: 'password_change',
+        userId,
+      });
+    },
+    
     logout: (userId) => {
-      logger.info('User logged out', {
+      log.info('User logged out', {
         event: 'logout',
         userId,
       });
     },
     
     tokenRefresh: (userId) => {
-      logger.info('Token refreshed', {
+      log.info('Token refreshed', {
         event: 'token_refresh',
         userId,
       });
@@ -194,7 +232,7 @@ const loggers = {
   // Cart operation logs
   cart: {
     addItem: (userId, productId, quantity) => {
-      logger.info('Item added to cart', {
+      log.info('Item added to cart', {
         event: 'cart_add',
         userId,
         productId,
@@ -203,7 +241,7 @@ const loggers = {
     },
     
     removeItem: (userId, itemId) => {
-      logger.info('Item removed from cart', {
+      log.info('Item removed from cart', {
         event: 'cart_remove',
         userId,
         itemId,
@@ -211,7 +249,7 @@ const loggers = {
     },
     
     updateQuantity: (userId, itemId, quantity) => {
-      logger.info('Cart quantity updated', {
+      log.info('Cart quantity updated', {
         event: 'cart_update',
         userId,
         itemId,
@@ -219,29 +257,63 @@ const loggers = {
       });
     },
     
+    clear: (userId) => {
+      log.info('Cart cleared', {
+        event: 'cart_clear',
+        userId,
+      });
+    },
+    
+    merge: (userId, guestId, adjustments) => {
+      log.info('Guest cart merged', {
+        event: 'cart_merge',
+        userId,
+        guestId,
+        adjustments,
+      });
+    },
+    
     checkout: (userId, orderId, total) => {
-      logger.info('Checkout completed', {
+      log.info('Checkout completed', {
         event: 'checkout',
         userId,
         orderId,
         total,
       });
     },
+    
+    // Đơn chưa hoàn tất: thanh toán bị từ chối, cần xác thực hoặc lỗi
+    checkoutFailed: (userId, orderId, reason) => {
+      log.warn('Checkout not completed', {
+        event: 'checkout_failed',
+        userId,
+        orderId,
+        reason,
+      });
+    },
   },
   
   // Discount logs
   discount: {
-    applied: (userId, code, percentage) => {
-      logger.info('Discount code applied', {
+    applied: (userId, code, amount) => {
+      log.info('Discount code applied', {
         event: 'discount_applied',
         userId,
         code,
-        percentage,
+        amount,
+      });
+    },
+    
+    removed: (userId, code) => {
+      log.info('Discount code removed', {
+        event: 'discount_removed',
+        userId,
+        code,
       });
     },
     
     failed: (userId, code, reason) => {
-      logger.warn('Discount code failed', {
+      log.warn('Discount code failed', {
         event: 'discount_failed',
         userId,
         code,
@@ -253,7 +325,7 @@ const loggers = {
   // Security logs
   security: {
     rateLimitExceeded: (identifier, endpoint) => {
-      logger.warn('Rate limit exceeded', {
+      log.warn('Rate limit exceeded', {
         event: 'rate_limit',
         identifier,
         endpoint,
@@ -261,24 +333,33 @@ const loggers = {
     },
     
     invalidToken: (token) => {
-      logger.warn('Invalid token attempt', {
+      log.warn('Invalid token attempt', {
         event: 'invalid_token',
         token: token ? token.substring(0, 10) + '...' : 'null',
       });
     },
     
     suspiciousActivity: (details) => {
-      logger.error('Suspicious activity detected', {
+      log.error('Suspicious activity detected', {
         event: 'suspicious_activity',
         ...details,
       });
     },
+    
+    queryRejected: (operationName, limit, analysis) => {
+      log.warn('GraphQL query rejected', {
+        event: 'query_rejected',
+        operationName,
+        limit,
+        ...analysis,
+      });
+    },
   },
   
   // Database logs
   database: {
     queryError: (query, error) => {
-      logger.error('Database query failed', {
+      log.error('Database query failed', {
         event: 'db_error',
         query,
         error: error.message,
@@ -286,7 +367,7 @@ const loggers = {
     },
     
     connectionError: (error) => {
-      logger.error('Database connection failed', {
+      log.error('Database connection failed', {
         event: 'db_connection_error',
         error: error.message,
       });
@@ -296,7 +377,7 @@ const loggers = {
   // Performance logs
   performance: {
     slowQuery: (query, duration) => {
-      logger.warn('Slow query detected', {
+      log.warn('Slow query detected', {
         event: 'slow_query',
         query,
         duration: `${duration}ms`,
@@ -304,13 +385,23 @@ const loggers = {
     },
     
     highMemory: (usage) => {
-      logger.warn('High memory usage', {
+      log.warn('High memory usage', {
         event: 'high_memory',
         usage,
       });
     },
+    
+    queryCost: (operationName, analysis) => {
+      log.info('GraphQL query cost', {
+        event: 'query_cost',
+        operationName,
+        ...analysis,
+      });
+    },
   },
-};
+});
+
+const loggers = createLoggers(logger);
 
 /**
  * Create child logger with default metadata
@@ -319,6 +410,41 @@ const createChildLogger = (defaultMeta) => {
   return logger.child(defaultMeta);
 };
 
+/**
+ * Apollo Server plugin: log mỗi operation GraphQL qua logger của request (context.logger)
+ * Lỗi có code (input sai, chưa đăng nhập, rate limit, ...) ghi mức warn;
+ * lỗi không có code hoặc INTERNAL_SERVER_ERROR ghi mức error kèm stack.
+ */
+const createGraphQLLoggingPlugin = () => ({
+  async requestDidStart({ context }) {
+    const log = context.logger || logger;
+    const start = Date.now();
+    
+    return {
+      async didEncounterErrors({ errors, operationName }) {
+        for (const error of errors) {
+          const code = error.extensions?.code;
+          const details = { operationName, path: error.path, code, message: error.message };
+          
+          if (!code || code === 'INTERNAL_SERVER_ERROR') {
+            log.error('GraphQL error', { ...details, stack: (error.originalError || error).stack });
+          } else {
+            log.warn('GraphQL error', details);
+          }
+        }
+      },
+      
+      async willSendResponse({ operationName, response }) {
+        log.http('GraphQL operation', {
+          operationName,
+          duration: `${Date.now() - start}ms`,
+          errors: response.errors ? response.errors.length : 0,
+        });
+      },
+    };
+  },
+});
+
 /**
  * Log application startup
  */
@@ -354,11 +480,16 @@ const dev = (label, data) => {
 };
 
 module.exports = {
+  CORRELATION_ID_HEADER,
   logger,
+  serializeError,
+  correlationId,
   logRequest,
   logError,
   loggers,
+  createLoggers,
   createChildLogger,
+  createGraphQLLoggingPlugin,
   logStartup,
   logShutdown,
   dev,
@@ -0,0 +1,148 @@
+// backend/tests/accounts.test.js - registration, password login and lockout
+
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { hashPassword, verifyPassword, verifyDummyPassword } = require('../src/services/password');
+const {
+  MAX_FAILED_ATTEMPTS,
+  register,
+  login,
+  changePassword
+} = require('../src/services/accounts');
+const { loggers } = require('../src/utils/logger');
+
+describe('Password hashing', () => {
+  test('should salt every hash', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+
+    expect(first).not.toBe(second);
+    expect(await verifyPassword('correct horse', first)).toBe(true);
+    expect(await verifyPassword('wrong horse', first)).toBe(false);
+  });
+
+  test('should reject malformed hashes', async () => {
+    expect(await verifyPassword('password123', 'plain-text')).toBe(false);
+    expect(await verifyPassword('password123', undefined)).toBe(false);
+  });
+
+  test('dummy checks should never match', async () => {
+    expect(await verifyDummyPassword('password123')).toBe(false);
+    expect(await verifyDummyPassword(undefined)).toBe(false);
+  });
+});
+
+describe('Accounts', () => {
+  let db;
+  let loginLog;
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    loginLog = jest.spyOn(loggers.auth, 'login').mockImplementation(() => {});
+  });
+
+  describe('register', () => {
+    test('should store a normalized email and a hashed password', async () => {
+      const user = await register(db, {
+        email: '  New.User@Example.com ',
+        password: 'secret-pass',
+        name: '<b>New</b> User'
+      });
+
+      expect(user.email).toBe('new.user@example.com');
+      expect(user.name).toBe('New User');
+      expect(user.role).toBe('user');
+      expect(user.passwordHash).not.toContain('secret-pass');
+      expect(await db.users.findByEmail('new.user@example.com')).toMatchObject({ id: user.id });
+    });
+
+    test('should reject invalid emails, weak passwords and duplicates', async () => {
+      await expect(register(db, { email: 'not-an-email', password: 'secret-pass' }))
+        .rejects.toMatchObject({ code: 'INVALID_EMAIL' });
+      await expect(register(db, { email: 'a@example.com', password: 'short' }))
+        .rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+      await expect(register(db, { email: 'TEST@example.com', password: 'secret-pass' }))
+        .rejects.toMatchObject({ code: 'EMAIL_TAKEN' });
+    });
+  });
+
+  describe('login', () => {
+    test('should return the user for the right password', async () => {
+      const user = await login(db, { email: 'test@example.com', password: 'password123' });
+
+      expect(user.id).toBe('user-1');
+      expect(loginLog).toHaveBeenCalledWith('user-1', true, expect.objectContaining({
+        email: 'test@example.com'
+      }));
+    });
+
+    test('should log through the request loggers when given', async () => {
+      const events = { auth: { login: jest.fn() } };
+      await login(db, { email: 'test@example.com', password: 'password123' }, {}, events);
+
+      expect(events.auth.login).toHaveBeenCalledWith('user-1', true, expect.any(Object));
+      expect(loginLog).not.toHaveBeenCalled();
+    });
+
+    test('should log failed attempts without revealing which part was wrong', async () => {
+      await expect(login(db, { email: 'test@example.com', password: 'nope' }))
+        .rejects.toThrow('Invalid email or password');
+      await expect(login(db, { email: 'nobody@example.com', password: 'password123' }))
+        .rejects.toThrow('Invalid email or password');
+
+      expect(loginLog).toHaveBeenCalledWith('user-1', false, expect.objectContaining({
+        reason: 'invalid_password',
+        attempts: 1
+      }));
+      expect(loginLog).toHaveBeenCalledWith(null, false, expect.objectContaining({
+        reason: 'unknown_email'
+      }));
+    });
+
+    test('should lock the account after repeated failures', async () => {
+      for (let i = 1; i < MAX_FAILED_ATTEMPTS; i++) {
+        await expect(login(db, { email: 'test@example.com', password: 'wrong-pass' }))
+          .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+      }
+      await expect(login(db, { email: 'test@example.com', password: 'wrong-pass' }))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+
+      // Đúng mật khẩu cũng bị từ chối khi đang khóa
+      await expect(login(db, { email: 'test@example.com', password: 'password123' }))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+    });
+
+    test('should unlock after the lock expires and reset the counter', async () => {
+      await db.users.update('user-1', {
+        failedLoginAttempts: 3,
+        lockedUntil: new Date(Date.now() - 1000).toISOString()
+      });
+
+      await login(db, { email: 'test@example.com', password: 'password123' });
+
+      const user = await db.users.findById('user-1');
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockedUntil).toBeNull();
+    });
+  });
+
+  describe('changePassword', () => {
+    test('should replace the password', async () => {
+      await changePassword(db, 'user-1', {
+        currentPassword: 'password123',
+        newPassword: 'new-password'
+      });
+
+      await expect(login(db, { email: 'test@example.com', password: 'password123' }))
+        .rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+      expect((await login(db, { email: 'test@example.com', password: 'new-password' })).id)
+        .toBe('user-1');
+    });
+
+    test('should require the current password', async () => {
+      await expect(changePassword(db, 'user-1', {
+        currentPassword: 'wrong-pass',
+        newPassword: 'new-password'
+      })).rejects.toThrow('Current password is incorrect');
+    });
+  });
+});
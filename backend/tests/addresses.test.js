@@ -0,0 +1,191 @@
+// backend/tests/addresses.test.js - address book and checkout addresses
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { sanitizePhone, validateAddress } = require('../src/middleware/validation');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Address validation', () => {
+  test('sanitizePhone should follow the frontend rules', () => {
+    expect(sanitizePhone('+84 (90) 123-4567')).toBe('+84901234567');
+    expect(() => sanitizePhone('12345')).toThrow('Invalid phone number length');
+    expect(() => sanitizePhone('1234567890123456')).toThrow('Invalid phone number length');
+  });
+
+  test('validateAddress should sanitize and normalize fields', () => {
+    const address = validateAddress({
+      ...testAddress,
+      recipient: ' <b>Test</b> User ',
+      line2: '',
+      postalCode: '70000',
+      country: 'vn'
+    });
+
+    expect(address).toEqual({
+      recipient: 'Test User',
+      phone: '0901234567',
+      line1: '123 Test St',
+      line2: null,
+      city: 'Ho Chi Minh City',
+      province: null,
+      postalCode: '70000',
+      country: 'VN'
+    });
+  });
+
+  test('validateAddress should reject missing or invalid fields', () => {
+    expect(() => validateAddress('123 Test St')).toThrow('Invalid address');
+    expect(() => validateAddress({ ...testAddress, city: '<p></p>' })).toThrow('city is required');
+    expect(() => validateAddress({ ...testAddress, country: 'V1' })).toThrow('Country must be a 2-letter ISO code');
+    expect(() => validateAddress({ ...testAddress, postalCode: '#1' })).toThrow('Invalid postal code');
+    expect(() => validateAddress({ ...testAddress, country: 'Vietnam' })).toThrow('Country must be a 2-letter ISO code');
+    expect(() => validateAddress({ ...testAddress, postalCode: '1234567890123' }))
+      .toThrow('postalCode must be at most 12 characters');
+    expect(() => validateAddress({ ...testAddress, city: 'x'.repeat(101) })).toThrow('city must be at most 100 characters');
+  });
+});
+
+describe('Address book', () => {
+  let db;
+  let context;
+
+  const add = (input, isDefault = false) => {
+    return resolvers.Mutation.addAddress(null, { input, isDefault }, context);
+  };
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    context = { user: { id: 'user-1', role: 'user' }, db };
+  });
+
+  test('the first address should become the default', async () => {
+    const home = await add(testAddress);
+    const office = await add({ ...testAddress, line1: '1 Office Rd' });
+
+    expect(home.isDefault).toBe(true);
+    expect(office.isDefault).toBe(false);
+
+    const addresses = await resolvers.Query.getAddresses(null, {}, context);
+    expect(addresses.map(a => a.id)).toEqual([home.id, office.id]);
+  });
+
+  test('setDefaultAddress should keep a single default', async () => {
+    const home = await add(testAddress);
+    const office = await add({ ...testAddress, line1: '1 Office Rd' });
+
+    await resolvers.Mutation.setDefaultAddress(null, { id: office.id }, context);
+
+    const addresses = await resolvers.Query.getAddresses(null, {}, context);
+    expect(addresses.map(a => [a.id, a.isDefault])).toEqual([[office.id, true], [home.id, false]]);
+  });
+
+  test('updateAddress should only change the given fields', async () => {
+    const home = await add(testAddress);
+
+    const updated = await resolvers.Mutation.updateAddress(
+      null,
+      { id: home.id, input: { line2: 'Apt 4', phone: '090 999 8888' } },
+      context
+    );
+
+    expect(updated).toMatchObject({ ...testAddress, line2: 'Apt 4', phone: '0909998888', isDefault: true });
+    await expect(
+      resolvers.Mutation.updateAddress(null, { id: home.id, input: { phone: '123' } }, context)
+    ).rejects.toThrow('Invalid phone number length');
+  });
+
+  test('removing the default address should promote the next one', async () => {
+    const home = await add(testAddress);
+    const office = await add({ ...testAddress, line1: '1 Office Rd' });
+
+    expect(await resolvers.Mutation.removeAddress(null, { id: home.id }, context)).toBe(true);
+
+    const addresses = await resolvers.Query.getAddresses(null, {}, context);
+    expect(addresses).toHaveLength(1);
+    expect(addresses[0]).toMatchObject({ id: office.id, isDefault: true });
+  });
+
+  test('users should not reach addresses of other users', async () => {
+    const home = await add(testAddress);
+    const otherContext = { user: { id: 'admin-1', role: 'admin' }, db };
+
+    expect(await resolvers.Query.getAddresses(null, {}, otherContext)).toEqual([]);
+    await expect(
+      resolvers.Mutation.removeAddress(null, { id: home.id }, otherContext)
+    ).rejects.toThrow('Address not found');
+  });
+
+  test('address operations should require login', async () => {
+    await expect(
+      resolvers.Mutation.addAddress(null, { input: testAddress }, { user: null, db })
+    ).rejects.toThrow('You must be logged in');
+  });
+});
+
+describe('Checkout addresses', () => {
+  let db;
+  let context;
+
+  const checkout = async (address) => {
+    const cart = await resolvers.Mutation.addToCart(
+      null,
+      { input: { productId: '3', quantity: 1 } },
+      context
+    );
+    return resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        paymentMethod: 'card',
+        ...address
+      }
+    }, context);
+  };
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    context = { user: { id: 'user-1', role: 'user' }, db };
+  });
+
+  test('should store a snapshot of a saved address', async () => {
+    const saved = await resolvers.Mutation.addAddress(
+      null,
+      { input: testAddress, isDefault: false },
+      context
+    );
+
+    const result = await checkout({ addressId: saved.id });
+    await resolvers.Mutation.updateAddress(null, { id: saved.id, input: { line1: '9 New St' } }, context);
+    const order = await db.orders.findById(result.orderId);
+
+    expect(resolvers.Order.shippingAddress(order)).toEqual({
+      ...testAddress,
+      line2: null,
+      province: null,
+      postalCode: null
+    });
+  });
+
+  test('should accept an inline address', async () => {
+    const result = await checkout({ shippingAddress: { ...testAddress, country: 'sg' } });
+    const order = await db.orders.findById(result.orderId);
+
+    expect(order.shippingAddress.country).toBe('SG');
+  });
+
+  test('should require exactly one address source', async () => {
+    await expect(checkout({})).rejects.toThrow('Provide either addressId or shippingAddress');
+    await expect(checkout({ addressId: 'missing', shippingAddress: testAddress }))
+      .rejects.toThrow('Provide either addressId or shippingAddress');
+    await expect(checkout({ addressId: 'missing' })).rejects.toThrow('Address not found');
+    await expect(checkout({ shippingAddress: { ...testAddress, phone: 'call me' } }))
+      .rejects.toThrow('Invalid phone number length');
+
+    // Không có đơn nào được tạo
+    expect(await db.orders.findByUserId('user-1')).toEqual([]);
+  });
+
+  test('orders with a legacy string address should still resolve', () => {
+    expect(resolvers.Order.shippingAddress({ shippingAddress: '1 Old Road' }))
+      .toMatchObject({ line1: '1 Old Road', recipient: '' });
+  });
+});
@@ -0,0 +1,136 @@
+// backend/tests/authDirective.test.js - @auth directive on the executable schema
+
+const { graphql } = require('graphql');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const typeDefs = require('../src/schema/typeDefs');
+const resolvers = require('../src/resolvers/index');
+const { authDirectiveTransformer, hasRole } = require('../src/schema/directives/auth');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+
+const schema = authDirectiveTransformer(makeExecutableSchema({ typeDefs, resolvers }));
+
+const ADJUST_STOCK = `
+  mutation AdjustStock($id: ID!, $delta: Int!) {
+    adjustStock(id: $id, delta: $delta) {
+      id
+      stock
+    }
+  }
+`;
+
+const CREATE_PRODUCT = `
+  mutation CreateProduct($input: CreateProductInput!) {
+    createProduct(input: $input) {
+      id
+      name
+    }
+  }
+`;
+
+const GET_PRODUCTS = `
+  query {
+    getProducts {
+      id
+    }
+  }
+`;
+
+describe('@auth directive', () => {
+  let db;
+
+  const execute = (source, variableValues, context) => {
+    return graphql({ schema, source, variableValues, contextValue: { db, ...context } });
+  };
+
+  const asUser = async (id) => {
+    const user = await db.users.findById(id);
+    return { user, role: user.role };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+  });
+
+  test('should let admins call admin mutations', async () => {
+    const result = await execute(ADJUST_STOCK, { id: '1', delta: 5 }, await asUser('admin-1'));
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.adjustStock.stock).toBe(55);
+  });
+
+  test('should reject regular users with FORBIDDEN', async () => {
+    const result = await execute(
+      CREATE_PRODUCT,
+      { input: { name: 'iPad Air', price: 599 } },
+      await asUser('user-1')
+    );
+
+    expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+    expect(result.data).toBeNull();
+    expect(await db.products.findAll({ limit: 100 })).toHaveLength(4);
+  });
+
+  test('should reject anonymous callers as unauthenticated', async () => {
+    const result = await execute(ADJUST_STOCK, { id: '1', delta: 5 }, { user: null, role: null });
+
+    expect(result.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+    expect((await db.products.findById('1')).stock).toBe(50);
+  });
+
+  test('catalog mutations should require admin', async () => {
+    const context = await asUser('user-1');
+    const mutations = [
+      [CREATE_PRODUCT, { input: { name: 'iPad Air', price: 599 } }],
+      ['mutation ($id: ID!) { archiveProduct(id: $id) { id } }', { id: '1' }],
+      [ADJUST_STOCK, { id: '1', delta: 5 }]
+    ];
+
+    for (const [source, variables] of mutations) {
+      const result = await execute(source, variables, context);
+      expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+    }
+    const product = await db.products.findById('1');
+    expect(product.stock).toBe(50);
+    expect(product.archived).toBeFalsy();
+  });
+
+  test('order mutations should require admin', async () => {
+    const context = await asUser('user-1');
+    const order = await db.orders.create({ userId: 'user-1', items: [], total: 0, status: 'paid' });
+    const mutations = [
+      'mutation ($id: ID!) { captureOrderPayment(id: $id) { id } }',
+      'mutation ($id: ID!) { markOrderShipped(id: $id) { id } }',
+      'mutation ($id: ID!) { markOrderDelivered(id: $id) { id } }',
+      'mutation ($id: ID!) { refundOrder(id: $id) { id } }'
+    ];
+
+    for (const source of mutations) {
+      const result = await execute(source, { id: order.id }, context);
+      expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+    }
+    expect((await db.orders.findById(order.id)).status).toBe('paid');
+  });
+
+  test('should use the role from context, not the user record', async () => {
+    const { user } = await asUser('admin-1');
+
+    const result = await execute(ADJUST_STOCK, { id: '1', delta: 5 }, { user, role: 'user' });
+
+    expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+  });
+
+  test('should leave fields without @auth untouched', async () => {
+    const result = await execute(GET_PRODUCTS, {}, { user: null, role: null });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.getProducts).toHaveLength(4);
+  });
+
+  test('hasRole should treat admin as a superset of user', () => {
+    expect(hasRole('admin', 'USER')).toBe(true);
+    expect(hasRole('admin', 'ADMIN')).toBe(true);
+    expect(hasRole('user', 'ADMIN')).toBe(false);
+    expect(hasRole(undefined, 'USER')).toBe(false);
+  });
+});
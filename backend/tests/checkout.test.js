@@ -0,0 +1,100 @@
+// backend/tests/checkout.test.js - checkout against a real in-memory adapter
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Checkout transaction', () => {
+  let db;
+
+  const checkoutInput = (cartItemIds) => ({
+    input: {
+      cartItemIds,
+      shippingAddress: testAddress,
+      paymentMethod: 'credit_card'
+    }
+  });
+
+  // Tạo giỏ hàng cho user với một dòng sản phẩm
+  const fillCart = async (userId, productId, quantity) => {
+    const cart = await db.carts.create({ userId });
+    const updated = await db.carts.addItem(cart.id, {
+      productId,
+      quantity,
+      price: 100,
+      variant: null
+    });
+    return updated.items[0].id;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+  });
+
+  test('two concurrent checkouts should not oversell the last units', async () => {
+    const product = await db.products.findById('2');
+    product.stock = 2;
+
+    const itemA = await fillCart('user-a', '2', 2);
+    const itemB = await fillCart('user-b', '2', 2);
+
+    const results = await Promise.allSettled([
+      resolvers.Mutation.checkout(null, checkoutInput([itemA]), { user: { id: 'user-a' }, db }),
+      resolvers.Mutation.checkout(null, checkoutInput([itemB]), { user: { id: 'user-b' }, db }),
+    ]);
+
+    const fulfilled = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.message).toBe('Insufficient stock for MacBook Air M3');
+    expect((await db.products.findById('2')).stock).toBe(0);
+
+    // Giỏ hàng của người thua vẫn giữ nguyên, đơn của họ thanh toán thất bại và được void
+    const [[orderA], [orderB]] = await Promise.all([
+      db.orders.findByUserId('user-a'),
+      db.orders.findByUserId('user-b'),
+    ]);
+    const [winner, loser] = orderA.status === 'pending' ? [orderA, orderB] : [orderB, orderA];
+
+    expect(loser.status).toBe('payment_failed');
+    expect(loser.payment.status).toBe('voided');
+    expect((await db.carts.findByUserId(winner.userId)).items).toHaveLength(0);
+    expect((await db.carts.findByUserId(loser.userId)).items).toHaveLength(1);
+  });
+
+  test('a failure after reserving stock should roll back stock and cart', async () => {
+    const itemId = await fillCart('user-c', '3', 3);
+    jest.spyOn(db.carts, 'removeMultipleItems').mockRejectedValue(new Error('write failed'));
+
+    await expect(
+      resolvers.Mutation.checkout(null, checkoutInput([itemId]), { user: { id: 'user-c' }, db })
+    ).rejects.toThrow('write failed');
+
+    const [order] = await db.orders.findByUserId('user-c');
+    expect(order.status).toBe('payment_failed');
+    expect(order.payment.status).toBe('voided');
+    expect((await db.products.findById('3')).stock).toBe(100);
+    expect((await db.carts.findByUserId('user-c')).items).toHaveLength(1);
+  });
+
+  test('the same cart line cannot be checked out twice', async () => {
+    const itemId = await fillCart('user-d', '4', 1);
+    const context = { user: { id: 'user-d' }, db };
+
+    const results = await Promise.allSettled([
+      resolvers.Mutation.checkout(null, checkoutInput([itemId]), context),
+      resolvers.Mutation.checkout(null, checkoutInput([itemId]), context),
+    ]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect((await db.products.findById('4')).stock).toBe(74);
+
+    const orders = await db.orders.findByUserId('user-d');
+    expect(orders.filter(o => o.status === 'pending')).toHaveLength(1);
+    expect(results.find(r => r.status === 'rejected').reason.message)
+      .toBe('Selected items are no longer in the cart');
+  });
+});
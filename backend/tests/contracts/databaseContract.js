@@ -0,0 +1,623 @@
+/**
+ * Database adapter contract
+ * Mọi adapter (memory, file, ...) phải vượt qua bộ test này.
+ * `createDb` trả về một instance mới đã được seed.
+ */
+
+const describeDatabaseContract = (name, createDb) => {
+  describe(`Database adapter contract: ${name}`, () => {
+    let db;
+
+    beforeAll(async () => {
+      db = await createDb();
+    });
+
+    describe('Users', () => {
+      test('findById should return user', async () => {
+        const user = await db.users.findById('user-1');
+      
+        expect(user).toBeDefined();
+        expect(user.id).toBe('user-1');
+        expect(user.email).toBe('test@example.com');
+      });
+    
+      test('findById should return null for non-existent user', async () => {
+        const user = await db.users.findById('non-existent');
+        expect(user).toBeNull();
+      });
+    
+      test('findByEmail should return user', async () => {
+        const user = await db.users.findByEmail('test@example.com');
+      
+        expect(user).toBeDefined();
+        expect(user.id).toBe('user-1');
+      });
+
+      test('create should add a user with a unique email', async () => {
+        const user = await db.users.create({
+          email: 'new@example.com',
+          name: 'New User',
+          passwordHash: 'hash'
+        });
+
+        expect(user.id).toBeDefined();
+        expect(user.role).toBe('user');
+        expect(await db.users.findByEmail('new@example.com')).toMatchObject({ id: user.id });
+        await expect(db.users.create({ email: 'new@example.com', passwordHash: 'hash' }))
+          .rejects.toMatchObject({ code: 'EMAIL_TAKEN' });
+      });
+
+      test('update should change the given fields', async () => {
+        const user = await db.users.findByEmail('new@example.com');
+        const updated = await db.users.update(user.id, { failedLoginAttempts: 2 });
+
+        expect(updated.failedLoginAttempts).toBe(2);
+        expect(updated.email).toBe('new@example.com');
+      });
+    });
+  
+    describe('Addresses', () => {
+      const address = { recipient: 'Test User', phone: '0901234567', line1: '1 Test St', city: 'Hanoi', country: 'VN' };
+
+      test('create, update and delete should manage addresses', async () => {
+        const created = await db.addresses.create({ userId: 'user-addr-1', ...address });
+
+        expect(created).toMatchObject({ ...address, userId: 'user-addr-1', isDefault: false });
+        expect((await db.addresses.update(created.id, { city: 'Hue', userId: 'other' })).userId).toBe('user-addr-1');
+        expect((await db.addresses.findById(created.id)).city).toBe('Hue');
+
+        expect(await db.addresses.delete(created.id)).toBe(true);
+        expect(await db.addresses.findById(created.id)).toBeNull();
+      });
+
+      test('setDefault should keep one default per user, listed first', async () => {
+        const first = await db.addresses.create({ userId: 'user-addr-2', ...address });
+        const second = await db.addresses.create({ userId: 'user-addr-2', ...address });
+        const other = await db.addresses.create({ userId: 'user-addr-3', ...address, isDefault: true });
+
+        await db.addresses.setDefault('user-addr-2', first.id);
+        await db.addresses.setDefault('user-addr-2', second.id);
+
+        const addresses = await db.addresses.findByUserId('user-addr-2');
+        expect(addresses.map(a => [a.id, a.isDefault])).toEqual([[second.id, true], [first.id, false]]);
+        expect((await db.addresses.findById(other.id)).isDefault).toBe(true);
+        await expect(db.addresses.setDefault('user-addr-2', other.id)).rejects.toThrow('Address not found');
+        expect((await db.addresses.findById(second.id)).isDefault).toBe(true);
+      });
+    });
+
+    describe('Products', () => {
+      test('findAll should return products with pagination', async () => {
+        const products = await db.products.findAll({ limit: 2, offset: 0 });
+      
+        expect(products).toHaveLength(2);
+        expect(products[0]).toHaveProperty('id');
+        expect(products[0]).toHaveProperty('name');
+        expect(products[0]).toHaveProperty('price');
+      });
+    
+      test('findById should return product', async () => {
+        const product = await db.products.findById('1');
+      
+        expect(product).toBeDefined();
+        expect(product.name).toBe('iPhone 15 Pro');
+        expect(product.price).toBe(999);
+      });
+    
+      test('findById should return null for non-existent product', async () => {
+        const product = await db.products.findById('999');
+        expect(product).toBeNull();
+      });
+    
+      test('findByIds should return every existing product once', async () => {
+        const products = await db.products.findByIds(['2', '1', '999', '2']);
+      
+        expect(products.map(p => p.id).sort()).toEqual(['1', '2']);
+      });
+    
+      test('decreaseStock should update product stock', async () => {
+        const product = await db.products.decreaseStock('1', 5);
+      
+        expect(product).toBeDefined();
+        expect(product.stock).toBe(45); // 50 - 5
+      });
+
+      test('create should assign the next numeric id', async () => {
+        const product = await db.products.create({ name: 'iPad Air', price: 599, stock: 10 });
+
+        expect(product.id).toBe('5');
+        expect(product.archived).toBe(false);
+        expect(await db.products.findById('5')).toMatchObject({ name: 'iPad Air', stock: 10 });
+      });
+
+      test('update should change only the given fields', async () => {
+        const product = await db.products.update('5', { price: 549 });
+
+        expect(product.price).toBe(549);
+        expect(product.name).toBe('iPad Air');
+      });
+
+      test('adjustStock should add and remove stock but never go negative', async () => {
+        expect((await db.products.adjustStock('5', 5)).stock).toBe(15);
+        expect((await db.products.adjustStock('5', -15)).stock).toBe(0);
+        await expect(db.products.adjustStock('5', -1))
+          .rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK' });
+      });
+
+      test('archive should hide the product from findAll only', async () => {
+        await db.products.archive('5');
+
+        const listed = await db.products.findAll({ limit: 100 });
+        const all = await db.products.findAll({ limit: 100, includeArchived: true });
+
+        expect(listed.map(p => p.id)).not.toContain('5');
+        expect(all.map(p => p.id)).toContain('5');
+        expect((await db.products.findById('5')).archived).toBe(true);
+      });
+    });
+  
+    describe('Carts', () => {
+      test('create should create new cart', async () => {
+        const cart = await db.carts.create({ userId: 'user-test-1' });
+      
+        expect(cart).toBeDefined();
+        expect(cart.id).toBeDefined();
+        expect(cart.userId).toBe('user-test-1');
+        expect(cart.items).toEqual([]);
+        expect(cart.discount).toBe(0);
+      });
+    
+      test('findByUserId should return user cart', async () => {
+        const createdCart = await db.carts.create({ userId: 'user-test-2' });
+        const foundCart = await db.carts.findByUserId('user-test-2');
+      
+        expect(foundCart).toBeDefined();
+        expect(foundCart.id).toBe(createdCart.id);
+      });
+    
+      test('addItem should add new item to cart', async () => {
+        const cart = await db.carts.create({ userId: 'user-test-3' });
+      
+        const updatedCart = await db.carts.addItem(cart.id, {
+          productId: '1',
+          quantity: 2,
+          price: 999,
+          variant: null
+        });
+      
+        expect(updatedCart.items).toHaveLength(1);
+        expect(updatedCart.items[0].productId).toBe('1');
+        expect(updatedCart.items[0].quantity).toBe(2);
+      });
+    
+      test('addItem should update quantity for existing item', async () => {
+        const cart = await db.carts.create({ userId: 'user-test-4' });
+      
+        await db.carts.addItem(cart.id, {
+          productId: '1',
+          quantity: 2,
+          price: 999,
+          variant: null
+        });
+      
+        const updatedCart = await db.carts.addItem(cart.id, {
+          productId: '1',
+          quantity: 3,
+          price: 999,
+          variant: null
+        });
+      
+        expect(updatedCart.items).toHaveLength(1);
+        expect(updatedCart.items[0].quantity).toBe(5); // 2 + 3
+      });
+    
+      test('updateItemQuantity should update item quantity', async () => {
+        const cart = await db.carts.create({ userId: 'user-test-5' });
+      
+        const cartWithItem = await db.carts.addItem(cart.id, {
+          productId: '1',
+          quantity: 2,
+          price: 999,
+          variant: null
+        });
+      
+        const itemId = cartWithItem.items[0].id;
+        const updatedCart = await db.carts.updateItemQuantity(cart.id, itemId, 5);
+      
+        expect(updatedCart.items[0].quantity).toBe(5);
+      });
+    
+      test('removeItem should remove item from cart', async () => {
+        const cart = await db.carts.create({ userId: 'user-test-6' });
+      
+        const cartWithItem = await db.carts.addItem(cart.id, {
+          productId: '1',
+          quantity: 2,
+          price: 999,
+          variant: null
+        });
+      
+        const itemId = cartWithItem.items[0].id;
+        const updatedCart = await db.carts.removeItem(cart.id, itemId);
+      
+        expect(updatedCart.items).toHaveLength(0);
+      });
+    
+      test('clear should remove all items and discount', async () => {
+        const cart = await db.carts.create({ userId: 'user-test-7' });
+      
+        await db.carts.addItem(cart.id, {
+          productId: '1',
+          quantity: 1,
+          price: 999,
+          variant: null
+        });
+      
+        await db.carts.applyDiscount(cart.id, 10);
+      
+        const clearedCart = await db.carts.clear(cart.id);
+      
+        expect(clearedCart.items).toHaveLength(0);
+        expect(clearedCart.discount).toBe(0);
+      });
+
+      test('delete should remove the cart', async () => {
+        const cart = await db.carts.create({ userId: 'user-test-delete' });
+
+        expect(await db.carts.delete(cart.id)).toBe(true);
+        expect(await db.carts.findByUserId('user-test-delete')).toBeNull();
+        expect(await db.carts.delete(cart.id)).toBe(false);
+      });
+    });
+  
+    describe('Discounts', () => {
+      test('findByCode should return discount', async () => {
+        const discount = await db.discounts.findByCode('SAVE10');
+      
+        expect(discount).toBeDefined();
+        expect(discount.code).toBe('SAVE10');
+        expect(discount.value).toBe(10);
+        expect(discount.valid).toBe(true);
+      });
+    
+      test('findByCode should be case-insensitive', async () => {
+        const discount = await db.discounts.findByCode('save10');
+      
+        expect(discount).toBeDefined();
+        expect(discount.code).toBe('SAVE10');
+      });
+    
+      test('incrementUsage should increment usage count', async () => {
+        const discount = await db.discounts.findByCode('SAVE10');
+        const initialCount = discount.usedCount;
+      
+        await db.discounts.incrementUsage(discount.id);
+      
+        const updatedDiscount = await db.discounts.findByCode('SAVE10');
+        expect(updatedDiscount.usedCount).toBe(initialCount + 1);
+      });
+
+      test('create, update and delete should manage codes by id', async () => {
+        const created = await db.discounts.create({ code: 'contract1', type: 'fixed', value: 5 });
+
+        expect(created.code).toBe('CONTRACT1');
+        expect(created.usedCount).toBe(0);
+        await expect(db.discounts.create({ code: 'CONTRACT1', type: 'fixed', value: 5 }))
+          .rejects.toMatchObject({ code: 'DISCOUNT_CODE_TAKEN' });
+
+        const updated = await db.discounts.update(created.id, { paused: true, code: 'OTHER' });
+        expect(updated.code).toBe('CONTRACT1');
+        expect((await db.discounts.findByCode('CONTRACT1')).valid).toBe(false);
+        expect((await db.discounts.findById(created.id)).paused).toBe(true);
+        expect((await db.discounts.findAll()).some(d => d.id === created.id)).toBe(true);
+
+        expect(await db.discounts.delete(created.id)).toBe(true);
+        expect(await db.discounts.findById(created.id)).toBeNull();
+        expect(await db.discounts.delete(created.id)).toBe(false);
+      });
+
+      test('decrementUsage should not go below zero', async () => {
+        const discount = await db.discounts.findByCode('SAVE20');
+
+        await db.discounts.incrementUsage(discount.id);
+        await db.discounts.decrementUsage(discount.id);
+        await db.discounts.decrementUsage(discount.id);
+
+        expect((await db.discounts.findByCode('SAVE20')).usedCount).toBe(0);
+      });
+
+      test('discountRedemptions should track active redemptions', async () => {
+        const redemption = await db.discountRedemptions.create({
+          discountId: '3',
+          code: 'WELCOME',
+          userId: 'user-redeem',
+          orderId: 'order-redeem',
+          amount: 10
+        });
+
+        expect(redemption.releasedAt).toBeNull();
+        expect(await db.discountRedemptions.countActiveByUser('3', 'user-redeem')).toBe(1);
+        expect((await db.discountRedemptions.findActiveByOrderId('order-redeem')).id).toBe(redemption.id);
+
+        await db.discountRedemptions.release(redemption.id);
+
+        expect(await db.discountRedemptions.countActiveByUser('3', 'user-redeem')).toBe(0);
+        expect(await db.discountRedemptions.findActiveByOrderId('order-redeem')).toBeNull();
+        expect(await db.discountRedemptions.findByCode('welcome')).toHaveLength(1);
+      });
+    });
+  
+    describe('Orders', () => {
+      test('create should create new order', async () => {
+        const orderData = {
+          userId: 'user-test-8',
+          items: [{ productId: '1', quantity: 1, price: 999 }],
+          subtotal: 999,
+          tax: 99.9,
+          shipping: 10,
+          total: 1108.9,
+          shippingAddress: '123 Test St',
+          paymentMethod: 'credit_card'
+        };
+      
+        const order = await db.orders.create(orderData);
+      
+        expect(order).toBeDefined();
+        expect(order.id).toBeDefined();
+        expect(order.userId).toBe('user-test-8');
+        expect(order.status).toBe('pending');
+        expect(order.total).toBe(1108.9);
+      });
+    
+      test('findByUserId should return user orders', async () => {
+        const orderData = {
+          userId: 'user-test-9',
+          items: [],
+          subtotal: 100,
+          tax: 10,
+          shipping: 5,
+          total: 115,
+          shippingAddress: '123 Test St',
+          paymentMethod: 'credit_card'
+        };
+      
+        await db.orders.create(orderData);
+        await db.orders.create(orderData);
+      
+        const orders = await db.orders.findByUserId('user-test-9');
+      
+        expect(orders.length).toBeGreaterThanOrEqual(2);
+        expect(orders[0].userId).toBe('user-test-9');
+      });
+    
+      test('create should start the status history', async () => {
+        const order = await db.orders.create({ userId: 'user-test-10', items: [], total: 0 });
+      
+        expect(order.history).toHaveLength(1);
+        expect(order.history[0].status).toBe('pending');
+        expect(order.history[0].changedAt).toBeDefined();
+      });
+    
+      test('updateStatus should change status and append history', async () => {
+        const order = await db.orders.create({ userId: 'user-test-11', items: [], total: 0 });
+      
+        await db.orders.updateStatus(order.id, 'paid');
+        const updated = await db.orders.updateStatus(order.id, 'shipped', { note: 'Tracking number: X1' });
+      
+        expect(updated.status).toBe('shipped');
+        expect(updated.history.map(h => h.status)).toEqual(['pending', 'paid', 'shipped']);
+        expect(updated.history[2].note).toBe('Tracking number: X1');
+        expect((await db.orders.findById(order.id)).status).toBe('shipped');
+      });
+    
+      test('updateStatus should fail for unknown orders', async () => {
+        await expect(db.orders.updateStatus('missing', 'paid')).rejects.toThrow('Order not found');
+      });
+
+      test('create should accept an initial status', async () => {
+        const order = await db.orders.create({ userId: 'user-test-12', items: [], total: 0, status: 'pending_payment' });
+
+        expect(order.status).toBe('pending_payment');
+        expect(order.history.map(h => h.status)).toEqual(['pending_payment']);
+      });
+
+      test('setPayment should store the latest payment state', async () => {
+        const order = await db.orders.create({ userId: 'user-test-13', items: [], total: 10 });
+
+        await db.orders.setPayment(order.id, { id: 'pay-1', status: 'authorized', amount: 10 });
+        await db.orders.setPayment(order.id, { id: 'pay-1', status: 'captured', amount: 10 });
+
+        expect((await db.orders.findById(order.id)).payment).toEqual({ id: 'pay-1', status: 'captured', amount: 10 });
+        await expect(db.orders.setPayment('missing', {})).rejects.toThrow('Order not found');
+      });
+
+      test('setPendingTransition should mark and clear an order', async () => {
+        const order = await db.orders.create({ userId: 'user-test-14', items: [], total: 10 });
+        const transition = { status: 'paid', startedAt: new Date().toISOString() };
+
+        await db.orders.setPendingTransition(order.id, transition);
+        expect((await db.orders.findById(order.id)).pendingTransition).toEqual(transition);
+
+        await db.orders.setPendingTransition(order.id, null);
+        expect((await db.orders.findById(order.id)).pendingTransition).toBeNull();
+        await expect(db.orders.setPendingTransition('missing', null)).rejects.toThrow('Order not found');
+      });
+    });
+
+    describe('Tokens', () => {
+      test('refreshTokens should rotate and revoke by family', async () => {
+        const expiresAt = new Date(Date.now() + 60000).toISOString();
+        await db.refreshTokens.create({ id: 'rt-1', userId: 'user-1', familyId: 'fam-1', expiresAt });
+        await db.refreshTokens.create({ id: 'rt-2', userId: 'user-1', familyId: 'fam-1', expiresAt });
+        await db.refreshTokens.create({ id: 'rt-3', userId: 'user-1', familyId: 'fam-2', expiresAt });
+
+        const rotated = await db.refreshTokens.markRotated('rt-1', 'rt-2');
+        expect(rotated.replacedBy).toBe('rt-2');
+
+        expect(await db.refreshTokens.revokeFamily('fam-1')).toBe(2);
+        expect((await db.refreshTokens.findById('rt-2')).revokedAt).toBeTruthy();
+        expect((await db.refreshTokens.findById('rt-3')).revokedAt).toBeNull();
+
+        expect(await db.refreshTokens.revokeByUserId('user-1')).toBe(1);
+      });
+
+      test('revokedTokens should only remember unexpired tokens', async () => {
+        await db.revokedTokens.add('jti-live', new Date(Date.now() + 60000).toISOString());
+        await db.revokedTokens.add('jti-old', new Date(Date.now() - 1000).toISOString());
+
+        expect(await db.revokedTokens.has('jti-live')).toBe(true);
+        expect(await db.revokedTokens.has('jti-old')).toBe(false);
+        expect(await db.revokedTokens.has('jti-unknown')).toBe(false);
+      });
+    });
+
+    describe('Idempotency keys', () => {
+      const record = (key, expiresAt = new Date(Date.now() + 60000).toISOString()) => ({
+        ownerId: 'user-idem',
+        key,
+        operation: 'checkout',
+        fingerprint: 'abc',
+        expiresAt
+      });
+
+      test('begin should claim a key once and complete should store the response', async () => {
+        expect(await db.idempotencyKeys.begin(record('key-1'))).toBeNull();
+
+        const pending = await db.idempotencyKeys.begin(record('key-1'));
+        expect(pending).toMatchObject({ status: 'in_progress', fingerprint: 'abc' });
+
+        await db.idempotencyKeys.complete('user-idem', 'key-1', { orderId: 'o-1' });
+        const completed = await db.idempotencyKeys.begin(record('key-1'));
+        expect(completed).toMatchObject({ status: 'completed', response: { orderId: 'o-1' } });
+
+        await expect(db.idempotencyKeys.complete('user-idem', 'missing', {}))
+          .rejects.toThrow('Idempotency key not found');
+      });
+
+      test('release and expiry should free a key', async () => {
+        await db.idempotencyKeys.begin(record('key-2'));
+        await db.idempotencyKeys.release('user-idem', 'key-2');
+        expect(await db.idempotencyKeys.begin(record('key-2'))).toBeNull();
+
+        await db.idempotencyKeys.begin(record('key-3', new Date(Date.now() - 1000).toISOString()));
+        expect(await db.idempotencyKeys.begin(record('key-3'))).toBeNull();
+      });
+
+      test('an in-progress key should be reclaimed once its lease ends', async () => {
+        const leased = (leaseExpiresAt) => ({ ...record('key-4'), leaseExpiresAt });
+
+        await db.idempotencyKeys.begin(leased(new Date(Date.now() - 1000).toISOString()));
+        expect(await db.idempotencyKeys.begin(leased(new Date(Date.now() + 60000).toISOString()))).toBeNull();
+        expect(await db.idempotencyKeys.begin(record('key-4'))).toMatchObject({ status: 'in_progress' });
+
+        // Kết quả đã lưu không phụ thuộc lease
+        await db.idempotencyKeys.begin({ ...record('key-5'), leaseExpiresAt: new Date(Date.now() - 1000).toISOString() });
+        await db.idempotencyKeys.complete('user-idem', 'key-5', { orderId: 'o-5' });
+        expect(await db.idempotencyKeys.begin(record('key-5'))).toMatchObject({ status: 'completed' });
+      });
+
+      test('deleteExpired should remove expired records only', async () => {
+        const past = new Date(Date.now() - 1000).toISOString();
+        await db.idempotencyKeys.begin(record('key-6', past));
+        await db.idempotencyKeys.complete('user-idem', 'key-6', { orderId: 'o-6' });
+        await db.idempotencyKeys.begin({ ...record('key-7', past), leaseExpiresAt: new Date(Date.now() + 60000).toISOString() });
+        await db.idempotencyKeys.begin(record('key-8'));
+
+        expect(await db.idempotencyKeys.deleteExpired()).toBe(1);
+        expect(await db.idempotencyKeys.deleteExpired()).toBe(0);
+        expect(await db.idempotencyKeys.begin(record('key-8'))).toMatchObject({ status: 'in_progress' });
+
+        // Lease hết thì record hết hạn cũng bị xóa
+        expect(await db.idempotencyKeys.deleteExpired(new Date(Date.now() + 120000))).toBeGreaterThanOrEqual(2);
+      });
+    });
+
+    describe('Transactions', () => {
+      test('reserveStock should decrease stock for every item', async () => {
+        const [airpods, watch] = await db.products.reserveStock([
+          { productId: '3', quantity: 2 },
+          { productId: '4', quantity: 1 },
+        ]);
+
+        expect(airpods.stock).toBe(98);
+        expect(watch.stock).toBe(74);
+      });
+
+      test('reserveStock should leave stock untouched when any item is short', async () => {
+        await expect(db.products.reserveStock([
+          { productId: '3', quantity: 1 },
+          { productId: '4', quantity: 10000 },
+        ])).rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK', productId: '4' });
+
+        expect((await db.products.findById('3')).stock).toBe(98);
+        expect((await db.products.findById('4')).stock).toBe(74);
+      });
+
+      test('checkStock should report shortages without changing stock', async () => {
+        await expect(db.products.checkStock([
+          { productId: '1', quantity: 1 },
+          { productId: '1', quantity: 1 },
+        ])).resolves.toBe(true);
+        await expect(db.products.checkStock([{ productId: '4', quantity: 10000 }]))
+          .rejects.toMatchObject({ code: 'INSUFFICIENT_STOCK', productId: '4' });
+
+        expect((await db.products.findById('4')).stock).toBe(74);
+      });
+
+      test('releaseStock should return stock to products', async () => {
+        const before = (await db.products.findById('1')).stock;
+      
+        const [product] = await db.products.releaseStock([{ productId: '1', quantity: 3 }]);
+      
+        expect(product.stock).toBe(before + 3);
+      });
+
+      test('transaction should commit all writes', async () => {
+        const cart = await db.carts.create({ userId: 'user-tx-1' });
+
+        const order = await db.transaction(async (tx) => {
+          await tx.products.reserveStock([{ productId: '3', quantity: 1 }]);
+          await tx.carts.addItem(cart.id, { productId: '3', quantity: 1, price: 249 });
+          return tx.orders.create({ userId: 'user-tx-1', items: [], total: 249 });
+        });
+
+        expect(await db.orders.findById(order.id)).not.toBeNull();
+        expect((await db.carts.findByUserId('user-tx-1')).items).toHaveLength(1);
+        expect((await db.products.findById('3')).stock).toBe(97);
+      });
+
+      test('transaction should roll back every write on failure', async () => {
+        const cart = await db.carts.create({ userId: 'user-tx-2' });
+        await db.carts.addItem(cart.id, { productId: '3', quantity: 2, price: 249 });
+        let orderId;
+
+        await expect(db.transaction(async (tx) => {
+          await tx.products.reserveStock([{ productId: '3', quantity: 2 }]);
+          orderId = (await tx.orders.create({ userId: 'user-tx-2', items: [], total: 498 })).id;
+          const current = await tx.carts.findByUserId('user-tx-2');
+          await tx.carts.removeMultipleItems(cart.id, current.items.map(i => i.id));
+          throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        expect(await db.orders.findById(orderId)).toBeNull();
+        expect((await db.carts.findByUserId('user-tx-2')).items).toHaveLength(1);
+        expect((await db.products.findById('3')).stock).toBe(97);
+      });
+
+      test('transactions should run one at a time', async () => {
+        const events = [];
+        const run = (name) => db.transaction(async () => {
+          events.push(`${name}:start`);
+          await new Promise(resolve => setTimeout(resolve, 5));
+          events.push(`${name}:end`);
+        });
+
+        await Promise.all([run('a'), run('b')]);
+
+        expect(events).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+      });
+    });
+  });
+};
+
+module.exports = { describeDatabaseContract };
@@ -0,0 +1,169 @@
+// backend/tests/discountCodes.test.js - admin discount management
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { generateDiscountCodes } = require('../src/services/discountCodes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Admin discount management', () => {
+  let db;
+  let adminContext;
+
+  const create = (input) => resolvers.Mutation.createDiscount(null, { input }, adminContext);
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    adminContext = { user: { id: 'admin-1', role: 'admin' }, role: 'admin', db };
+  });
+
+  test('createDiscount should store a normalized code', async () => {
+    const discount = await create({
+      code: 'summer-24',
+      type: 'fixed',
+      value: 25,
+      minSubtotal: 100,
+      maxUses: 500,
+      categories: [' Audio ']
+    });
+
+    expect(discount).toMatchObject({
+      code: 'SUMMER-24',
+      type: 'fixed',
+      value: 25,
+      minSubtotal: 100,
+      maxUses: 500,
+      categories: ['audio'],
+      usedCount: 0,
+      paused: false
+    });
+    expect((await db.discounts.findByCode('summer-24')).valid).toBe(true);
+  });
+
+  test('createDiscount should reject duplicates and invalid values', async () => {
+    await expect(create({ code: 'SAVE10', type: 'percentage', value: 5 }))
+      .rejects.toThrow('Discount code SAVE10 already exists');
+    await expect(create({ code: 'BIG', type: 'percentage', value: 150 }))
+      .rejects.toThrow('Number out of range');
+    await expect(create({ code: 'B2G', type: 'buy_x_get_y' }))
+      .rejects.toThrow('Invalid number');
+    await expect(create({
+      code: 'LATE',
+      type: 'free_shipping',
+      startsAt: new Date(Date.now() + 2 * DAY).toISOString(),
+      expiresAt: new Date(Date.now() + DAY).toISOString()
+    })).rejects.toThrow('End date must be after start date');
+  });
+
+  test('findByCode should respect the start date', async () => {
+    await create({
+      code: 'SOON',
+      type: 'percentage',
+      value: 10,
+      startsAt: new Date(Date.now() + DAY).toISOString()
+    });
+
+    expect((await db.discounts.findByCode('SOON')).valid).toBe(false);
+
+    const validation = await resolvers.Query.validateDiscountCode(
+      null,
+      { code: 'SOON' },
+      { user: { id: 'user-1', role: 'user' }, db }
+    );
+    expect(validation.message).toBe('Mã giảm giá chưa đến thời gian áp dụng');
+  });
+
+  test('validateDiscountCode should agree with findByCode on a zero use limit', async () => {
+    await db.discounts.create({ code: 'NONE', type: 'percentage', value: 10, maxUses: 0 });
+
+    expect((await db.discounts.findByCode('NONE')).valid).toBe(false);
+
+    const validation = await resolvers.Query.validateDiscountCode(
+      null,
+      { code: 'NONE' },
+      { user: { id: 'user-1', role: 'user' }, db }
+    );
+    expect(validation).toMatchObject({ valid: false, message: 'Mã giảm giá đã hết lượt sử dụng' });
+  });
+
+  test('paused codes should not be usable until resumed', async () => {
+    const discount = await db.discounts.findByCode('SAVE10');
+    const userContext = { user: { id: 'user-1', role: 'user' }, db };
+    await resolvers.Mutation.addToCart(null, { input: { productId: '1', quantity: 1 } }, userContext);
+
+    await resolvers.Mutation.pauseDiscount(null, { id: discount.id }, adminContext);
+
+    expect((await db.discounts.findByCode('SAVE10')).valid).toBe(false);
+    await expect(
+      resolvers.Mutation.applyDiscount(null, { input: { code: 'SAVE10' } }, userContext)
+    ).rejects.toThrow('Invalid discount code');
+
+    await resolvers.Mutation.resumeDiscount(null, { id: discount.id }, adminContext);
+    await expect(
+      resolvers.Mutation.applyDiscount(null, { input: { code: 'SAVE10' } }, userContext)
+    ).resolves.toBeDefined();
+  });
+
+  test('updateDiscount should only change the given fields', async () => {
+    const discount = await db.discounts.findByCode('SAVE20');
+
+    const updated = await resolvers.Mutation.updateDiscount(
+      null,
+      { id: discount.id, input: { maxUsesPerUser: 2, expiresAt: null } },
+      adminContext
+    );
+
+    expect(updated).toMatchObject({
+      code: 'SAVE20',
+      type: 'percentage',
+      value: 20,
+      maxUses: 50,
+      maxUsesPerUser: 2,
+      expiresAt: null
+    });
+    await expect(
+      resolvers.Mutation.updateDiscount(null, { id: discount.id, input: { value: 0 } }, adminContext)
+    ).rejects.toThrow('Number out of range');
+    await expect(
+      resolvers.Mutation.updateDiscount(null, { id: 'missing', input: {} }, adminContext)
+    ).rejects.toThrow('Discount not found');
+  });
+
+  test('deleteDiscount should remove the code', async () => {
+    const discount = await db.discounts.findByCode('WELCOME');
+
+    expect(await resolvers.Mutation.deleteDiscount(null, { id: discount.id }, adminContext)).toBe(true);
+    expect(await db.discounts.findByCode('WELCOME')).toBeNull();
+  });
+
+  test('generateDiscountCodes should create unique single-use codes', async () => {
+    const codes = await resolvers.Mutation.generateDiscountCodes(null, {
+      input: { prefix: 'vip', count: 25, type: 'percentage', value: 30 }
+    }, adminContext);
+
+    expect(codes).toHaveLength(25);
+    expect(new Set(codes.map(d => d.code)).size).toBe(25);
+    codes.forEach((discount) => {
+      expect(discount.code).toMatch(/^VIP-[A-Z2-9]{8}$/);
+      expect(discount).toMatchObject({ type: 'percentage', value: 30, maxUses: 1, maxUsesPerUser: 1 });
+    });
+
+    const all = await resolvers.Query.getDiscounts(null, {}, adminContext);
+    expect(all.filter(d => d.code.startsWith('VIP-'))).toHaveLength(25);
+  });
+
+  test('generateDiscountCodes should validate the prefix and count', async () => {
+    await expect(generateDiscountCodes(db, { prefix: 'BAD PREFIX', count: 1, type: 'free_shipping' }))
+      .rejects.toMatchObject({ code: 'INVALID_DISCOUNT' });
+    await expect(generateDiscountCodes(db, { prefix: 'OK', count: 5000, type: 'free_shipping' }))
+      .rejects.toMatchObject({ code: 'INVALID_DISCOUNT' });
+  });
+
+  test('Discount field resolvers should read legacy records', async () => {
+    const legacy = { code: 'OLD', value: 5 };
+
+    expect(resolvers.Discount.type(legacy)).toBe('percentage');
+    expect(resolvers.Discount.value(legacy)).toBe(5);
+    expect(resolvers.Discount.paused(legacy)).toBe(false);
+  });
+});
@@ -0,0 +1,179 @@
+// backend/tests/discountUsage.test.js - discount redemptions
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { redeemDiscount, releaseRedemption } = require('../src/services/discountUsage');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Discount usage', () => {
+  let db;
+  let context;
+
+  const applyCode = (code, ctx = context) => {
+    return resolvers.Mutation.applyDiscount(null, { input: { code } }, ctx);
+  };
+
+  const checkoutCart = async (ctx = context) => {
+    const cart = await db.carts.findByUserId(ctx.user.id);
+    return resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: testAddress,
+        paymentMethod: 'card'
+      }
+    }, ctx);
+  };
+
+  const addProduct = (productId, quantity, ctx = context) => {
+    return resolvers.Mutation.addToCart(null, { input: { productId, quantity } }, ctx);
+  };
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    context = { user: { id: 'user-1', role: 'user' }, db };
+  });
+
+  test('applying and removing a code should not use it up', async () => {
+    await addProduct('1', 1);
+
+    for (let i = 0; i < 3; i++) {
+      await applyCode('SAVE10');
+      await resolvers.Mutation.removeDiscount(null, {}, context);
+    }
+
+    expect((await db.discounts.findByCode('SAVE10')).usedCount).toBe(0);
+  });
+
+  test('checkout should record a redemption for the order', async () => {
+    await addProduct('1', 1);
+    await applyCode('SAVE10');
+
+    const result = await checkoutCart();
+    const [redemption] = await db.discountRedemptions.findByCode('SAVE10');
+
+    expect((await db.discounts.findByCode('SAVE10')).usedCount).toBe(1);
+    expect(redemption).toMatchObject({
+      code: 'SAVE10',
+      userId: 'user-1',
+      orderId: result.orderId,
+      amount: 99.9,
+      releasedAt: null
+    });
+  });
+
+  test('cancelling the order should release the redemption', async () => {
+    await addProduct('1', 1);
+    await applyCode('SAVE10');
+    const { orderId } = await checkoutCart();
+
+    await resolvers.Mutation.cancelOrder(null, { id: orderId }, context);
+
+    const [redemption] = await db.discountRedemptions.findByCode('SAVE10');
+    expect(redemption.releasedAt).not.toBeNull();
+    expect((await db.discounts.findByCode('SAVE10')).usedCount).toBe(0);
+  });
+
+  test('should enforce the per-user limit', async () => {
+    await addProduct('3', 1);
+    await applyCode('WELCOME');
+    await checkoutCart();
+
+    await addProduct('3', 1);
+    await expect(applyCode('WELCOME')).rejects.toThrow('You have already used this discount code');
+
+    const validation = await resolvers.Query.validateDiscountCode(null, { code: 'WELCOME' }, context);
+    expect(validation.valid).toBe(false);
+
+    // Người khác vẫn dùng được
+    const other = { user: { id: 'admin-1', role: 'admin' }, db };
+    await addProduct('3', 1, other);
+    await expect(applyCode('WELCOME', other)).resolves.toBeDefined();
+  });
+
+  test('a cancelled order should give the per-user redemption back', async () => {
+    await addProduct('3', 1);
+    await applyCode('WELCOME');
+    const { orderId } = await checkoutCart();
+    await resolvers.Mutation.cancelOrder(null, { id: orderId }, context);
+
+    await addProduct('3', 1);
+    await expect(applyCode('WELCOME')).resolves.toBeDefined();
+  });
+
+  const useUp = async (code) => {
+    const discount = await db.discounts.findByCode(code);
+    for (let i = discount.usedCount; i < discount.maxUses; i++) {
+      await db.discounts.incrementUsage(discount.id);
+    }
+  };
+
+  test('checkout should be rejected before payment when the code ran out', async () => {
+    await addProduct('1', 1);
+    await applyCode('SAVE20');
+    await useUp('SAVE20');
+
+    await expect(checkoutCart()).rejects.toThrow('Discount code is no longer available');
+
+    // Chưa tạo đơn, chưa authorize
+    expect(await db.orders.findByUserId('user-1')).toHaveLength(0);
+    expect((await db.products.findById('1')).stock).toBe(50);
+  });
+
+  test('checkout should be rejected before payment once the per-user limit is reached', async () => {
+    await addProduct('3', 1);
+    await applyCode('WELCOME');
+
+    // Dùng hết lượt bằng một đơn khác sau khi mã đã được áp vào giỏ
+    const { id: discountId } = await db.discounts.findByCode('WELCOME');
+    await db.discountRedemptions.create({ discountId, code: 'WELCOME', userId: 'user-1', orderId: 'order-other', amount: 1 });
+
+    await expect(checkoutCart()).rejects.toThrow('You have already used this discount code');
+    expect(await db.orders.findByUserId('user-1')).toHaveLength(0);
+  });
+
+  test('checkout should void the payment when the code ran out during authorization', async () => {
+    await addProduct('1', 1);
+    await applyCode('SAVE20');
+    const setPayment = db.orders.setPayment;
+    jest.spyOn(db.orders, 'setPayment').mockImplementationOnce(async (...args) => {
+      await useUp('SAVE20');
+      return setPayment(...args);
+    });
+
+    await expect(checkoutCart()).rejects.toThrow('Discount code is no longer available');
+
+    // Đơn thanh toán thất bại, khoản đã authorize được void
+    const [order] = await db.orders.findByUserId('user-1');
+    expect(order.status).toBe('payment_failed');
+    expect(order.payment.status).toBe('voided');
+    expect((await db.products.findById('1')).stock).toBe(50);
+  });
+
+  test('releaseRedemption should ignore orders without a code', async () => {
+    await expect(releaseRedemption(db, 'order-unknown')).resolves.toBeNull();
+  });
+
+  test('redeemDiscount should reject unknown codes', async () => {
+    await expect(redeemDiscount(db, {
+      code: 'NOPE',
+      userId: 'user-1',
+      orderId: 'order-1',
+      amount: 1
+    })).rejects.toMatchObject({ code: 'DISCOUNT_UNAVAILABLE' });
+  });
+
+  test('getDiscountRedemptions should list redemptions per code', async () => {
+    await addProduct('1', 1);
+    await applyCode('SAVE10');
+    await checkoutCart();
+
+    const redemptions = await resolvers.Query.getDiscountRedemptions(
+      null,
+      { code: 'save10' },
+      { user: { id: 'admin-1', role: 'admin' }, db }
+    );
+
+    expect(redemptions).toHaveLength(1);
+    expect(redemptions[0].userId).toBe('user-1');
+  });
+});
@@ -0,0 +1,203 @@
+// backend/tests/discounts.test.js - discount engine
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const {
+  INELIGIBLE_REASONS,
+  toDiscountRule,
+  evaluateDiscount,
+  describeDiscount,
+  explainIneligibility
+} = require('../src/services/discounts');
+const { testAddress } = require('./fixtures/addresses');
+
+const line = (id, productId, price, quantity, category = null) => ({
+  id,
+  productId,
+  price,
+  quantity,
+  category
+});
+
+describe('Discount engine', () => {
+  test('should treat legacy percentages as percentage rules', () => {
+    expect(toDiscountRule({ code: 'SAVE10', value: 10 })).toMatchObject({
+      code: 'SAVE10',
+      type: 'percentage',
+      value: 10
+    });
+
+    const evaluation = evaluateDiscount(10, [line('a', '1', 50, 2)]);
+    expect(evaluation.qualifies).toBe(true);
+    expect(evaluation.amount).toBe(10);
+    expect(evaluateDiscount(0, [line('a', '1', 50, 2)]).rule).toBeNull();
+  });
+
+  test('should cap a fixed discount at the eligible subtotal', () => {
+    const rule = { code: 'FLAT50', type: 'fixed', value: 50 };
+    const evaluation = evaluateDiscount(rule, [line('a', '1', 30, 1)]);
+
+    expect(evaluation.amount).toBe(30);
+    expect(evaluation.allocations).toEqual({ a: 30 });
+  });
+
+  test('should split a fixed discount across lines without losing cents', () => {
+    const rule = { code: 'FLAT10', type: 'fixed', value: 10 };
+    const evaluation = evaluateDiscount(rule, [
+      line('a', '1', 10, 1),
+      line('b', '2', 10, 1),
+      line('c', '3', 10, 1)
+    ]);
+
+    expect(evaluation.allocations).toEqual({ a: 3.33, b: 3.33, c: 3.34 });
+    expect(evaluation.amount).toBe(10);
+  });
+
+  test('should explain how much more to spend for a minimum subtotal', () => {
+    const rule = { code: 'FLAT50', type: 'fixed', value: 50, minSubtotal: 200 };
+    const evaluation = evaluateDiscount(rule, [line('a', '1', 150, 1)]);
+
+    expect(evaluation.qualifies).toBe(false);
+    expect(evaluation.reason).toBe(INELIGIBLE_REASONS.MIN_SUBTOTAL);
+    expect(evaluation.amountNeeded).toBe(50);
+    expect(explainIneligibility(evaluation)).toBe('Mua thêm $50 để dùng mã này');
+  });
+
+  test('should only discount lines in scope', () => {
+    const rule = { code: 'AUDIO15', type: 'percentage', value: 15, categories: ['audio'] };
+    const items = [line('a', '3', 200, 1, 'audio'), line('b', '1', 1000, 1, 'phones')];
+    const evaluation = evaluateDiscount(rule, items);
+
+    expect(evaluation.amount).toBe(30);
+    expect(evaluation.allocations).toEqual({ a: 30 });
+
+    const none = evaluateDiscount(rule, [items[1]]);
+    expect(none.qualifies).toBe(false);
+    expect(none.reason).toBe(INELIGIBLE_REASONS.NO_ELIGIBLE_ITEMS);
+  });
+
+  test('should give the cheapest units free for buy X get Y', () => {
+    const rule = {
+      code: 'B2G1',
+      type: 'buy_x_get_y',
+      productIds: ['4', '5'],
+      buyQuantity: 2,
+      getQuantity: 1
+    };
+
+    const evaluation = evaluateDiscount(rule, [
+      line('a', '4', 400, 2),
+      line('b', '5', 100, 1),
+      line('c', '1', 10, 1)
+    ]);
+    expect(evaluation.amount).toBe(100);
+    expect(evaluation.allocations).toEqual({ b: 100 });
+
+    const short = evaluateDiscount(rule, [line('a', '4', 400, 2)]);
+    expect(short.reason).toBe(INELIGIBLE_REASONS.NOT_ENOUGH_ITEMS);
+    expect(short.itemsNeeded).toBe(1);
+  });
+
+  test('should not produce NaN for an empty buy X get Y group', () => {
+    const rule = { code: 'B0G0', type: 'buy_x_get_y', buyQuantity: 0, getQuantity: 0 };
+
+    const evaluation = evaluateDiscount(rule, [line('a', '4', 400, 2)]);
+    expect(evaluation.amount).toBe(0);
+    expect(evaluation.allocations).toEqual({});
+  });
+
+  test('should describe each discount type', () => {
+    expect(describeDiscount(10)).toBe('Giảm 10%');
+    expect(describeDiscount({ type: 'fixed', value: 50 })).toBe('Giảm $50');
+    expect(describeDiscount({ type: 'free_shipping' })).toBe('Miễn phí vận chuyển');
+    expect(describeDiscount({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 })).toBe('Mua 2 tặng 1');
+  });
+});
+
+describe('Discount resolvers', () => {
+  let db;
+  let context;
+
+  const addProduct = (productId, quantity) => {
+    return resolvers.Mutation.addToCart(null, { input: { productId, quantity } }, context);
+  };
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    context = { user: { id: 'user-1', role: 'user' }, db };
+  });
+
+  test('validateDiscountCode should explain a minimum subtotal', async () => {
+    await addProduct('3', 1);
+
+    const result = await resolvers.Query.validateDiscountCode(null, { code: 'flat50' }, context);
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('MIN_SUBTOTAL');
+    expect(result.amountNeeded).toBe(251);
+    expect(result.message).toBe('Mua thêm $251 để dùng mã này');
+  });
+
+  test('validateDiscountCode should report the amount for a qualifying code', async () => {
+    await addProduct('3', 2);
+
+    const result = await resolvers.Query.validateDiscountCode(null, { code: 'AUDIO15' }, context);
+
+    expect(result).toMatchObject({
+      valid: true,
+      code: 'AUDIO15',
+      type: 'percentage',
+      percentage: 15,
+      discountAmount: 74.7
+    });
+  });
+
+  test('applyDiscount should reject a code the cart does not qualify for', async () => {
+    await addProduct('1', 1);
+
+    await expect(
+      resolvers.Mutation.applyDiscount(null, { input: { code: 'AUDIO15' } }, context)
+    ).rejects.toThrow('Giỏ hàng chưa có sản phẩm được áp dụng mã này');
+  });
+
+  test('cart should expose the applied code and per-line allocation', async () => {
+    await addProduct('4', 3);
+    await addProduct('3', 1);
+
+    const cart = await resolvers.Mutation.applyDiscount(null, { input: { code: 'WATCHB2G1' } }, context);
+    const items = await resolvers.Cart.items(cart);
+    const watchLine = items.find(item => item.productId === '4');
+    const audioLine = items.find(item => item.productId === '3');
+
+    expect(resolvers.Cart.appliedDiscount(cart)).toMatchObject({
+      code: 'WATCHB2G1',
+      type: 'buy_x_get_y',
+      description: 'Mua 2 tặng 1',
+      qualifies: true,
+      amount: 399
+    });
+    expect(watchLine.discountAmount).toBe(399);
+    expect(audioLine.discountAmount).toBe(0);
+    expect(resolvers.Cart.discountAmount(cart)).toBe(399);
+  });
+
+  test('checkout should store the code and line discounts on the order', async () => {
+    const cart = await addProduct('2', 1);
+    await resolvers.Mutation.applyDiscount(null, { input: { code: 'FLAT50' } }, context);
+
+    const result = await resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: testAddress,
+        paymentMethod: 'card'
+      }
+    }, context);
+    const order = await db.orders.findById(result.orderId);
+
+    expect(order.discountCode).toBe('FLAT50');
+    expect(order.discountAmount).toBe(50);
+    expect(order.items[0].discountAmount).toBe(50);
+    expect(order.items[0].category).toBe('laptops');
+    expect(order.allocations).toBeUndefined();
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Shipping address dùng chung cho các test checkout
+ */
+
+const testAddress = {
+  recipient: 'Test User',
+  phone: '0901234567',
+  line1: '123 Test St',
+  city: 'Ho Chi Minh City',
+  country: 'VN'
+};
+
+module.exports = { testAddress };
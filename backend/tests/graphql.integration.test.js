@@ -16,27 +16,19 @@ describe('GraphQL Integration Tests', () => {
   let authToken;
   
   // Import app dynamically and start server
-  beforeAll((done) => {
-    // Import app
-    app = require('../src/server');
+  beforeAll(async () => {
+    const serverModule = require('../src/server');
+    app = serverModule.app;
     
-    // Get the server instance if it's exported
-    // If server is already running from app, get reference
-    server = app.listen(0, () => {
-      authToken = generateToken();
-      done();
-    });
+    // Port 0: để hệ điều hành chọn port trống
+    server = await serverModule.startServer({ port: 0 });
+    authToken = generateToken();
   });
   
   // Properly close server after all tests
-  afterAll((done) => {
-    if (server && server.close) {
-      server.close(() => {
-        // Give time for connections to close
-        setTimeout(done, 100);
-      });
-    } else {
-      done();
+  afterAll(async () => {
+    if (server) {
+      await server.stop();
     }
   });
   
@@ -60,18 +52,109 @@ describe('GraphQL Integration Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body.status).toBe('ok');
     });
+    
+    test('responses should echo or assign a correlation id', async () => {
+      const echoed = await request(app).get('/health').set('X-Correlation-Id', 'test-correlation-1');
+      const assigned = await graphqlRequest('query { getProducts(limit: 1) { id } }');
+      
+      expect(echoed.headers['x-correlation-id']).toBe('test-correlation-1');
+      expect(assigned.headers['x-correlation-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
   });
   
   describe('Authentication', () => {
     test('POST /api/login should return token', async () => {
       const response = await request(app)
         .post('/api/login')
-        .send({ email: 'test@example.com' });
+        .send({ email: 'test@example.com', password: 'password123' });
       
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.token).toBeDefined();
-      expect(response.body.user).toBeDefined();
+      expect(response.body.user).toEqual({
+        id: 'user-1',
+        email: 'test@example.com',
+        name: 'Test User',
+        role: 'user'
+      });
+    });
+    
+    test('POST /api/login should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/login')
+        .send({ email: 'admin@example.com', password: 'wrong-password' });
+      
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+      expect(response.body.token).toBeUndefined();
+    });
+    
+    test('POST /api/register should create an account that can log in', async () => {
+      const register = await request(app)
+        .post('/api/register')
+        .send({ email: 'integration@example.com', password: 'integration-pass' });
+      
+      expect(register.status).toBe(201);
+      
+      const duplicate = await request(app)
+        .post('/api/register')
+        .send({ email: 'integration@example.com', password: 'integration-pass' });
+      
+      expect(duplicate.status).toBe(409);
+      
+      const response = await graphqlRequest('query { getCart { userId } }', {}, register.body.token);
+      expect(response.body.data.getCart.userId).toBe(register.body.user.id);
+    });
+    
+    test('POST /api/token/refresh should rotate the refresh token', async () => {
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      
+      const refreshed = await request(app)
+        .post('/api/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.token).toBeDefined();
+      expect(refreshed.body.refreshToken).not.toBe(login.body.refreshToken);
+      
+      const reused = await request(app)
+        .post('/api/token/refresh')
+        .send({ refreshToken: login.body.refreshToken });
+      
+      expect(reused.status).toBe(401);
+      expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+    });
+    
+    test('POST /api/logout should revoke the access token', async () => {
+      const login = await request(app)
+        .post('/api/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+      const { token, refreshToken } = login.body;
+      
+      const logout = await request(app)
+        .post('/api/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken });
+      
+      expect(logout.status).toBe(200);
+      
+      const response = await graphqlRequest('query { getCart { id } }', {}, token);
+      expect(response.body.errors[0].message).toContain('logged in');
+      
+      const refreshed = await request(app)
+        .post('/api/token/refresh')
+        .send({ refreshToken });
+      expect(refreshed.status).toBe(401);
+    });
+    
+    test('POST /api/change-password should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/change-password')
+        .send({ currentPassword: 'password123', newPassword: 'new-password' });
+      
+      expect(response.status).toBe(401);
     });
     
     test('queries should fail without authentication', async () => {
@@ -88,6 +171,35 @@ describe('GraphQL Integration Tests', () => {
       expect(response.body.errors).toBeDefined();
       expect(response.body.errors[0].message).toContain('logged in');
     });
+    
+    test('admin mutations should be forbidden for regular users', async () => {
+      const mutation = `
+        mutation {
+          adjustStock(id: "1", delta: 0) {
+            id
+          }
+        }
+      `;
+      
+      const response = await graphqlRequest(mutation, {}, authToken);
+      
+      expect(response.body.errors[0].extensions.code).toBe('FORBIDDEN');
+    });
+    
+    test('admin mutations should be allowed for admins', async () => {
+      const mutation = `
+        mutation {
+          adjustStock(id: "1", delta: 0) {
+            id
+          }
+        }
+      `;
+      
+      const response = await graphqlRequest(mutation, {}, generateToken('admin-1'));
+      
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data.adjustStock.id).toBe('1');
+    });
   });
   
   describe('Product Queries', () => {
@@ -158,6 +270,15 @@ describe('GraphQL Integration Tests', () => {
       expect(response.body.data.getCart.userId).toBe('user-1');
     });
     
+    test('GraphQL responses should carry the operation rate limit headers', async () => {
+      const first = await graphqlRequest('query { getCart { id } }', {}, authToken);
+      const second = await graphqlRequest('query { getCart { id } }', {}, authToken);
+      
+      expect(first.headers['ratelimit-limit']).toBe('300');
+      expect(Number(second.headers['ratelimit-remaining']))
+        .toBe(Number(first.headers['ratelimit-remaining']) - 1);
+    });
+    
     test('addToCart should add product', async () => {
       const mutation = `
         mutation AddToCart($input: AddToCartInput!) {
@@ -226,5 +347,125 @@ describe('GraphQL Integration Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body.data.validateDiscountCode.valid).toBe(true);
     });
+    
+    test('applyDiscount should expose the applied code on the cart', async () => {
+      const mutation = `
+        mutation {
+          addToCart(input: { productId: "3", quantity: 1 }) { id }
+          applyDiscount(input: { code: "AUDIO15" }) {
+            discountAmount
+            appliedDiscount {
+              code
+              type
+              description
+              qualifies
+            }
+            items {
+              productId
+              discountAmount
+            }
+          }
+        }
+      `;
+      
+      const response = await graphqlRequest(mutation, {}, authToken);
+      const cart = response.body.data.applyDiscount;
+      
+      expect(response.status).toBe(200);
+      expect(cart.appliedDiscount).toEqual({
+        code: 'AUDIO15',
+        type: 'PERCENTAGE',
+        description: 'Giảm 15%',
+        qualifies: true
+      });
+      expect(cart.items[0].discountAmount).toBe(cart.discountAmount);
+      
+      await graphqlRequest('mutation { clearCart { id } }', {}, authToken);
+    });
+    
+    test('createDiscount should accept enum types from admins', async () => {
+      const mutation = `
+        mutation CreateDiscount($input: CreateDiscountInput!) {
+          createDiscount(input: $input) {
+            code
+            type
+            value
+            paused
+          }
+        }
+      `;
+      
+      const response = await graphqlRequest(
+        mutation,
+        { input: { code: 'INTEGRATION5', type: 'FIXED', value: 5 } },
+        generateToken('admin-1')
+      );
+      
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data.createDiscount).toEqual({
+        code: 'INTEGRATION5',
+        type: 'FIXED',
+        value: 5,
+        paused: false
+      });
+    });
+  });
+  
+  describe('Guest Carts', () => {
+    test('guest cart token should identify an anonymous cart', async () => {
+      const start = await graphqlRequest('mutation { startGuestCart { token cart { id } } }');
+      const { token, cart } = start.body.data.startGuestCart;
+      
+      const response = await request(app)
+        .post('/graphql')
+        .set('X-Guest-Cart-Token', token)
+        .send({
+          query: `
+            mutation {
+              addToCart(input: { productId: "3", quantity: 1 }) {
+                id
+                itemCount
+              }
+            }
+          `
+        });
+      
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data.addToCart).toEqual({ id: cart.id, itemCount: 1 });
+    });
+  });
+  
+  describe('Order Queries', () => {
+    test('getOrders should return a paginated connection', async () => {
+      const query = `
+        query GetOrders($filter: OrderFilter, $first: Int) {
+          getOrders(filter: $filter, first: $first) {
+            totalCount
+            edges {
+              cursor
+              node {
+                id
+                status
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `;
+      
+      const response = await graphqlRequest(
+        query,
+        { filter: { status: ['PENDING'] }, first: 5 },
+        authToken
+      );
+      
+      expect(response.status).toBe(200);
+      expect(response.body.errors).toBeUndefined();
+      expect(response.body.data.getOrders.totalCount).toBeGreaterThanOrEqual(0);
+      expect(response.body.data.getOrders.pageInfo).toBeDefined();
+    });
   });
-});
\ No newline at end of file
+});
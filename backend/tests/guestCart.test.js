@@ -0,0 +1,191 @@
+// backend/tests/guestCart.test.js - guest carts and merge-on-login
+
+const jwt = require('jsonwebtoken');
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const {
+  createGuestId,
+  createGuestCartToken,
+  verifyGuestCartToken,
+  mergeGuestCart
+} = require('../src/services/guestCart');
+
+describe('Guest cart tokens', () => {
+  test('should round-trip a guest id', () => {
+    const guestId = createGuestId();
+
+    expect(guestId).toMatch(/^guest-/);
+    expect(verifyGuestCartToken(createGuestCartToken(guestId))).toBe(guestId);
+  });
+
+  test('should reject tampered tokens and other token types', () => {
+    const token = createGuestCartToken(createGuestId());
+    const accessToken = jwt.sign(
+      { userId: 'user-1' },
+      process.env.JWT_SECRET || 'your-secret-key-change-in-production'
+    );
+
+    expect(verifyGuestCartToken(`${token}x`)).toBeNull();
+    expect(verifyGuestCartToken(accessToken)).toBeNull();
+    expect(verifyGuestCartToken(undefined)).toBeNull();
+  });
+});
+
+describe('mergeGuestCart', () => {
+  let db;
+  let guestId;
+  let guestCart;
+
+  const addLine = async (cart, productId, quantity, variant = null) => {
+    return db.carts.addItem(cart.id, { productId, quantity, variant, price: 100 });
+  };
+
+  beforeEach(async () => {
+    db = createMemoryAdapter();
+    guestId = createGuestId();
+    guestCart = await db.carts.create({ userId: guestId });
+  });
+
+  test('should combine quantities for the same product and variant', async () => {
+    const userCart = await db.carts.create({ userId: 'user-1' });
+    await addLine(userCart, '3', 2, { color: 'white' });
+    await addLine(guestCart, '3', 3, { color: 'white' });
+    await addLine(guestCart, '3', 1, { color: 'black' });
+
+    const { cart, adjustments } = await mergeGuestCart(db, { guestId, userId: 'user-1' });
+
+    expect(adjustments).toEqual([]);
+    expect(cart.items.map(i => [i.variant.color, i.quantity])).toEqual([
+      ['white', 5],
+      ['black', 1]
+    ]);
+    expect(await db.carts.findByUserId(guestId)).toBeNull();
+  });
+
+  test('should cap merged quantities at available stock', async () => {
+    const userCart = await db.carts.create({ userId: 'user-1' });
+    await addLine(userCart, '2', 20);
+    await addLine(guestCart, '2', 15);
+
+    const { cart, adjustments } = await mergeGuestCart(db, { guestId, userId: 'user-1' });
+
+    expect(cart.items[0].quantity).toBe(30);
+    expect(adjustments).toEqual([{
+      productId: '2',
+      variant: null,
+      requestedQuantity: 35,
+      quantity: 30,
+      reason: 'STOCK_LIMITED'
+    }]);
+  });
+
+  test('should drop lines for products that are no longer sold', async () => {
+    await addLine(guestCart, '4', 1);
+    await db.products.archive('4');
+
+    const { cart, adjustments } = await mergeGuestCart(db, { guestId, userId: 'user-1' });
+
+    expect(cart.items).toHaveLength(0);
+    expect(adjustments[0]).toMatchObject({ productId: '4', quantity: 0, reason: 'UNAVAILABLE' });
+  });
+
+  test('should keep the discount that gives the lower total', async () => {
+    const userCart = await db.carts.create({ userId: 'user-1' });
+    await addLine(guestCart, '1', 1);
+    await db.carts.applyDiscount(userCart.id, 10);
+    await db.carts.applyDiscount(guestCart.id, 20);
+
+    const { cart } = await mergeGuestCart(db, { guestId, userId: 'user-1' });
+    expect(cart.discount).toBe(20);
+
+    const otherGuest = createGuestId();
+    const otherCart = await db.carts.create({ userId: otherGuest });
+    await db.carts.applyDiscount(otherCart.id, 15);
+
+    const merged = await mergeGuestCart(db, { guestId: otherGuest, userId: 'user-1' });
+    expect(merged.cart.discount).toBe(20);
+  });
+
+  test('should create the user cart when missing and ignore unknown guests', async () => {
+    const { cart, adjustments } = await mergeGuestCart(db, {
+      guestId: createGuestId(),
+      userId: 'user-new'
+    });
+
+    expect(cart.userId).toBe('user-new');
+    expect(adjustments).toEqual([]);
+  });
+});
+
+describe('Guest cart resolvers', () => {
+  let db;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+  });
+
+  test('a guest should be able to start a cart and add items', async () => {
+    const session = await resolvers.Mutation.startGuestCart(null, {}, { user: null, db });
+    const guestId = verifyGuestCartToken(session.token);
+    const guestContext = { user: null, guestId, db };
+
+    const cart = await resolvers.Mutation.addToCart(
+      null,
+      { input: { productId: '1', quantity: 2 } },
+      guestContext
+    );
+
+    expect(cart.id).toBe(session.cart.id);
+    expect(cart.items[0].quantity).toBe(2);
+    expect((await resolvers.Query.getCart(null, {}, guestContext)).id).toBe(session.cart.id);
+  });
+
+  test('startGuestCart should keep the existing guest cart', async () => {
+    const first = await resolvers.Mutation.startGuestCart(null, {}, { user: null, db });
+    const guestId = verifyGuestCartToken(first.token);
+
+    const second = await resolvers.Mutation.startGuestCart(null, {}, { user: null, guestId, db });
+
+    expect(second.cart.id).toBe(first.cart.id);
+  });
+
+  test('guests still cannot check out', async () => {
+    const guestContext = { user: null, guestId: createGuestId(), db };
+
+    await expect(
+      resolvers.Mutation.checkout(
+        null,
+        { input: { cartItemIds: ['x'], shippingAddress: 'a', paymentMethod: 'b' } },
+        guestContext
+      )
+    ).rejects.toThrow('You must be logged in');
+  });
+
+  test('mergeGuestCart should merge the guest cart into the user cart', async () => {
+    const session = await resolvers.Mutation.startGuestCart(null, {}, { user: null, db });
+    await resolvers.Mutation.addToCart(
+      null,
+      { input: { productId: '3', quantity: 1 } },
+      { user: null, guestId: verifyGuestCartToken(session.token), db }
+    );
+    const user = await db.users.findById('user-1');
+
+    const result = await resolvers.Mutation.mergeGuestCart(
+      null,
+      { guestCartToken: session.token },
+      { user, db }
+    );
+
+    expect(result.cart.userId).toBe('user-1');
+    expect(result.cart.items[0]).toMatchObject({ productId: '3', quantity: 1 });
+  });
+
+  test('mergeGuestCart should reject invalid tokens', async () => {
+    const user = await db.users.findById('user-1');
+
+    await expect(
+      resolvers.Mutation.mergeGuestCart(null, { guestCartToken: 'bogus' }, { user, db })
+    ).rejects.toThrow('Invalid guest cart token');
+  });
+});
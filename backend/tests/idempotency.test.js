@@ -0,0 +1,148 @@
+// backend/tests/idempotency.test.js - idempotency keys on checkout and addToCart
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { getIdempotencyTtl, getIdempotencyLease, withIdempotency } = require('../src/services/idempotency');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Idempotency keys', () => {
+  let db;
+  let context;
+
+  const addToCart = (input, ctx = context) => {
+    return resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 2, ...input } }, ctx);
+  };
+
+  const checkout = (cartItemIds, input = {}, ctx = context) => {
+    return resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds,
+        shippingAddress: testAddress,
+        paymentMethod: 'card',
+        ...input
+      }
+    }, ctx);
+  };
+
+  const stockOf = async (productId) => (await db.products.findById(productId)).stock;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+    context = { user: { id: 'user-1', role: 'user' }, db };
+  });
+
+  test('a replayed checkout should return the original order', async () => {
+    const cart = await addToCart({});
+    const itemIds = cart.items.map(item => item.id);
+
+    const first = await checkout(itemIds, { idempotencyKey: 'checkout-key-1' });
+    const replay = await checkout(itemIds, { idempotencyKey: 'checkout-key-1' });
+
+    expect(first.success).toBe(true);
+    expect(replay).toEqual(first);
+    expect(await db.orders.findByUserId('user-1')).toHaveLength(1);
+    expect(await stockOf('3')).toBe(98);
+  });
+
+  test('the Idempotency-Key header should work like the input field', async () => {
+    const cart = await addToCart({});
+    const headerContext = { ...context, idempotencyKey: 'header-key-1' };
+    const itemIds = cart.items.map(item => item.id);
+
+    const first = await checkout(itemIds, {}, headerContext);
+    const replay = await checkout(itemIds, {}, headerContext);
+
+    expect(replay.orderId).toBe(first.orderId);
+    expect(await db.orders.findByUserId('user-1')).toHaveLength(1);
+  });
+
+  test('a replayed addToCart should not add the item twice', async () => {
+    await addToCart({ idempotencyKey: 'cart-key-1' });
+    const replay = await addToCart({ idempotencyKey: 'cart-key-1' });
+
+    expect(replay.items[0].quantity).toBe(2);
+    expect((await db.carts.findByUserId('user-1')).items[0].quantity).toBe(2);
+  });
+
+  test('reusing a key with a different payload should conflict', async () => {
+    await addToCart({ idempotencyKey: 'cart-key-2' });
+
+    await expect(addToCart({ quantity: 3, idempotencyKey: 'cart-key-2' }))
+      .rejects.toMatchObject({ extensions: { code: 'IDEMPOTENCY_KEY_CONFLICT' } });
+
+    const cart = await addToCart({ idempotencyKey: 'cart-key-3' });
+    await expect(checkout(cart.items.map(item => item.id), { idempotencyKey: 'cart-key-3' }))
+      .rejects.toMatchObject({ extensions: { code: 'IDEMPOTENCY_KEY_CONFLICT' } });
+  });
+
+  test('keys should be scoped per user', async () => {
+    await addToCart({ idempotencyKey: 'shared-key-1' });
+    const otherContext = { user: { id: 'user-2', role: 'user' }, db };
+
+    const cart = await addToCart({ idempotencyKey: 'shared-key-1' }, otherContext);
+
+    expect(cart.userId).toBe('user-2');
+    expect(cart.items[0].quantity).toBe(2);
+  });
+
+  test('a concurrent duplicate should be rejected while the first is running', async () => {
+    const cart = await addToCart({});
+    const itemIds = cart.items.map(item => item.id);
+
+    const results = await Promise.allSettled([
+      checkout(itemIds, { idempotencyKey: 'checkout-key-2' }),
+      checkout(itemIds, { idempotencyKey: 'checkout-key-2' }),
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason.extensions.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+    expect(await stockOf('3')).toBe(98);
+  });
+
+  test('a failed request should release its key', async () => {
+    await expect(addToCart({ productId: 'missing', idempotencyKey: 'cart-key-4' }))
+      .rejects.toThrow('Product not found');
+
+    const cart = await addToCart({ idempotencyKey: 'cart-key-4' });
+    expect(cart.items).toHaveLength(1);
+  });
+
+  test('an invalid key should be rejected', async () => {
+    await expect(addToCart({ idempotencyKey: 'short' }))
+      .rejects.toThrow('Idempotency key must be 8-255 letters, digits or _ . : -');
+    await expect(addToCart({ idempotencyKey: 'has spaces in it' }))
+      .rejects.toThrow('Idempotency key must be 8-255 letters, digits or _ . : -');
+  });
+
+  test('a key left in progress by a crashed request should be reusable after the lease', async () => {
+    const options = { ownerId: 'user-1', key: 'lease-key-1', operation: 'test', payload: {} };
+    const never = () => new Promise(() => {});
+    const retry = jest.fn(never);
+
+    // Request đầu giữ key rồi không bao giờ xong, lease đã hết
+    withIdempotency(db, { ...options, leaseMs: -1 }, never);
+    withIdempotency(db, options, retry);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(retry).toHaveBeenCalledTimes(1);
+
+    // Lần chạy lại giữ lease mới
+    await expect(withIdempotency(db, options, jest.fn()))
+      .rejects.toMatchObject({ code: 'IDEMPOTENCY_IN_PROGRESS' });
+
+    expect(getIdempotencyLease({ IDEMPOTENCY_LEASE_MS: '5000' })).toBe(5000);
+    expect(getIdempotencyLease({})).toBe(2 * 60 * 1000);
+  });
+
+  test('stored results should expire after the TTL', async () => {
+    const execute = jest.fn().mockResolvedValue({ ok: true });
+    const options = { ownerId: 'user-1', key: 'ttl-key-1', operation: 'test', payload: {}, ttlMs: -1 };
+
+    await withIdempotency(db, options, execute);
+    await withIdempotency(db, options, execute);
+
+    expect(execute).toHaveBeenCalledTimes(2);
+    expect(getIdempotencyTtl({ IDEMPOTENCY_TTL_MS: '60000' })).toBe(60000);
+    expect(getIdempotencyTtl({})).toBe(24 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,98 @@
+// backend/tests/loaders.test.js - batched product lookups per request
+
+const { graphql } = require('graphql');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const typeDefs = require('../src/schema/typeDefs');
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { createLoaders } = require('../src/database/loaders');
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const GET_CART = `
+  query {
+    getCart {
+      items {
+        available
+        product {
+          id
+          name
+        }
+      }
+    }
+  }
+`;
+
+const GET_CART_AVAILABILITY = `
+  query {
+    getCart {
+      items {
+        available
+      }
+    }
+  }
+`;
+
+describe('Request loaders', () => {
+  let db;
+
+  const fillCart = async (userId, productIds) => {
+    const cart = await db.carts.create({ userId });
+    for (const productId of productIds) {
+      await db.carts.addItem(cart.id, { productId, quantity: 1, price: 100, variant: null });
+    }
+  };
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    jest.spyOn(db.products, 'findByIds');
+    jest.spyOn(db.products, 'findById');
+  });
+
+  test('a multi-item cart should load its products in one batched call', async () => {
+    await fillCart('user-1', ['1', '2', '3', '4']);
+
+    const result = await graphql({
+      schema,
+      source: GET_CART,
+      contextValue: { user: { id: 'user-1' }, db, loaders: createLoaders(db) },
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.getCart.items.map(item => item.product.id)).toEqual(['1', '2', '3', '4']);
+    expect(result.data.getCart.items.every(item => item.available)).toBe(true);
+    expect(db.products.findByIds).toHaveBeenCalledTimes(1);
+    expect(db.products.findByIds).toHaveBeenCalledWith(['1', '2', '3', '4']);
+    expect(db.products.findById).not.toHaveBeenCalled();
+  });
+
+  test('loaders should be created on demand and return null for missing products', async () => {
+    await fillCart('user-2', ['1', 'missing']);
+    const context = { user: { id: 'user-2' }, db };
+
+    const result = await graphql({ schema, source: GET_CART_AVAILABILITY, contextValue: context });
+
+    expect(result.data.getCart.items.map(item => item.available)).toEqual([true, false]);
+    expect(context.loaders).toBeDefined();
+    expect(db.products.findByIds).toHaveBeenCalledTimes(1);
+  });
+
+  test('product writes should refresh the cached product', async () => {
+    const context = { user: { id: 'admin-1', role: 'admin' }, db, loaders: createLoaders(db) };
+    // Bản cũ trong cache của request
+    context.loaders.products.prime('1', { id: '1', name: 'iPhone 15 Pro', stock: 0 });
+
+    await resolvers.Mutation.adjustStock(null, { id: '1', delta: 5 }, context);
+
+    expect((await context.loaders.products.load('1')).stock).toBe(55);
+  });
+
+  test('uncached loaders should still batch but read fresh data every time', async () => {
+    const loaders = createLoaders(db, { cache: false });
+
+    await Promise.all([loaders.products.load('1'), loaders.products.load('2')]);
+    await loaders.products.load('1');
+
+    expect(db.products.findByIds).toHaveBeenCalledTimes(2);
+  });
+});
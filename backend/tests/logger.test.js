@@ -0,0 +1,149 @@
+// backend/tests/logger.test.js - JSON logs, correlation ids and domain events
+
+const { PassThrough } = require('stream');
+const winston = require('winston');
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const {
+  logger,
+  serializeError,
+  correlationId,
+  createLoggers,
+} = require('../src/utils/logger');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Logger', () => {
+  const runMiddleware = (headers = {}) => {
+    const req = { headers };
+    const res = { setHeader: jest.fn() };
+    const next = jest.fn();
+    correlationId(req, res, next);
+    return { req, res, next };
+  };
+
+  test('correlationId should reuse a valid incoming id', () => {
+    const { req, res, next } = runMiddleware({ 'x-correlation-id': 'req-123' });
+
+    expect(req.correlationId).toBe('req-123');
+    expect(res.setHeader).toHaveBeenCalledWith('X-Correlation-Id', 'req-123');
+    expect(req.loggers.cart.addItem).toBeInstanceOf(Function);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('correlationId should generate an id when none or an invalid one is sent', () => {
+    const { req } = runMiddleware();
+    const { req: invalid } = runMiddleware({ 'x-correlation-id': 'bad id\nwith newline' });
+
+    expect(req.correlationId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(invalid.correlationId).not.toBe('bad id\nwith newline');
+  });
+
+  test('output should be JSON tagged with the correlation id', () => {
+    const stream = new PassThrough();
+    const transport = new winston.transports.Stream({ stream });
+    logger.add(transport);
+
+    try {
+      const { req } = runMiddleware({ 'x-correlation-id': 'req-json' });
+      req.loggers.discount.failed('user-1', 'NOPE', 'Invalid discount code');
+    } finally {
+      logger.remove(transport);
+    }
+
+    const line = JSON.parse(stream.read().toString());
+    expect(line).toMatchObject({
+      level: 'warn',
+      message: 'Discount code failed',
+      event: 'discount_failed',
+      correlationId: 'req-json',
+      userId: 'user-1',
+      code: 'NOPE',
+    });
+    expect(line.timestamp).toBeDefined();
+  });
+
+  test('serializeError should keep message, code and stack', () => {
+    const error = new Error('boom');
+    error.code = 'BOOM';
+
+    expect(serializeError(error)).toMatchObject({ message: 'boom', code: 'BOOM', stack: expect.any(String) });
+    expect(serializeError('text')).toEqual({ message: 'text' });
+  });
+});
+
+describe('Domain events from resolvers', () => {
+  let db;
+  let log;
+  let context;
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    log = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), http: jest.fn() };
+    context = { user: { id: 'user-1', role: 'user' }, db, logger: log, loggers: createLoggers(log) };
+  });
+
+  const eventsLogged = (level) => log[level].mock.calls.map(([, meta]) => meta && meta.event);
+
+  test('cart changes should be logged through the request logger', async () => {
+    const cart = await resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 2 } }, context);
+    const itemId = cart.items[0].id;
+    await resolvers.Mutation.updateCartItem(null, { input: { itemId, quantity: 3 } }, context);
+    await resolvers.Mutation.removeFromCart(null, { itemId }, context);
+    await resolvers.Mutation.clearCart(null, {}, context);
+
+    expect(log.info).toHaveBeenCalledWith('Item added to cart', {
+      event: 'cart_add',
+      userId: 'user-1',
+      productId: '3',
+      quantity: 2
+    });
+    expect(eventsLogged('info')).toEqual(['cart_add', 'cart_update', 'cart_remove', 'cart_clear']);
+  });
+
+  test('discount attempts should be logged', async () => {
+    await resolvers.Mutation.addToCart(null, { input: { productId: '1', quantity: 1 } }, context);
+
+    await resolvers.Mutation.applyDiscount(null, { input: { code: 'save10' } }, context);
+    await expect(
+      resolvers.Mutation.applyDiscount(null, { input: { code: 'NOPE' } }, context)
+    ).rejects.toThrow('Invalid discount code');
+    await resolvers.Query.validateDiscountCode(null, { code: 'MISSING' }, context);
+
+    expect(eventsLogged('info')).toContain('discount_applied');
+    expect(log.warn).toHaveBeenCalledWith('Discount code failed', expect.objectContaining({
+      event: 'discount_failed',
+      code: 'NOPE',
+      reason: 'Invalid discount code'
+    }));
+    expect(eventsLogged('warn').filter(event => event === 'discount_failed')).toHaveLength(2);
+    // Lỗi nghiệp vụ không ghi mức error
+    expect(log.error).not.toHaveBeenCalled();
+  });
+
+  test('checkout should log the placed order', async () => {
+    const cart = await resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 1 } }, context);
+
+    const result = await resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: testAddress,
+        paymentMethod: 'card'
+      }
+    }, context);
+
+    expect(log.info).toHaveBeenCalledWith('Checkout completed', {
+      event: 'checkout',
+      userId: 'user-1',
+      orderId: result.orderId,
+      total: result.total
+    });
+  });
+
+  test('unexpected resolver errors should be logged as JSON-safe errors', async () => {
+    jest.spyOn(db.carts, 'findByUserId').mockRejectedValue(new Error('db down'));
+
+    await expect(resolvers.Query.getCart(null, {}, context)).rejects.toThrow();
+
+    expect(log.error).toHaveBeenCalledWith('Error fetching cart', expect.objectContaining({ message: 'db down' }));
+  });
+});
@@ -0,0 +1,73 @@
+// backend/tests/orderHistory.test.js
+
+const { paginateOrders, filterOrders, decodeCursor } = require('../src/services/orderHistory');
+
+const makeOrder = (id, day, total, status = 'pending') => ({
+  id,
+  total,
+  status,
+  createdAt: new Date(Date.UTC(2024, 0, day)).toISOString(),
+});
+
+const orders = [
+  makeOrder('o1', 1, 300),
+  makeOrder('o2', 2, 100, 'paid'),
+  makeOrder('o3', 3, 200, 'cancelled'),
+  makeOrder('o4', 4, 100),
+  makeOrder('o5', 5, 500, 'paid'),
+];
+
+const ids = (connection) => connection.edges.map(edge => edge.node.id);
+
+describe('Order History', () => {
+  test('should sort newest first by default', () => {
+    const connection = paginateOrders(orders);
+
+    expect(ids(connection)).toEqual(['o5', 'o4', 'o3', 'o2', 'o1']);
+    expect(connection.totalCount).toBe(5);
+    expect(connection.pageInfo.hasNextPage).toBe(false);
+  });
+
+  test('should walk through pages with cursors', () => {
+    const first = paginateOrders(orders, { first: 2 });
+    const second = paginateOrders(orders, { first: 2, after: first.pageInfo.endCursor });
+    const third = paginateOrders(orders, { first: 2, after: second.pageInfo.endCursor });
+
+    expect(ids(first)).toEqual(['o5', 'o4']);
+    expect(ids(second)).toEqual(['o3', 'o2']);
+    expect(ids(third)).toEqual(['o1']);
+    expect(first.pageInfo.hasNextPage).toBe(true);
+    expect(third.pageInfo.hasNextPage).toBe(false);
+  });
+
+  test('should sort by total with a stable tie-break', () => {
+    const connection = paginateOrders(orders, { sort: { field: 'TOTAL', direction: 'ASC' } });
+    const page = paginateOrders(orders, {
+      sort: { field: 'TOTAL', direction: 'ASC' },
+      first: 1,
+      after: connection.edges[0].cursor,
+    });
+
+    expect(ids(connection)).toEqual(['o2', 'o4', 'o3', 'o1', 'o5']);
+    expect(ids(page)).toEqual(['o4']);
+  });
+
+  test('should filter by status and date range', () => {
+    expect(filterOrders(orders, { status: ['paid'] }).map(o => o.id)).toEqual(['o2', 'o5']);
+
+    const ranged = filterOrders(orders, {
+      from: new Date(Date.UTC(2024, 0, 2)),
+      to: new Date(Date.UTC(2024, 0, 4)),
+    });
+    expect(ranged.map(o => o.id)).toEqual(['o2', 'o3', 'o4']);
+  });
+
+  test('should clamp the page size', () => {
+    expect(paginateOrders(orders, { first: 0 }).edges).toHaveLength(1);
+  });
+
+  test('should reject malformed cursors', () => {
+    expect(() => paginateOrders(orders, { after: 'not-a-cursor' })).toThrow('Invalid cursor');
+    expect(() => decodeCursor(Buffer.from('[1]').toString('base64'))).toThrow('Invalid cursor');
+  });
+});
@@ -0,0 +1,64 @@
+// backend/tests/orderLifecycle.test.js
+
+const {
+  ORDER_STATUS,
+  canTransition,
+  assertTransition,
+  shouldRestock,
+} = require('../src/services/orderLifecycle');
+
+describe('Order Lifecycle', () => {
+  test('should allow the happy path pending → paid → shipped → delivered', () => {
+    expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.PAID)).toBe(true);
+    expect(canTransition(ORDER_STATUS.PAID, ORDER_STATUS.SHIPPED)).toBe(true);
+    expect(canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED)).toBe(true);
+  });
+
+  test('should only allow cancelling before shipment', () => {
+    expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.CANCELLED)).toBe(true);
+    expect(canTransition(ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED)).toBe(true);
+    expect(canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED)).toBe(false);
+  });
+
+  test('should only allow refunding paid orders', () => {
+    expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.REFUNDED)).toBe(false);
+    expect(canTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.REFUNDED)).toBe(true);
+  });
+
+  test('should treat cancelled and refunded as final', () => {
+    Object.values(ORDER_STATUS).forEach((status) => {
+      expect(canTransition(ORDER_STATUS.CANCELLED, status)).toBe(false);
+      expect(canTransition(ORDER_STATUS.REFUNDED, status)).toBe(false);
+    });
+  });
+
+  test('assertTransition should throw a coded error', () => {
+    expect(() => assertTransition(ORDER_STATUS.PENDING, ORDER_STATUS.SHIPPED))
+      .toThrow('Cannot change order status from pending to shipped');
+
+    try {
+      assertTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.PENDING);
+    } catch (error) {
+      expect(error.code).toBe('INVALID_ORDER_TRANSITION');
+    }
+  });
+
+  test('should restock on cancel and refund only', () => {
+    expect(shouldRestock(ORDER_STATUS.CANCELLED)).toBe(true);
+    expect(shouldRestock(ORDER_STATUS.REFUNDED)).toBe(true);
+    expect(shouldRestock(ORDER_STATUS.SHIPPED)).toBe(false);
+  });
+
+  test('orders awaiting payment can only be confirmed, failed or cancelled', () => {
+    expect(canTransition(ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.PENDING)).toBe(true);
+    expect(canTransition(ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.PAYMENT_FAILED)).toBe(true);
+    expect(canTransition(ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.CANCELLED)).toBe(true);
+    expect(canTransition(ORDER_STATUS.PENDING_PAYMENT, ORDER_STATUS.PAID)).toBe(false);
+    expect(canTransition(ORDER_STATUS.PAYMENT_FAILED, ORDER_STATUS.PENDING)).toBe(false);
+  });
+
+  test('should not restock orders that never reserved stock', () => {
+    expect(shouldRestock(ORDER_STATUS.CANCELLED, ORDER_STATUS.PENDING_PAYMENT)).toBe(false);
+    expect(shouldRestock(ORDER_STATUS.CANCELLED, ORDER_STATUS.PENDING)).toBe(true);
+  });
+});
@@ -0,0 +1,207 @@
+// backend/tests/orders.test.js - order resolvers against a real in-memory adapter
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { pubsub, TOPICS } = require('../src/pubsub');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Order lifecycle mutations', () => {
+  let db;
+  let userContext;
+  let adminContext;
+
+  // Đặt một đơn hàng qua checkout thật
+  const placeOrder = async (userId, productId, quantity) => {
+    const cart = await db.carts.create({ userId });
+    const updated = await db.carts.addItem(cart.id, {
+      productId,
+      quantity,
+      price: 100,
+      variant: null
+    });
+
+    const result = await resolvers.Mutation.checkout(
+      null,
+      {
+        input: {
+          cartItemIds: [updated.items[0].id],
+          shippingAddress: testAddress,
+          paymentMethod: 'credit_card'
+        }
+      },
+      { user: { id: userId, role: 'user' }, db }
+    );
+    return result.orderId;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+    userContext = { user: await db.users.findById('user-1'), db };
+    adminContext = { user: await db.users.findById('admin-1'), db };
+  });
+
+  test('cancelOrder should return stock and record the change', async () => {
+    const orderId = await placeOrder('user-1', '1', 3);
+    expect((await db.products.findById('1')).stock).toBe(47);
+
+    const order = await resolvers.Mutation.cancelOrder(
+      null,
+      { id: orderId, reason: 'Changed my mind' },
+      userContext
+    );
+
+    expect(order.status).toBe('cancelled');
+    expect(order.history.map(h => h.status)).toEqual(['pending_payment', 'pending', 'cancelled']);
+    expect(order.history[2].note).toBe('Changed my mind');
+    expect(order.payment.status).toBe('voided');
+    expect((await db.products.findById('1')).stock).toBe(50);
+  });
+
+  test('cancelOrder should refuse another user\'s order', async () => {
+    const orderId = await placeOrder('user-2', '1', 1);
+
+    await expect(
+      resolvers.Mutation.cancelOrder(null, { id: orderId }, userContext)
+    ).rejects.toThrow('Cannot modify another user\'s order');
+  });
+
+  test('markOrderShipped should only ship paid orders', async () => {
+    const orderId = await placeOrder('user-1', '1', 1);
+
+    await expect(
+      resolvers.Mutation.markOrderShipped(null, { id: orderId }, adminContext)
+    ).rejects.toThrow('Cannot change order status from pending to shipped');
+
+    await resolvers.Mutation.captureOrderPayment(null, { id: orderId }, adminContext);
+    const order = await resolvers.Mutation.markOrderShipped(
+      null,
+      { id: orderId, trackingNumber: 'VN123' },
+      adminContext
+    );
+
+    expect(order.status).toBe('shipped');
+    expect(order.payment.status).toBe('captured');
+    expect(order.history[3].note).toBe('Tracking number: VN123');
+  });
+
+  test('orders should walk pending → paid → shipped → delivered', async () => {
+    const orderId = await placeOrder('user-1', '1', 1);
+
+    await expect(
+      resolvers.Mutation.markOrderDelivered(null, { id: orderId }, adminContext)
+    ).rejects.toThrow('Cannot change order status from pending to delivered');
+
+    await resolvers.Mutation.captureOrderPayment(null, { id: orderId }, adminContext);
+    await resolvers.Mutation.markOrderShipped(null, { id: orderId }, adminContext);
+    const order = await resolvers.Mutation.markOrderDelivered(null, { id: orderId }, adminContext);
+
+    expect(order.status).toBe('delivered');
+    expect(order.history.map(h => h.status)).toEqual([
+      'pending_payment', 'pending', 'paid', 'shipped', 'delivered'
+    ]);
+    expect(order.history.every(h => h.changedAt)).toBe(true);
+  });
+
+  test('markOrderDelivered should report unknown orders', async () => {
+    await expect(
+      resolvers.Mutation.markOrderDelivered(null, { id: 'missing' }, adminContext)
+    ).rejects.toThrow('Order not found');
+  });
+
+  test('refundOrder should restock shipped orders and publish the change', async () => {
+    const orderId = await placeOrder('user-1', '2', 2);
+    await resolvers.Mutation.captureOrderPayment(null, { id: orderId }, adminContext);
+    await db.orders.updateStatus(orderId, 'shipped');
+    const publish = jest.spyOn(pubsub, 'publish');
+
+    const order = await resolvers.Mutation.refundOrder(
+      null,
+      { id: orderId, reason: 'Damaged' },
+      adminContext
+    );
+
+    expect(order.status).toBe('refunded');
+    expect(order.payment.status).toBe('refunded');
+    expect((await db.products.findById('2')).stock).toBe(30);
+    expect(publish).toHaveBeenCalledWith(TOPICS.ORDER_UPDATED, {
+      orderUpdated: expect.objectContaining({ id: orderId, status: 'refunded' }),
+      userId: 'user-1'
+    });
+  });
+
+  test('a cancelled order cannot be cancelled again', async () => {
+    const orderId = await placeOrder('user-1', '3', 1);
+    await resolvers.Mutation.cancelOrder(null, { id: orderId }, userContext);
+
+    await expect(
+      resolvers.Mutation.cancelOrder(null, { id: orderId }, userContext)
+    ).rejects.toThrow('Cannot change order status from cancelled to cancelled');
+    expect((await db.products.findById('3')).stock).toBe(100);
+  });
+
+  test('getOrder should include the status history', async () => {
+    const orderId = await placeOrder('user-1', '4', 1);
+    await resolvers.Mutation.cancelOrder(null, { id: orderId }, userContext);
+
+    const order = await resolvers.Query.getOrder(null, { id: orderId }, userContext);
+    expect(order.history).toHaveLength(3);
+  });
+});
+
+describe('Order queries', () => {
+  let db;
+  let userContext;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+    userContext = { user: await db.users.findById('user-1'), db };
+  });
+
+  test('getOrder should return the user\'s own order', async () => {
+    const created = await db.orders.create({ userId: 'user-1', items: [], total: 10 });
+
+    const order = await resolvers.Query.getOrder(null, { id: created.id }, userContext);
+
+    expect(order.id).toBe(created.id);
+  });
+
+  test('getOrder should refuse another user\'s order', async () => {
+    const created = await db.orders.create({ userId: 'user-2', items: [], total: 10 });
+
+    await expect(
+      resolvers.Query.getOrder(null, { id: created.id }, userContext)
+    ).rejects.toThrow('Cannot view another user\'s order');
+  });
+
+  test('getOrder should let admins view any order', async () => {
+    const created = await db.orders.create({ userId: 'user-2', items: [], total: 10 });
+    const adminContext = { user: await db.users.findById('admin-1'), db };
+
+    const order = await resolvers.Query.getOrder(null, { id: created.id }, adminContext);
+
+    expect(order.userId).toBe('user-2');
+  });
+
+  test('getOrder should return null for unknown orders', async () => {
+    expect(await resolvers.Query.getOrder(null, { id: 'missing' }, userContext)).toBeNull();
+  });
+
+  test('getOrders should only list the user\'s orders', async () => {
+    await db.orders.create({ userId: 'user-1', items: [], total: 10 });
+    await db.orders.create({ userId: 'user-1', items: [], total: 20 });
+    await db.orders.create({ userId: 'user-2', items: [], total: 30 });
+
+    const connection = await resolvers.Query.getOrders(null, { first: 10 }, userContext);
+
+    expect(connection.totalCount).toBe(2);
+    expect(connection.edges.every(edge => edge.node.userId === 'user-1')).toBe(true);
+  });
+
+  test('getOrders should report invalid cursors as input errors', async () => {
+    await expect(
+      resolvers.Query.getOrders(null, { after: 'bogus' }, userContext)
+    ).rejects.toThrow('Invalid cursor');
+  });
+});
@@ -0,0 +1,283 @@
+// backend/tests/payments.test.js - payment gateway and checkout payments
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { createGateway, configFromEnv } = require('../src/payments/gateways');
+const { MOCK_PAYMENT_METHODS, createMockGateway } = require('../src/payments/gateways/mock');
+const { createPaymentService, settlePayment } = require('../src/services/payments');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Mock payment gateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = createMockGateway();
+  });
+
+  test('should authorize, capture and refund', async () => {
+    const payment = await gateway.authorize({ amount: 100, paymentMethod: 'card' });
+    expect(payment.status).toBe('authorized');
+
+    expect((await gateway.capture(payment.id)).status).toBe('captured');
+    expect((await gateway.refund(payment.id, 40)).status).toBe('partially_refunded');
+
+    const refunded = await gateway.refund(payment.id);
+    expect(refunded).toMatchObject({ status: 'refunded', refundedAmount: 100 });
+  });
+
+  test('should decline the test payment methods', async () => {
+    const declined = await gateway.authorize({ amount: 10, paymentMethod: MOCK_PAYMENT_METHODS.DECLINED });
+    const noFunds = await gateway.authorize({ amount: 10, paymentMethod: MOCK_PAYMENT_METHODS.INSUFFICIENT_FUNDS });
+
+    expect(declined).toMatchObject({ status: 'declined', declineCode: 'card_declined' });
+    expect(noFunds).toMatchObject({ status: 'declined', declineCode: 'insufficient_funds' });
+  });
+
+  test('should require 3-D Secure for mock_3ds', async () => {
+    const payment = await gateway.authorize({ amount: 10, paymentMethod: MOCK_PAYMENT_METHODS.THREE_D_SECURE });
+
+    expect(payment.status).toBe('requires_action');
+    expect(payment.nextAction.url).toContain(payment.id);
+    await expect(gateway.capture(payment.id)).rejects.toMatchObject({ code: 'INVALID_PAYMENT_STATE' });
+
+    expect((await gateway.completeAction(payment.id)).status).toBe('authorized');
+  });
+
+  test('should reject invalid operations', async () => {
+    const payment = await gateway.authorize({ amount: 10, paymentMethod: 'card' });
+
+    await expect(gateway.refund(payment.id)).rejects.toThrow('Cannot refund a authorized payment');
+    await expect(gateway.capture(payment.id, 11)).rejects.toMatchObject({ code: 'INVALID_PAYMENT_AMOUNT' });
+    await expect(gateway.void('missing')).rejects.toMatchObject({ code: 'PAYMENT_NOT_FOUND' });
+  });
+
+  test('should be selected from the environment', () => {
+    expect(configFromEnv({})).toEqual({ gateway: 'mock', timeoutMs: 10000 });
+    expect(createGateway('mock').name).toBe('mock');
+    expect(() => createGateway('stripe')).toThrow('Unknown payment gateway: stripe');
+  });
+});
+
+describe('Payment service', () => {
+  test('should time out calls that never return', async () => {
+    const payments = createPaymentService({ gateway: createMockGateway(), timeoutMs: 20 });
+
+    await expect(payments.authorize({ amount: 10, paymentMethod: MOCK_PAYMENT_METHODS.TIMEOUT }))
+      .rejects.toMatchObject({ code: 'PAYMENT_TIMEOUT' });
+  });
+
+  test('settlePayment should void uncaptured payments and refund captured ones', async () => {
+    const payments = createPaymentService({ gateway: createMockGateway() });
+    const authorized = await payments.authorize({ amount: 10, paymentMethod: 'card' });
+
+    expect((await settlePayment(payments, authorized, 'cancelled')).status).toBe('voided');
+
+    const other = await payments.authorize({ amount: 10, paymentMethod: 'card' });
+    const captured = await settlePayment(payments, other, 'paid');
+    expect((await settlePayment(payments, captured, 'refunded')).status).toBe('refunded');
+    expect(await settlePayment(payments, null, 'cancelled')).toBeNull();
+  });
+});
+
+describe('Checkout payments', () => {
+  let db;
+  let gateway;
+  let context;
+
+  const checkout = async (paymentMethod) => {
+    const cart = await resolvers.Mutation.addToCart(
+      null,
+      { input: { productId: '3', quantity: 2 } },
+      context
+    );
+    return resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: testAddress,
+        paymentMethod
+      }
+    }, context);
+  };
+
+  const stockOf = async (productId) => (await db.products.findById(productId)).stock;
+  const cartSize = async () => (await db.carts.findByUserId('user-1')).items.length;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+    gateway = createMockGateway();
+    context = {
+      user: { id: 'user-1', role: 'user' },
+      db,
+      payments: createPaymentService({ gateway, timeoutMs: 50 })
+    };
+  });
+
+  test('an authorized payment should place the order', async () => {
+    const result = await checkout('card');
+    const order = await db.orders.findById(result.orderId);
+
+    expect(result).toMatchObject({ success: true, status: 'pending', message: 'Order placed successfully' });
+    expect(order.history.map(h => h.status)).toEqual(['pending_payment', 'pending']);
+    expect(order.payment).toMatchObject({ gateway: 'mock', status: 'authorized', amount: order.total });
+    expect(await stockOf('3')).toBe(98);
+    expect(await cartSize()).toBe(0);
+  });
+
+  test('a declined payment should keep stock and cart untouched', async () => {
+    const result = await checkout(MOCK_PAYMENT_METHODS.INSUFFICIENT_FUNDS);
+    const order = await db.orders.findById(result.orderId);
+
+    expect(result).toMatchObject({ success: false, status: 'payment_failed', message: 'Payment was declined' });
+    expect(order.history[1].note).toBe('Payment declined: insufficient_funds');
+    expect(await stockOf('3')).toBe(100);
+    expect(await cartSize()).toBe(1);
+  });
+
+  test('a gateway timeout should fail the order', async () => {
+    const result = await checkout(MOCK_PAYMENT_METHODS.TIMEOUT);
+
+    expect(result).toMatchObject({ success: false, status: 'payment_failed' });
+    expect(result.message).toBe('Payment provider did not respond, please try again');
+    expect(await stockOf('3')).toBe(100);
+    expect(await cartSize()).toBe(1);
+  });
+
+  test('an authorization landing after the timeout should be voided', async () => {
+    const authorize = gateway.authorize;
+    let landed;
+    jest.spyOn(gateway, 'authorize').mockImplementation((request) => {
+      landed = new Promise(resolve => setTimeout(resolve, 80)).then(() => authorize(request));
+      return landed;
+    });
+
+    const result = await checkout('card');
+    expect(result).toMatchObject({ success: false, status: 'payment_failed' });
+
+    await landed;
+    await new Promise(resolve => setImmediate(resolve));
+    const [payment] = await gateway.findByReference(result.orderId);
+    expect(payment.status).toBe('voided');
+  });
+
+  test('3-D Secure payments should wait for confirmPayment', async () => {
+    const result = await checkout(MOCK_PAYMENT_METHODS.THREE_D_SECURE);
+
+    expect(result).toMatchObject({ success: false, status: 'pending_payment' });
+    expect(resolvers.Payment.nextActionUrl(result.payment)).toContain(result.payment.id);
+    expect(await stockOf('3')).toBe(100);
+
+    await expect(
+      resolvers.Mutation.confirmPayment(null, { orderId: result.orderId }, context)
+    ).resolves.toMatchObject({ success: false, status: 'pending_payment' });
+
+    await gateway.completeAction(result.payment.id);
+    const confirmed = await resolvers.Mutation.confirmPayment(null, { orderId: result.orderId }, context);
+
+    expect(confirmed).toMatchObject({ success: true, status: 'pending' });
+    expect(await stockOf('3')).toBe(98);
+    expect(await cartSize()).toBe(0);
+
+    await expect(
+      resolvers.Mutation.confirmPayment(null, { orderId: result.orderId }, context)
+    ).rejects.toThrow('Order is not awaiting payment');
+  });
+
+  test('failed 3-D Secure should decline the order', async () => {
+    const result = await checkout(MOCK_PAYMENT_METHODS.THREE_D_SECURE);
+    await gateway.completeAction(result.payment.id, { approved: false });
+
+    const confirmed = await resolvers.Mutation.confirmPayment(null, { orderId: result.orderId }, context);
+
+    expect(confirmed).toMatchObject({ success: false, status: 'payment_failed' });
+    expect(confirmed.payment.declineCode).toBe('authentication_failed');
+  });
+
+  test('cancelling an order awaiting 3-D Secure should void it without restocking', async () => {
+    const result = await checkout(MOCK_PAYMENT_METHODS.THREE_D_SECURE);
+
+    const order = await resolvers.Mutation.cancelOrder(null, { id: result.orderId }, context);
+
+    expect(order.status).toBe('cancelled');
+    expect(order.payment.status).toBe('voided');
+    expect(await stockOf('3')).toBe(100);
+  });
+
+  test('concurrent transitions should only move money once', async () => {
+    const result = await checkout('card');
+    const adminContext = { ...context, user: { id: 'admin-1', role: 'admin' } };
+    const capture = jest.spyOn(gateway, 'capture');
+
+    const outcomes = await Promise.allSettled([
+      resolvers.Mutation.captureOrderPayment(null, { id: result.orderId }, adminContext),
+      resolvers.Mutation.captureOrderPayment(null, { id: result.orderId }, adminContext)
+    ]);
+
+    expect(outcomes.map(outcome => outcome.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(capture).toHaveBeenCalledTimes(1);
+    expect((await db.orders.findById(result.orderId)).status).toBe('paid');
+  });
+
+  test('a gateway failure should leave the order and stock unchanged', async () => {
+    const result = await checkout('card');
+    jest.spyOn(gateway, 'void').mockRejectedValue(
+      Object.assign(new Error('Gateway unavailable'), { code: 'GATEWAY_ERROR' })
+    );
+
+    await expect(
+      resolvers.Mutation.cancelOrder(null, { id: result.orderId }, context)
+    ).rejects.toThrow('Gateway unavailable');
+
+    expect((await db.orders.findById(result.orderId)).status).toBe('pending');
+    expect(await stockOf('3')).toBe(98);
+  });
+
+  test('a slow gateway should not block other writes', async () => {
+    const result = await checkout('card');
+    const adminContext = { ...context, user: { id: 'admin-1', role: 'admin' } };
+    let release;
+    const capture = gateway.capture;
+    jest.spyOn(gateway, 'capture').mockImplementation((...args) =>
+      new Promise(resolve => { release = resolve; }).then(() => capture(...args))
+    );
+
+    const pending = resolvers.Mutation.captureOrderPayment(null, { id: result.orderId }, adminContext);
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(db.transaction(tx => tx.products.findById('3'))).resolves.toMatchObject({ id: '3' });
+    await expect(
+      resolvers.Mutation.cancelOrder(null, { id: result.orderId }, context)
+    ).rejects.toThrow('Order is being updated');
+
+    release();
+    expect((await pending).status).toBe('paid');
+    expect((await db.orders.findById(result.orderId)).pendingTransition).toBeNull();
+  });
+
+  test('a failed status write after capture should refund the payment', async () => {
+    const result = await checkout('card');
+    const adminContext = { ...context, user: { id: 'admin-1', role: 'admin' } };
+    jest.spyOn(db.orders, 'updateStatus').mockRejectedValueOnce(new Error('Disk full'));
+
+    await expect(
+      resolvers.Mutation.captureOrderPayment(null, { id: result.orderId }, adminContext)
+    ).rejects.toThrow('Disk full');
+
+    const order = await db.orders.findById(result.orderId);
+    expect(order.status).toBe('pending');
+    expect(order.payment.status).toBe('refunded');
+    expect(order.pendingTransition).toBeNull();
+    expect((await gateway.retrieve(order.payment.id)).status).toBe('refunded');
+  });
+
+  test('captureOrderPayment should capture and mark the order paid', async () => {
+    const result = await checkout('card');
+    const adminContext = { ...context, user: { id: 'admin-1', role: 'admin' } };
+
+    const order = await resolvers.Mutation.captureOrderPayment(null, { id: result.orderId }, adminContext);
+
+    expect(order.status).toBe('paid');
+    expect(order.payment.status).toBe('captured');
+    expect((await gateway.retrieve(order.payment.id)).capturedAmount).toBe(order.total);
+  });
+});
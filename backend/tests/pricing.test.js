@@ -0,0 +1,94 @@
+// backend/tests/pricing.test.js
+
+const { calculatePricing, priceCart, roundMoney } = require('../src/services/pricing');
+
+describe('Pricing Service', () => {
+  test('should return the full breakdown without discount', () => {
+    const pricing = calculatePricing([
+      { price: 30, quantity: 2 },
+      { price: 15, quantity: 1 }
+    ]);
+
+    expect(pricing).toEqual({
+      subtotal: 75,
+      discount: 0,
+      discountCode: null,
+      discountAmount: 0,
+      tax: 7.5,
+      taxRegion: 'VN',
+      taxLines: [{ taxClass: 'standard', rate: 0.1, taxableAmount: 75, amount: 7.5 }],
+      shipping: 10,
+      shippingMethod: 'standard',
+      shippingZone: 'domestic',
+      total: 92.5,
+      allocations: {}
+    });
+  });
+
+  test('should apply the discount before tax', () => {
+    const pricing = calculatePricing([{ price: 200, quantity: 1 }], { discount: 20 });
+
+    expect(pricing.discountAmount).toBe(40);
+    expect(pricing.tax).toBe(16);
+    expect(pricing.total).toBe(176);
+  });
+
+  test('should decide free shipping on the subtotal before discount', () => {
+    const pricing = calculatePricing([{ price: 100, quantity: 1 }], { discount: 50 });
+
+    expect(pricing.shipping).toBe(0);
+  });
+
+  test('should round amounts to cents', () => {
+    const pricing = calculatePricing([{ price: 19.99, quantity: 3 }], { discount: 15 });
+
+    expect(pricing.subtotal).toBe(59.97);
+    expect(pricing.discountAmount).toBe(9);
+    expect(pricing.tax).toBe(5.1);
+    expect(roundMoney(0.125)).toBe(0.13);
+  });
+
+  test('should give free shipping for a qualifying free-shipping code', () => {
+    const rule = { code: 'FREESHIP', type: 'free_shipping', minSubtotal: 50 };
+
+    expect(calculatePricing([{ id: 'a', price: 60, quantity: 1 }], { discount: rule }).shipping).toBe(0);
+    expect(calculatePricing([{ id: 'a', price: 40, quantity: 1 }], { discount: rule }).shipping).toBe(10);
+  });
+
+  test('should report the code and per-line allocation of a rule', () => {
+    const pricing = calculatePricing([
+      { id: 'a', price: 150, quantity: 1 },
+      { id: 'b', price: 50, quantity: 1 }
+    ], { discount: { code: 'FLAT50', type: 'fixed', value: 50, minSubtotal: 200 } });
+
+    expect(pricing.discount).toBe(0);
+    expect(pricing.discountCode).toBe('FLAT50');
+    expect(pricing.discountAmount).toBe(50);
+    expect(pricing.allocations).toEqual({ a: 37.5, b: 12.5 });
+    expect(pricing.total).toBe(165);
+  });
+
+  test('should tax each line by its tax class after its share of the discount', () => {
+    const pricing = calculatePricing([
+      { id: 'a', price: 100, quantity: 1, taxClass: 'standard' },
+      { id: 'b', price: 100, quantity: 1, taxClass: 'reduced' },
+      { id: 'c', price: 50, quantity: 1, taxClass: 'exempt' }
+    ], { discount: 20, region: 'de' });
+
+    expect(pricing.taxRegion).toBe('DE');
+    expect(pricing.taxLines).toEqual([
+      { taxClass: 'standard', rate: 0.19, taxableAmount: 80, amount: 15.2 },
+      { taxClass: 'reduced', rate: 0.07, taxableAmount: 80, amount: 5.6 },
+      { taxClass: 'exempt', rate: 0, taxableAmount: 40, amount: 0 }
+    ]);
+    expect(pricing.tax).toBe(20.8);
+    expect(pricing.total).toBe(220.8 + pricing.shipping);
+  });
+
+  test('priceCart should use the discount stored on the cart', () => {
+    const cart = { items: [{ price: 50, quantity: 2 }], discount: 10 };
+
+    expect(priceCart(cart)).toEqual(calculatePricing(cart.items, { discount: 10 }));
+    expect(priceCart({ items: [] }).subtotal).toBe(0);
+  });
+});
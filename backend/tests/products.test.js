@@ -0,0 +1,125 @@
+// backend/tests/products.test.js - admin catalog mutations against a real in-memory adapter
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { testAddress } = require('./fixtures/addresses');
+
+describe('Product catalog management', () => {
+  let db;
+  let userContext;
+  let adminContext;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createMemoryAdapter();
+    userContext = { user: await db.users.findById('user-1'), db };
+    adminContext = { user: await db.users.findById('admin-1'), db };
+  });
+
+  test('createProduct should sanitize and store the product', async () => {
+    const product = await resolvers.Mutation.createProduct(
+      null,
+      {
+        input: {
+          name: '  <b>iPad Air</b> ',
+          price: 599.999,
+          description: '<script>alert(1)</script>Thin and light',
+          stock: 20,
+          category: 'Tablets'
+        }
+      },
+      adminContext
+    );
+
+    expect(product).toMatchObject({
+      name: 'iPad Air',
+      price: 600,
+      description: 'Thin and light',
+      stock: 20,
+      category: 'tablets',
+      archived: false
+    });
+    expect(await db.products.findById(product.id)).toBeDefined();
+  });
+
+  test('createProduct should reject invalid input', async () => {
+    await expect(
+      resolvers.Mutation.createProduct(null, { input: { name: '<i></i>', price: 10 } }, adminContext)
+    ).rejects.toThrow('Product name is required');
+    await expect(
+      resolvers.Mutation.createProduct(null, { input: { name: 'Case', price: -1 } }, adminContext)
+    ).rejects.toThrow('Number out of range');
+  });
+
+  test('updateProduct should only change the given fields', async () => {
+    const product = await resolvers.Mutation.updateProduct(
+      null,
+      { id: '3', input: { price: 199 } },
+      adminContext
+    );
+
+    expect(product.price).toBe(199);
+    expect(product.name).toBe('AirPods Pro');
+  });
+
+  test('updateProduct should reject unknown products and empty updates', async () => {
+    await expect(
+      resolvers.Mutation.updateProduct(null, { id: '999', input: { price: 1 } }, adminContext)
+    ).rejects.toThrow('Product not found');
+    await expect(
+      resolvers.Mutation.updateProduct(null, { id: '1', input: {} }, adminContext)
+    ).rejects.toThrow('No changes provided');
+  });
+
+  test('adjustStock should not let stock go below zero', async () => {
+    const product = await resolvers.Mutation.adjustStock(null, { id: '2', delta: -10 }, adminContext);
+    expect(product.stock).toBe(20);
+
+    await expect(
+      resolvers.Mutation.adjustStock(null, { id: '2', delta: -21 }, adminContext)
+    ).rejects.toThrow('Stock cannot go below zero');
+    expect((await db.products.findById('2')).stock).toBe(20);
+  });
+
+  describe('archived products', () => {
+    let cart;
+
+    beforeEach(async () => {
+      cart = await db.carts.create({ userId: 'user-1' });
+      cart = await db.carts.addItem(cart.id, { productId: '4', quantity: 1, price: 399, variant: null });
+      await resolvers.Mutation.archiveProduct(null, { id: '4' }, adminContext);
+    });
+
+    test('should disappear from getProducts', async () => {
+      const products = await resolvers.Query.getProducts(null, {}, { db });
+
+      expect(products.map(p => p.id)).toEqual(['1', '2', '3']);
+    });
+
+    test('should flag existing cart lines as unavailable', async () => {
+      const [line] = cart.items;
+
+      expect(await resolvers.CartItem.available(line, {}, { db })).toBe(false);
+    });
+
+    test('should not be added to carts or checked out', async () => {
+      await expect(
+        resolvers.Mutation.addToCart(null, { input: { productId: '4', quantity: 1 } }, userContext)
+      ).rejects.toThrow('Product is no longer available');
+
+      await expect(
+        resolvers.Mutation.checkout(
+          null,
+          {
+            input: {
+              cartItemIds: [cart.items[0].id],
+              shippingAddress: testAddress,
+              paymentMethod: 'credit_card'
+            }
+          },
+          userContext
+        )
+      ).rejects.toThrow('Apple Watch Series 9 is no longer available');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+// backend/tests/pubsub.test.js
+
+const { PubSub } = require('graphql-subscriptions');
+const {
+  pubsub,
+  TOPICS,
+  createPubSub,
+  registerPubSubDriver,
+  usePubSub,
+} = require('../src/pubsub');
+
+describe('PubSub Layer', () => {
+  afterEach(() => {
+    usePubSub(null);
+  });
+
+  test('createPubSub should default to the local in-process driver', () => {
+    expect(createPubSub('local')).toBeInstanceOf(PubSub);
+  });
+
+  test('createPubSub should reject unknown drivers', () => {
+    expect(() => createPubSub('kafka')).toThrow('Unknown pubsub driver: kafka');
+  });
+
+  test('registered drivers must implement publish and asyncIterator', () => {
+    registerPubSubDriver('broken', () => ({ publish: jest.fn() }));
+
+    expect(() => createPubSub('broken')).toThrow('must implement PubSubEngine');
+  });
+
+  test('shared pubsub should delegate to the engine set with usePubSub', async () => {
+    const engine = {
+      publish: jest.fn().mockResolvedValue(undefined),
+      asyncIterator: jest.fn().mockReturnValue('iterator'),
+    };
+    registerPubSubDriver('fake', () => engine);
+    usePubSub(createPubSub('fake'));
+
+    await pubsub.publish(TOPICS.CART_UPDATED, { userId: 'user-1' });
+
+    expect(engine.publish).toHaveBeenCalledWith('CART_UPDATED', { userId: 'user-1' });
+    expect(pubsub.asyncIterator([TOPICS.ORDER_UPDATED])).toBe('iterator');
+  });
+});
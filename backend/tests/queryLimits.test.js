@@ -0,0 +1,141 @@
+// backend/tests/queryLimits.test.js - depth, alias and cost limits
+
+const { parse } = require('graphql');
+const { ApolloServer } = require('apollo-server-express');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const typeDefs = require('../src/schema/typeDefs');
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { loggers } = require('../src/utils/logger');
+const {
+  DEFAULT_LIMITS,
+  configFromEnv,
+  analyzeOperation,
+  assertWithinLimits,
+  createQueryLimitsPlugin,
+} = require('../src/schema/queryLimits');
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const analyze = (source, variables = {}) => {
+  const document = parse(source);
+  const operation = document.definitions.find(definition => definition.kind === 'OperationDefinition');
+  return analyzeOperation(schema, document, operation, variables);
+};
+
+describe('Query limits', () => {
+  test('should default and read limits from the environment', () => {
+    expect(configFromEnv({})).toEqual(DEFAULT_LIMITS);
+    expect(configFromEnv({ GRAPHQL_MAX_DEPTH: '5', GRAPHQL_MAX_COST: 'abc' }))
+      .toMatchObject({ maxDepth: 5, maxCost: DEFAULT_LIMITS.maxCost });
+  });
+
+  test('list fields should be weighted by their limit argument', () => {
+    expect(analyze('{ getProducts(limit: 5) { id name } }')).toEqual({ depth: 2, aliases: 0, cost: 5 });
+    expect(analyze('query ($n: Int) { getProducts(limit: $n) { id } }', { n: 50 }).cost).toBe(50);
+    // Không có limit: dùng kích thước list mặc định
+    expect(analyze('{ getProducts { id } }').cost).toBe(DEFAULT_LIMITS.listSize);
+  });
+
+  test('nested lists should multiply the cost of their children', () => {
+    const { depth, cost } = analyze('{ getCart { id items { id product { id name } } } }');
+
+    expect(depth).toBe(4);
+    // getCart (1) + items: 20 × (1 + product 1)
+    expect(cost).toBe(1 + DEFAULT_LIMITS.listSize * 2);
+  });
+
+  test('connections should count first once', () => {
+    const { cost } = analyze('{ getOrders(first: 10) { edges { node { id } } totalCount } }');
+
+    // getOrders: 10 × (1 + edges 1 + node 1)
+    expect(cost).toBe(30);
+  });
+
+  test('should count aliases and follow fragments', () => {
+    const analysis = analyze(`
+      query {
+        a: getProducts(limit: 2) { ...ProductFields }
+        b: getProducts(limit: 3) { ...ProductFields }
+        __typename
+      }
+      fragment ProductFields on Product { id name }
+    `);
+
+    expect(analysis).toEqual({ depth: 2, aliases: 2, cost: 5 });
+  });
+
+  test('assertWithinLimits should report which limit was exceeded', () => {
+    const limits = { ...DEFAULT_LIMITS, maxDepth: 3 };
+
+    expect(() => assertWithinLimits({ depth: 3, aliases: 0, cost: 1 }, limits)).not.toThrow();
+
+    try {
+      assertWithinLimits({ depth: 4, aliases: 0, cost: 1 }, limits);
+      throw new Error('expected to throw');
+    } catch (error) {
+      expect(error.message).toBe('Query depth 4 exceeds the maximum of 3');
+      expect(error.extensions).toMatchObject({
+        code: 'QUERY_TOO_COMPLEX',
+        limit: 'depth',
+        maximum: 3,
+        actual: 4
+      });
+    }
+  });
+
+  describe('plugin', () => {
+    let server;
+
+    const execute = (query, variables) => {
+      return server.executeOperation({ query, variables });
+    };
+
+    beforeEach(async () => {
+      jest.spyOn(loggers.performance, 'queryCost').mockImplementation(() => {});
+      jest.spyOn(loggers.security, 'queryRejected').mockImplementation(() => {});
+
+      server = new ApolloServer({
+        schema,
+        context: { db: createMemoryAdapter() },
+        plugins: [createQueryLimitsPlugin({ ...DEFAULT_LIMITS, maxCost: 100, maxAliases: 2 })],
+      });
+      await server.start();
+    });
+
+    afterEach(async () => {
+      await server.stop();
+    });
+
+    test('should run operations within budget and log their cost', async () => {
+      const result = await execute('query Products { getProducts(limit: 2) { id } }');
+
+      expect(result.errors).toBeUndefined();
+      expect(result.data.getProducts).toHaveLength(2);
+      expect(loggers.performance.queryCost)
+        .toHaveBeenCalledWith('Products', { depth: 2, aliases: 0, cost: 2 });
+    });
+
+    test('should reject expensive operations before executing them', async () => {
+      const spy = jest.spyOn(resolvers.Query, 'getProducts');
+
+      const result = await execute('query ($n: Int) { getProducts(limit: $n) { id } }', { n: 1000 });
+
+      expect(result.data).toBeUndefined();
+      expect(result.errors[0].message).toBe('Query cost 1000 exceeds the maximum of 100');
+      expect(result.errors[0].extensions).toMatchObject({ code: 'QUERY_TOO_COMPLEX', limit: 'cost' });
+      expect(loggers.security.queryRejected).toHaveBeenCalledWith(null, 'cost', expect.any(Object));
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should reject too many aliases', async () => {
+      const result = await execute(`{
+        a: getProducts(limit: 1) { id }
+        b: getProducts(limit: 1) { id }
+        c: getProducts(limit: 1) { id }
+      }`);
+
+      expect(result.errors[0].extensions).toMatchObject({ limit: 'aliases', actual: 3 });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// backend/tests/rateLimits.test.js - per-user, per-operation GraphQL rate limits
+
+const { ApolloServer } = require('apollo-server-express');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const typeDefs = require('../src/schema/typeDefs');
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const { RateLimitValidator } = require('../src/middleware/validation');
+const { loggers } = require('../src/utils/logger');
+const { DEFAULT_BUDGETS, identifierOf, createRateLimitPlugin } = require('../src/schema/rateLimits');
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const VALIDATE_CODE = `
+  query Validate($code: String!) {
+    validateDiscountCode(code: $code) {
+      valid
+    }
+  }
+`;
+
+describe('RateLimitValidator', () => {
+  test('hit should report remaining requests and reset time', () => {
+    const validator = new RateLimitValidator();
+
+    expect(validator.hit('ip-1', 2, 60000)).toEqual({ allowed: true, limit: 2, remaining: 1, resetSeconds: 60 });
+    expect(validator.hit('ip-1', 2, 60000).remaining).toBe(0);
+    expect(validator.hit('ip-1', 2, 60000)).toMatchObject({ allowed: false, remaining: 0 });
+    expect(() => validator.check('ip-1', 2, 60000)).toThrow('Too many requests. Please wait 60 seconds.');
+  });
+
+  test('should drop keys whose window has passed', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    const validator = new RateLimitValidator({ sweepIntervalMs: 30000 });
+
+    try {
+      validator.hit('ip-gone', 5, 60000);
+      validator.hit('ip-back', 5, 60000);
+
+      now.mockReturnValue(1000000 + 45000);
+      validator.hit('ip-back', 5, 60000);
+      expect(validator.requests.size).toBe(2);
+
+      now.mockReturnValue(1000000 + 90000);
+      validator.hit('ip-new', 5, 60000);
+      expect([...validator.requests.keys()].sort()).toEqual(['ip-back', 'ip-new']);
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
+
+describe('GraphQL rate limit plugin', () => {
+  let server;
+  let context;
+
+  const execute = (query, variables) => server.executeOperation({ query, variables });
+
+  beforeEach(async () => {
+    jest.spyOn(loggers.security, 'rateLimitExceeded').mockImplementation(() => {});
+    context = { user: { id: 'user-1' }, db: createMemoryAdapter() };
+
+    server = new ApolloServer({
+      schema,
+      context: () => context,
+      plugins: [createRateLimitPlugin({
+        budgets: {
+          ...DEFAULT_BUDGETS,
+          validateDiscountCode: { max: 2, windowMs: 60000 },
+          getCart: { max: 5, windowMs: 60000 },
+        },
+      })],
+    });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should key requests by user id, falling back to IP', () => {
+    expect(identifierOf({ user: { id: 'user-1' }, ip: '1.2.3.4' })).toBe('user:user-1');
+    expect(identifierOf({ user: null, ip: '1.2.3.4' })).toBe('ip:1.2.3.4');
+  });
+
+  test('should send rate limit headers', async () => {
+    const result = await execute('{ getCart { id } }');
+
+    expect(result.errors).toBeUndefined();
+    expect(result.http.headers.get('RateLimit-Limit')).toBe('5');
+    expect(result.http.headers.get('RateLimit-Remaining')).toBe('4');
+    expect(result.http.headers.get('RateLimit-Reset')).toBe('60');
+  });
+
+  test('should reject requests over the operation budget with 429', async () => {
+    await execute(VALIDATE_CODE, { code: 'SAVE10' });
+    await execute(VALIDATE_CODE, { code: 'SAVE20' });
+    const result = await execute(VALIDATE_CODE, { code: 'SAVE30' });
+
+    expect(result.data).toBeUndefined();
+    expect(result.errors[0].message).toBe('Too many requests. Please wait 60 seconds.');
+    expect(result.errors[0].extensions).toMatchObject({
+      code: 'RATE_LIMITED',
+      field: 'validateDiscountCode',
+      retryAfter: 60
+    });
+    expect(result.http.status).toBe(429);
+    expect(result.http.headers.get('Retry-After')).toBe('60');
+    expect(loggers.security.rateLimitExceeded).toHaveBeenCalledWith('user:user-1', 'validateDiscountCode');
+  });
+
+  test('should charge every aliased call against the budget', async () => {
+    const result = await execute(`
+      query {
+        a: validateDiscountCode(code: "SAVE10") { valid }
+        b: validateDiscountCode(code: "SAVE20") { valid }
+        c: validateDiscountCode(code: "SAVE30") { valid }
+      }
+    `);
+
+    expect(result.data).toBeUndefined();
+    expect(result.errors[0].extensions).toMatchObject({ code: 'RATE_LIMITED', field: 'validateDiscountCode' });
+    expect(result.http.status).toBe(429);
+  });
+
+  test('budgets should be separate per operation and per user', async () => {
+    await execute(VALIDATE_CODE, { code: 'SAVE10' });
+    await execute(VALIDATE_CODE, { code: 'SAVE20' });
+
+    expect((await execute('{ getCart { id } }')).errors).toBeUndefined();
+
+    context = { user: { id: 'user-2' }, db: context.db };
+    expect((await execute(VALIDATE_CODE, { code: 'SAVE10' })).errors).toBeUndefined();
+  });
+
+  test('headers should report the tightest budget of the operation', async () => {
+    const result = await execute(`
+      query ($code: String!) {
+        getCart { id }
+        validateDiscountCode(code: $code) { valid }
+      }
+    `, { code: 'SAVE10' });
+
+    expect(result.http.headers.get('RateLimit-Limit')).toBe('2');
+    expect(result.http.headers.get('RateLimit-Remaining')).toBe('1');
+  });
+});
@@ -2,6 +2,8 @@
 
 const resolvers = require('../src/resolvers/index');
 const db = require('../src/database');
+const { pubsub, TOPICS } = require('../src/pubsub');
+const { testAddress } = require('./fixtures/addresses');
 
 // ✅ FIXED: Changed from '../../database' to '../src/database'
 jest.mock('../src/database');
@@ -99,7 +101,7 @@ describe('GraphQL Resolvers', () => {
     it('should return product by id', async () => {
       const mockProduct = { id: '1', name: 'Test Product', price: 100 };
       
-      db.products.findById.mockResolvedValue(mockProduct);
+      db.products.findByIds.mockResolvedValue([mockProduct]);
       
       const result = await resolvers.Query.getProduct(
         null, 
@@ -111,7 +113,7 @@ describe('GraphQL Resolvers', () => {
     });
     
     it('should throw error if product not found', async () => {
-      db.products.findById.mockResolvedValue(null);
+      db.products.findByIds.mockResolvedValue([]);
       
       await expect(
         resolvers.Query.getProduct(null, { id: '999' }, mockContext)
@@ -144,7 +146,7 @@ describe('GraphQL Resolvers', () => {
         }]
       };
       
-      db.products.findById.mockResolvedValue(mockProduct);
+      db.products.findByIds.mockResolvedValue([mockProduct]);
       db.carts.findByUserId.mockResolvedValue(mockCart);
       db.carts.addItem.mockResolvedValue(updatedCart);
       
@@ -166,7 +168,7 @@ describe('GraphQL Resolvers', () => {
         stock: 1
       };
       
-      db.products.findById.mockResolvedValue(mockProduct);
+      db.products.findByIds.mockResolvedValue([mockProduct]);
       
       await expect(
         resolvers.Mutation.addToCart(
@@ -215,7 +217,7 @@ describe('GraphQL Resolvers', () => {
       };
       
       db.carts.findByUserId.mockResolvedValue(mockCart);
-      db.products.findById.mockResolvedValue(mockProduct);
+      db.products.findByIds.mockResolvedValue([mockProduct]);
       db.carts.updateItemQuantity.mockResolvedValue({
         ...mockCart,
         items: [{ ...mockCart.items[0], quantity: 3 }]
@@ -281,7 +283,8 @@ describe('GraphQL Resolvers', () => {
       const mockDiscount = {
         id: '1',
         code: 'SAVE10',
-        percentage: 10,
+        type: 'percentage',
+        value: 10,
         valid: true
       };
       
@@ -306,7 +309,8 @@ describe('GraphQL Resolvers', () => {
       );
       
       expect(result.discount).toBe(10);
-      expect(db.discounts.incrementUsage).toHaveBeenCalledWith('1');
+      // Lượt dùng chỉ được tính khi checkout
+      expect(db.discounts.incrementUsage).not.toHaveBeenCalled();
     });
     
     it('should reject invalid discount code', async () => {
@@ -323,6 +327,24 @@ describe('GraphQL Resolvers', () => {
   });
   
   describe('Mutation.checkout', () => {
+    // Đơn hàng do db mock tạo ra, đi qua pending_payment → pending
+    const mockOrderWrites = () => {
+      let order;
+      db.orders.create.mockImplementation(async (data) => {
+        order = { id: 'order-1', ...data };
+        return order;
+      });
+      db.orders.findById.mockImplementation(async () => order);
+      db.orders.setPayment.mockImplementation(async (id, payment) => {
+        order = { ...order, payment };
+        return order;
+      });
+      db.orders.updateStatus.mockImplementation(async (id, status) => {
+        order = { ...order, status };
+        return order;
+      });
+    };
+    
     it('should process checkout successfully', async () => {
       const mockCart = {
         id: 'cart-1',
@@ -342,33 +364,74 @@ describe('GraphQL Resolvers', () => {
         stock: 50
       };
       
-      const mockOrder = {
-        id: 'order-1',
+      db.transaction.mockImplementation((work) => work(db));
+      db.carts.findByUserId.mockResolvedValue(mockCart);
+      db.products.checkStock.mockResolvedValue(true);
+      db.products.reserveStock.mockResolvedValue([mockProduct]);
+      db.carts.removeMultipleItems.mockResolvedValue(mockCart);
+      mockOrderWrites();
+      
+      const result = await resolvers.Mutation.checkout(
+        null,
+        {
+          input: {
+            cartItemIds: ['item-1'],
+            shippingAddress: testAddress,
+            paymentMethod: 'credit_card'
+          }
+        },
+        mockContext
+      );
+      
+      expect(result.success).toBe(true);
+      expect(result.orderId).toBe('order-1');
+      expect(result.status).toBe('pending');
+      expect(result.payment.status).toBe('authorized');
+      expect(db.orders.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'pending_payment'
+      }));
+      expect(db.products.reserveStock).toHaveBeenCalledWith([
+        { productId: '1', quantity: 2 }
+      ]);
+      expect(db.carts.removeMultipleItems).toHaveBeenCalledWith('cart-1', ['item-1']);
+    });
+    
+    it('should store the discounted price breakdown on the order', async () => {
+      const mockCart = {
+        id: 'cart-1',
         userId: 'user-1',
-        total: 232 // 200 + 20 tax + 10 shipping
+        discount: 10,
+        items: [{ id: 'item-1', productId: '1', quantity: 2, price: 100 }]
       };
       
+      db.transaction.mockImplementation((work) => work(db));
       db.carts.findByUserId.mockResolvedValue(mockCart);
-      db.products.findById.mockResolvedValue(mockProduct);
-      db.orders.create.mockResolvedValue(mockOrder);
-      db.products.decreaseStock.mockResolvedValue(mockProduct);
+      db.products.checkStock.mockResolvedValue(true);
+      db.products.reserveStock.mockResolvedValue([]);
       db.carts.removeMultipleItems.mockResolvedValue(mockCart);
+      mockOrderWrites();
       
       const result = await resolvers.Mutation.checkout(
         null,
         {
           input: {
             cartItemIds: ['item-1'],
-            shippingAddress: '123 Test St',
+            shippingAddress: testAddress,
             paymentMethod: 'credit_card'
           }
         },
         mockContext
       );
       
-      expect(result.success).toBe(true);
-      expect(result.orderId).toBe('order-1');
-      expect(db.products.decreaseStock).toHaveBeenCalledWith('1', 2);
+      expect(db.orders.create).toHaveBeenCalledWith(expect.objectContaining({
+        subtotal: 200,
+        discount: 10,
+        discountAmount: 20,
+        tax: 18, // 10% of 180
+        shipping: 0,
+        total: 198
+      }));
+      expect(result.total).toBe(resolvers.Cart.total(mockCart));
     });
     
     it('should validate selected items exist', async () => {
@@ -378,6 +441,7 @@ describe('GraphQL Resolvers', () => {
         items: []
       };
       
+      db.transaction.mockImplementation((work) => work(db));
       db.carts.findByUserId.mockResolvedValue(mockCart);
       
       await expect(
@@ -386,7 +450,7 @@ describe('GraphQL Resolvers', () => {
           {
             input: {
               cartItemIds: ['item-1'],
-              shippingAddress: '123 Test St',
+              shippingAddress: testAddress,
               paymentMethod: 'credit_card'
             }
           },
@@ -394,6 +458,134 @@ describe('GraphQL Resolvers', () => {
         )
       ).rejects.toThrow('Selected items not found in cart');
     });
+    
+    it('should reject checkout before payment when stock is short', async () => {
+      const mockCart = {
+        id: 'cart-1',
+        userId: 'user-1',
+        items: [{ id: 'item-1', productId: '1', quantity: 5, price: 100 }]
+      };
+      const stockError = new Error('Insufficient stock for Test Product');
+      stockError.code = 'INSUFFICIENT_STOCK';
+      
+      db.transaction.mockImplementation((work) => work(db));
+      db.carts.findByUserId.mockResolvedValue(mockCart);
+      db.products.checkStock.mockRejectedValue(stockError);
+      
+      await expect(
+        resolvers.Mutation.checkout(
+          null,
+          {
+            input: {
+              cartItemIds: ['item-1'],
+              shippingAddress: testAddress,
+              paymentMethod: 'credit_card'
+            }
+          },
+          mockContext
+        )
+      ).rejects.toThrow('Insufficient stock for Test Product');
+      
+      expect(db.orders.create).not.toHaveBeenCalled();
+      expect(db.carts.removeMultipleItems).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('Subscriptions', () => {
+    it('cartUpdated should only deliver events for the subscribed user', async () => {
+      const iterator = await resolvers.Subscription.cartUpdated.subscribe(
+        null,
+        { userId: 'user-1' },
+        mockContext
+      );
+      
+      const next = iterator.next();
+      await pubsub.publish(TOPICS.CART_UPDATED, {
+        cartUpdated: { id: 'cart-2' },
+        userId: 'user-2'
+      });
+      await pubsub.publish(TOPICS.CART_UPDATED, {
+        cartUpdated: { id: 'cart-1' },
+        userId: 'user-1'
+      });
+      
+      const { value } = await next;
+      expect(value.cartUpdated.id).toBe('cart-1');
+      await iterator.return();
+    });
+    
+    it('cartUpdated should reject subscribing to another user', () => {
+      expect(() => resolvers.Subscription.cartUpdated.subscribe(
+        null,
+        { userId: 'user-2' },
+        mockContext
+      )).toThrow('Cannot subscribe to other user\'s cart');
+    });
+    
+    it('orderUpdated should deliver the subscribed user\'s orders', async () => {
+      const iterator = await resolvers.Subscription.orderUpdated.subscribe(
+        null,
+        { userId: 'user-1' },
+        mockContext
+      );
+      
+      const next = iterator.next();
+      await pubsub.publish(TOPICS.ORDER_UPDATED, {
+        orderUpdated: { id: 'order-2', status: 'pending' },
+        userId: 'user-2'
+      });
+      await pubsub.publish(TOPICS.ORDER_UPDATED, {
+        orderUpdated: { id: 'order-1', status: 'pending' },
+        userId: 'user-1'
+      });
+      
+      const { value } = await next;
+      expect(value.orderUpdated.id).toBe('order-1');
+      await iterator.return();
+    });
+    
+    it('checkout should publish cart and order updates', async () => {
+      const mockCart = {
+        id: 'cart-1',
+        userId: 'user-1',
+        items: [{ id: 'item-1', productId: '1', quantity: 1, price: 100 }]
+      };
+      const publish = jest.spyOn(pubsub, 'publish');
+      
+      let order;
+      db.transaction.mockImplementation((work) => work(db));
+      db.carts.findByUserId.mockResolvedValue(mockCart);
+      db.products.checkStock.mockResolvedValue(true);
+      db.products.reserveStock.mockResolvedValue([]);
+      db.orders.create.mockImplementation(async (data) => {
+        order = { id: 'order-1', ...data };
+        return order;
+      });
+      db.orders.findById.mockImplementation(async () => order);
+      db.orders.setPayment.mockImplementation(async () => order);
+      db.orders.updateStatus.mockImplementation(async (id, status) => ({ ...order, status }));
+      db.carts.removeMultipleItems.mockResolvedValue({ ...mockCart, items: [] });
+      
+      await resolvers.Mutation.checkout(
+        null,
+        {
+          input: {
+            cartItemIds: ['item-1'],
+            shippingAddress: testAddress,
+            paymentMethod: 'credit_card'
+          }
+        },
+        mockContext
+      );
+      
+      expect(publish).toHaveBeenCalledWith(TOPICS.CART_UPDATED, expect.objectContaining({
+        userId: 'user-1'
+      }));
+      expect(publish).toHaveBeenCalledWith(TOPICS.ORDER_UPDATED, {
+        orderUpdated: expect.objectContaining({ id: 'order-1' }),
+        userId: 'user-1'
+      });
+    });
   });
   
   describe('Cart Field Resolvers', () => {
@@ -453,7 +645,7 @@ describe('GraphQL Resolvers', () => {
       const cartItem = { productId: '1' };
       const mockProduct = { id: '1', name: 'Test Product' };
       
-      db.products.findById.mockResolvedValue(mockProduct);
+      db.products.findByIds.mockResolvedValue([mockProduct]);
       
       const result = await resolvers.CartItem.product(cartItem, {}, mockContext);
       
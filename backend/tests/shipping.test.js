@@ -0,0 +1,113 @@
+// backend/tests/shipping.test.js - shipping methods and rates
+
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const {
+  getShippingZone,
+  quoteShipping,
+  getShippingOptions,
+  resolveShippingMethod
+} = require('../src/services/shipping');
+const { testAddress } = require('./fixtures/addresses');
+
+const line = (price, quantity, weight = 0) => ({ price, quantity, weight });
+
+describe('Shipping rates', () => {
+  test('should map regions to zones', () => {
+    expect(getShippingZone('VN')).toBe('domestic');
+    expect(getShippingZone('SG')).toBe('regional');
+    expect(getShippingZone('DE')).toBe('international');
+  });
+
+  test('standard shipping should keep the flat fee and free-shipping threshold', () => {
+    const zone = 'domestic';
+
+    expect(quoteShipping('standard', { items: [line(50, 1)], subtotal: 50, zone }).amount).toBe(10);
+    expect(quoteShipping('standard', { items: [line(100, 1)], subtotal: 100, zone }).amount).toBe(0);
+  });
+
+  test('should charge for weight over the included weight and for extra items', () => {
+    const items = [line(10, 2, 1.5), line(5, 1, 0.5)];
+
+    // 3.5 kg, 3 sản phẩm
+    expect(quoteShipping('standard', { items, subtotal: 25, zone: 'domestic' }).amount).toBe(13);
+    expect(quoteShipping('express', { items, subtotal: 25, zone: 'domestic' }).amount).toBe(39);
+    expect(quoteShipping('standard', { items, subtotal: 25, zone: 'international' }).amount).toBe(54);
+  });
+
+  test('free-shipping codes should only waive standard shipping', () => {
+    const options = { items: [line(20, 1)], subtotal: 20, zone: 'domestic', freeShipping: true };
+
+    expect(quoteShipping('standard', options).amount).toBe(0);
+    expect(quoteShipping('express', options).amount).toBe(25);
+  });
+
+  test('pickup should only be offered domestically', () => {
+    const domestic = getShippingOptions({ items: [], subtotal: 0, zone: 'domestic' });
+    const abroad = getShippingOptions({ items: [], subtotal: 0, zone: 'international' });
+
+    expect(domestic.map(option => option.method)).toEqual(['standard', 'express', 'pickup']);
+    expect(abroad.map(option => option.method)).toEqual(['standard', 'express']);
+    expect(() => quoteShipping('pickup', { items: [], zone: 'international' }))
+      .toThrow('Shipping method pickup is not available for international');
+    expect(resolveShippingMethod('pickup', 'international')).toBe('standard');
+  });
+});
+
+describe('Shipping resolvers', () => {
+  let db;
+  let context;
+
+  beforeEach(async () => {
+    db = createMemoryAdapter();
+    context = { user: { id: 'user-1', role: 'user' }, db };
+    await resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 1 } }, context);
+  });
+
+  test('getShippingOptions should price every method for the cart', async () => {
+    const options = await resolvers.Query.getShippingOptions(null, {}, context);
+
+    expect(options.map(option => [option.code, option.amount])).toEqual([
+      ['standard', 0],
+      ['express', 25],
+      ['pickup', 0]
+    ]);
+    expect(options[1]).toMatchObject({ zone: 'domestic', estimatedDaysMin: 1, estimatedDaysMax: 2 });
+  });
+
+  test('selectShippingMethod should feed the cart totals and the order', async () => {
+    const cart = await resolvers.Mutation.selectShippingMethod(null, { method: 'express' }, context);
+
+    expect(resolvers.Cart.shippingMethod(cart)).toMatchObject({ code: 'express', amount: 25 });
+    expect(resolvers.Cart.shipping(cart)).toBe(25);
+    expect(resolvers.Cart.total(cart)).toBe(249 + 24.9 + 25);
+
+    const result = await resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: testAddress,
+        paymentMethod: 'card'
+      }
+    }, context);
+    const order = await db.orders.findById(result.orderId);
+
+    expect(order.shippingMethod).toBe('express');
+    expect(order.shippingZone).toBe('domestic');
+    expect(order.shipping).toBe(25);
+  });
+
+  test('selectShippingMethod should reject methods that cannot ship to the region', async () => {
+    await resolvers.Mutation.setShippingRegion(null, { region: 'DE' }, context);
+
+    await expect(
+      resolvers.Mutation.selectShippingMethod(null, { method: 'pickup' }, context)
+    ).rejects.toThrow('Shipping method pickup is not available for this address');
+  });
+
+  test('a method that no longer ships to the region should fall back to standard', async () => {
+    await resolvers.Mutation.selectShippingMethod(null, { method: 'pickup' }, context);
+    const cart = await resolvers.Mutation.setShippingRegion(null, { region: 'DE' }, context);
+
+    expect(resolvers.Cart.shippingMethod(cart).code).toBe('standard');
+  });
+});
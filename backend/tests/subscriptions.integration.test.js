@@ -0,0 +1,140 @@
+// backend/tests/subscriptions.integration.test.js - GraphQL subscriptions over WebSocket
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const { createClient } = require('graphql-ws');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+// Helper to generate auth token
+const generateToken = (userId = 'user-1') => {
+  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '1h' });
+};
+
+const CART_UPDATED = `
+  subscription CartUpdated($userId: ID!) {
+    cartUpdated(userId: $userId) {
+      userId
+      itemCount
+      items {
+        productId
+        quantity
+      }
+    }
+  }
+`;
+
+// Chờ server đăng ký subscription trước khi phát sự kiện
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('GraphQL Subscriptions over WebSocket', () => {
+  let app;
+  let server;
+  let clients = [];
+
+  const connect = (connectionParams) => {
+    const client = createClient({
+      url: `ws://localhost:${server.port}/graphql`,
+      webSocketImpl: WebSocket,
+      connectionParams,
+      retryAttempts: 0,
+      lazy: false,
+    });
+    clients.push(client);
+    return client;
+  };
+
+  // Subscribe và trả về promise của payload (hoặc lỗi) đầu tiên
+  const firstEvent = (client, query, variables) => {
+    return new Promise((resolve, reject) => {
+      const unsubscribe = client.subscribe({ query, variables }, {
+        next: (result) => {
+          unsubscribe();
+          resolve(result);
+        },
+        error: reject,
+        complete: () => {},
+      });
+    });
+  };
+
+  beforeAll(async () => {
+    const serverModule = require('../src/server');
+    app = serverModule.app;
+    server = await serverModule.startServer({ port: 0 });
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.dispose()));
+    clients = [];
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await server.stop();
+    }
+  });
+
+  test('should push cartUpdated after addToCart', async () => {
+    const token = generateToken('user-1');
+    const client = connect({ authorization: `Bearer ${token}` });
+
+    const event = firstEvent(client, CART_UPDATED, { userId: 'user-1' });
+    await wait(100);
+
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        query: `
+          mutation AddToCart($input: AddToCartInput!) {
+            addToCart(input: $input) { id }
+          }
+        `,
+        variables: { input: { productId: '3', quantity: 2 } }
+      });
+
+    expect(response.body.errors).toBeUndefined();
+
+    const { data } = await event;
+    expect(data.cartUpdated.userId).toBe('user-1');
+    expect(data.cartUpdated.items).toEqual(
+      expect.arrayContaining([{ productId: '3', quantity: 2 }])
+    );
+  });
+
+  test('should accept the token as authToken', async () => {
+    const client = connect({ authToken: generateToken('user-1') });
+
+    const event = firstEvent(client, CART_UPDATED, { userId: 'user-1' });
+    await wait(100);
+
+    await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${generateToken('user-1')}`)
+      .send({ query: 'mutation { clearCart { id } }' });
+
+    const { data } = await event;
+    expect(data.cartUpdated.itemCount).toBe(0);
+  });
+
+  test('should refuse subscribing to another user\'s cart', async () => {
+    const client = connect({ authorization: `Bearer ${generateToken('user-1')}` });
+
+    const result = await firstEvent(client, CART_UPDATED, { userId: 'user-2' })
+      .catch(errors => ({ errors }));
+
+    expect(result.errors[0].message).toContain('Cannot subscribe to other user');
+  });
+
+  test('should close the connection for an invalid token', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const client = connect({ authorization: 'Bearer not-a-token' });
+
+    const error = await firstEvent(client, CART_UPDATED, { userId: 'user-1' })
+      .catch(err => err);
+
+    expect(error.code).toBe(4403);
+  });
+});
@@ -0,0 +1,211 @@
+// backend/tests/tax.test.js - tax engine
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const resolvers = require('../src/resolvers/index');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const {
+  loadTaxConfig,
+  setTaxConfig,
+  resolveTaxRegion,
+  resolveAddressTaxRegion,
+  calculateTax
+} = require('../src/services/tax');
+const { testAddress } = require('./fixtures/addresses');
+
+const testConfig = {
+  defaultRegion: 'home',
+  regions: {
+    HOME: { name: 'Home', rates: { standard: 0.2, reduced: 0.1, exempt: 0 } },
+    'TAX-FREE': { name: 'Tax free', rates: { standard: 0, reduced: 0, exempt: 0 } }
+  }
+};
+
+describe('Tax engine', () => {
+  afterEach(() => {
+    setTaxConfig(null);
+  });
+
+  test('should load the default configuration file', () => {
+    const config = loadTaxConfig();
+
+    expect(config.defaultRegion).toBe('VN');
+    expect(config.regions.VN.rates.standard).toBe(0.1);
+  });
+
+  test('should load rates from TAX_RATES_FILE', () => {
+    const filePath = path.join(os.tmpdir(), `tax-rates-${process.pid}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(testConfig));
+    process.env.TAX_RATES_FILE = filePath;
+
+    try {
+      setTaxConfig(null);
+      expect(resolveTaxRegion(null)).toBe('HOME');
+      expect(calculateTax([{ taxClass: 'standard', amount: 10 }]).tax).toBe(2);
+    } finally {
+      delete process.env.TAX_RATES_FILE;
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  test('should reject invalid configurations', () => {
+    expect(() => setTaxConfig({ defaultRegion: 'X', regions: {} }))
+      .toThrow('Default tax region X is not configured');
+    expect(() => setTaxConfig({
+      defaultRegion: 'X',
+      regions: { X: { rates: { standard: 1.5, reduced: 0, exempt: 0 } } }
+    })).toThrow('Invalid standard rate for tax region X');
+  });
+
+  test('should reject unknown regions with a coded error', () => {
+    expect(() => resolveTaxRegion('atlantis')).toThrow('Unknown tax region: atlantis');
+
+    try {
+      resolveTaxRegion('atlantis');
+    } catch (error) {
+      expect(error.code).toBe('UNKNOWN_TAX_REGION');
+    }
+  });
+
+  test('should fall back to the country region for unconfigured states', () => {
+    expect(resolveAddressTaxRegion({ country: 'US', province: 'TX' })).toBe('US');
+    expect(resolveAddressTaxRegion({ country: 'us', province: 'ca' })).toBe('US-CA');
+    expect(() => resolveAddressTaxRegion({ country: 'JP', province: 'Tokyo' }))
+      .toThrow('Unknown tax region: JP');
+  });
+
+  test('should group lines by tax class and treat unknown classes as standard', () => {
+    setTaxConfig(testConfig);
+
+    const result = calculateTax([
+      { taxClass: 'standard', amount: 10 },
+      { taxClass: undefined, amount: 5 },
+      { taxClass: 'reduced', amount: 20 }
+    ]);
+
+    expect(result).toEqual({
+      region: 'HOME',
+      tax: 5,
+      lines: [
+        { taxClass: 'standard', rate: 0.2, taxableAmount: 15, amount: 3 },
+        { taxClass: 'reduced', rate: 0.1, taxableAmount: 20, amount: 2 }
+      ]
+    });
+  });
+});
+
+describe('Tax in carts and orders', () => {
+  let db;
+  let context;
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+    context = { user: { id: 'user-1', role: 'user' }, db };
+  });
+
+  test('setShippingRegion should change the cart tax', async () => {
+    await resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 1 } }, context);
+
+    const cart = await resolvers.Mutation.setShippingRegion(null, { region: 'us-or' }, context);
+
+    expect(resolvers.Cart.taxRegion(cart)).toBe('US-OR');
+    expect(resolvers.Cart.tax(cart)).toBe(0);
+    expect(resolvers.Cart.total(cart)).toBe(249 + resolvers.Cart.shipping(cart));
+
+    await expect(
+      resolvers.Mutation.setShippingRegion(null, { region: 'nowhere' }, context)
+    ).rejects.toThrow('Unknown tax region: nowhere');
+  });
+
+  test('checkout should store the tax lines of the region used', async () => {
+    const cart = await resolvers.Mutation.addToCart(
+      null,
+      { input: { productId: '3', quantity: 2 } },
+      context
+    );
+
+    const result = await resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: { ...testAddress, country: 'de' },
+        paymentMethod: 'card'
+      }
+    }, context);
+    const order = await db.orders.findById(result.orderId);
+
+    expect(order.taxRegion).toBe('DE');
+    expect(order.taxLines).toEqual([
+      { taxClass: 'standard', rate: 0.19, taxableAmount: 498, amount: 94.62 }
+    ]);
+    expect(order.tax).toBe(94.62);
+  });
+
+  test('checkout should tax by the address country, not the cart region', async () => {
+    await resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 1 } }, context);
+    const cart = await resolvers.Mutation.setShippingRegion(null, { region: 'VN' }, context);
+
+    const result = await resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: { ...testAddress, country: 'DE' },
+        paymentMethod: 'card'
+      }
+    }, context);
+    const order = await db.orders.findById(result.orderId);
+
+    expect(order.taxRegion).toBe('DE');
+    expect(order.tax).toBe(47.31);
+    expect(order.shippingZone).toBe('international');
+  });
+
+  test('checkout should use a state region of the address country', async () => {
+    await resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 1 } }, context);
+    const cart = await resolvers.Mutation.setShippingRegion(null, { region: 'DE' }, context);
+    const input = {
+      cartItemIds: cart.items.map(item => item.id),
+      shippingAddress: { ...testAddress, country: 'US', province: 'OR' },
+      paymentMethod: 'card'
+    };
+
+    await expect(resolvers.Mutation.checkout(null, {
+      input: { ...input, shippingAddress: { ...testAddress, country: 'JP' } }
+    }, context)).rejects.toThrow('Unknown tax region: JP');
+
+    const result = await resolvers.Mutation.checkout(null, { input }, context);
+    expect((await db.orders.findById(result.orderId)).taxRegion).toBe('US-OR');
+  });
+
+  test('checkout should accept a US state without its own region', async () => {
+    const cart = await resolvers.Mutation.addToCart(null, { input: { productId: '3', quantity: 1 } }, context);
+
+    const result = await resolvers.Mutation.checkout(null, {
+      input: {
+        cartItemIds: cart.items.map(item => item.id),
+        shippingAddress: { ...testAddress, country: 'US', province: 'TX' },
+        paymentMethod: 'card'
+      }
+    }, context);
+
+    expect(result.success).toBe(true);
+    expect((await db.orders.findById(result.orderId)).taxRegion).toBe('US');
+  });
+
+  test('products should be taxed by their tax class', async () => {
+    const adminContext = { user: { id: 'admin-1', role: 'admin' }, role: 'admin', db };
+    const book = await resolvers.Mutation.createProduct(null, {
+      input: { name: 'Guide book', price: 20, stock: 5, taxClass: 'reduced' }
+    }, adminContext);
+
+    const cart = await resolvers.Mutation.addToCart(
+      null,
+      { input: { productId: book.id, quantity: 1 } },
+      context
+    );
+
+    expect(resolvers.Product.taxClass(book)).toBe('reduced');
+    expect(resolvers.Cart.taxLines(cart)).toEqual([
+      { taxClass: 'reduced', rate: 0.05, taxableAmount: 20, amount: 1 }
+    ]);
+  });
+});
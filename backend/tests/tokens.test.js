@@ -0,0 +1,113 @@
+// backend/tests/tokens.test.js - refresh token rotation and revocation
+
+const jwt = require('jsonwebtoken');
+const { createMemoryAdapter } = require('../src/database/adapters/memory');
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeRefreshToken
+} = require('../src/services/tokens');
+const { loggers } = require('../src/utils/logger');
+
+describe('Tokens', () => {
+  let db;
+  let user;
+
+  beforeEach(async () => {
+    jest.spyOn(loggers.auth, 'tokenRefresh').mockImplementation(() => {});
+    jest.spyOn(loggers.security, 'suspiciousActivity').mockImplementation(() => {});
+    db = createMemoryAdapter();
+    user = await db.users.findById('user-1');
+  });
+
+  test('issueTokens should sign a short-lived access token with a jti', async () => {
+    const { accessToken, refreshToken } = await issueTokens(db, user);
+    const decoded = jwt.decode(accessToken);
+
+    expect(decoded.userId).toBe('user-1');
+    expect(decoded.role).toBe('user');
+    expect(decoded.jti).toBeDefined();
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+
+    // Chỉ hash được lưu
+    expect(await db.refreshTokens.findById(refreshToken)).toBeNull();
+    expect(await db.refreshTokens.findById(hashToken(refreshToken))).toMatchObject({
+      userId: 'user-1'
+    });
+  });
+
+  test('rotateRefreshToken should replace the token within the same family', async () => {
+    const first = await issueTokens(db, user);
+
+    const second = await rotateRefreshToken(db, first.refreshToken);
+
+    expect(second.user.id).toBe('user-1');
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+
+    const oldRecord = await db.refreshTokens.findById(hashToken(first.refreshToken));
+    const newRecord = await db.refreshTokens.findById(hashToken(second.refreshToken));
+    expect(oldRecord.replacedBy).toBe(newRecord.id);
+    expect(newRecord.familyId).toBe(oldRecord.familyId);
+    expect(loggers.auth.tokenRefresh).toHaveBeenCalledWith('user-1');
+  });
+
+  test('reusing a rotated token should revoke the whole family', async () => {
+    const first = await issueTokens(db, user);
+    const second = await rotateRefreshToken(db, first.refreshToken);
+
+    await expect(rotateRefreshToken(db, first.refreshToken))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+
+    // Token mới nhất của family cũng không dùng được nữa
+    await expect(rotateRefreshToken(db, second.refreshToken))
+      .rejects.toThrow('Refresh token has been revoked');
+    expect(loggers.security.suspiciousActivity).toHaveBeenCalledWith(
+      expect.objectContaining({ reason: 'refresh_token_reuse', userId: 'user-1' })
+    );
+  });
+
+  test('reuse should not affect other sessions of the same user', async () => {
+    const stolen = await issueTokens(db, user);
+    const otherDevice = await issueTokens(db, user);
+    await rotateRefreshToken(db, stolen.refreshToken);
+
+    await expect(rotateRefreshToken(db, stolen.refreshToken)).rejects.toThrow();
+
+    expect((await rotateRefreshToken(db, otherDevice.refreshToken)).user.id).toBe('user-1');
+  });
+
+  test('rotateRefreshToken should reject unknown and expired tokens', async () => {
+    await expect(rotateRefreshToken(db, 'made-up'))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    await expect(rotateRefreshToken(db, undefined))
+      .rejects.toThrow('Refresh token required');
+
+    await db.refreshTokens.create({
+      id: hashToken('expired-token'),
+      userId: 'user-1',
+      familyId: 'family-expired',
+      expiresAt: new Date(Date.now() - 1000).toISOString()
+    });
+    await expect(rotateRefreshToken(db, 'expired-token'))
+      .rejects.toThrow('Refresh token expired');
+  });
+
+  test('revokeAccessToken should list the jti until the token expires', async () => {
+    const { accessToken } = await issueTokens(db, user);
+    const decoded = jwt.decode(accessToken);
+
+    await revokeAccessToken(db, decoded);
+
+    expect(await db.revokedTokens.has(decoded.jti)).toBe(true);
+  });
+
+  test('revokeRefreshToken should end the session family', async () => {
+    const { refreshToken } = await issueTokens(db, user);
+
+    expect(await revokeRefreshToken(db, refreshToken)).toBe(1);
+    await expect(rotateRefreshToken(db, refreshToken))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+});
@@ -1,6 +1,9 @@
 import React from 'react';
 import { Container, Row, Col, Card } from 'react-bootstrap';
+import { ApolloProvider } from '@apollo/client';
 import { CartProvider, useCart } from './context/CartContext.enhanced';
+import apolloClient from './graphql/client';
+import { useCart as useServerCart } from './graphql/hooks';
 import { CartList } from './components/cart/CartList';
 import { CartSummary } from './components/cart/CartSummary';
 import { AddToCartButton } from './components/cart/AddToCartButton';
@@ -89,6 +92,8 @@ const Header = () => {
  */
 const AppContent = () => {
   const { itemCount } = useCart();
+  // Cart do server tính (thuế, giảm giá, tổng) cho phần tổng đơn hàng
+  const { cart: serverCart } = useServerCart();
   
   /**
    * Mock discount validation function
@@ -169,7 +174,7 @@ const AppContent = () => {
                 </Card>
               )}
               
-              <CartSummary onCheckout={handleCheckout} />
+              <CartSummary onCheckout={handleCheckout} serverCart={serverCart} />
             </div>
           </Col>
         </Row>
@@ -222,13 +227,12 @@ const AppContent = () => {
  */
 function App() {
   return (
-    <>
+    <ApolloProvider client={apolloClient}>
       <SecurityMetaTags />
       
       <CartProvider 
         config={{
           persistCart: true,
-          taxRate: 10,
           freeShippingThreshold: 100,
           shippingFee: 10,
           enableRateLimit: true,
@@ -237,7 +241,7 @@ function App() {
       >
         <AppContent />
       </CartProvider>
-    </>
+    </ApolloProvider>
   );
 }
 
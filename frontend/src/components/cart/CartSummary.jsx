@@ -2,17 +2,18 @@ import React, { useState } from 'react';
 import { Card, Button, Modal } from 'react-bootstrap';
 import { useCart } from '../../context/CartContext';
 
-export const CartSummary = ({ onCheckout }) => {
-  const { 
-    subtotal, 
-    discount, 
-    discountAmount, 
-    tax, 
-    shipping, 
-    total, 
-    itemCount, 
-    clearCart 
-  } = useCart();
+/**
+ * serverCart: Cart từ GraphQL (nếu có) để hiển thị tiền hàng, giảm giá, thuế và tổng do server tính
+ */
+export const CartSummary = ({ onCheckout, serverCart = null }) => {
+  const localCart = useCart();
+  const { itemCount, clearCart } = localCart;
+  
+  // Có cart từ server thì lấy mọi dòng từ server để các dòng cộng lại đúng bằng tổng;
+  // không có thì thuế chưa biết và tổng chưa gồm thuế
+  const { subtotal, discount, discountAmount, tax, shipping, total } = serverCart || localCart;
+  const discountLabel = discount > 0 ? `${discount}%` : serverCart?.appliedDiscount?.code;
+  const hasTax = typeof tax === 'number';
   
   const [showClear, setShowClear] = useState(false);
   
@@ -39,16 +40,16 @@ export const CartSummary = ({ onCheckout }) => {
             <strong>${subtotal.toFixed(2)}</strong>
           </div>
           
-          {discount > 0 && (
+          {discountAmount > 0 && (
             <div className="d-flex justify-content-between mb-2 text-success">
-              <span>Giảm giá ({discount}%):</span>
+              <span>Giảm giá{discountLabel ? ` (${discountLabel})` : ''}:</span>
               <strong>-${discountAmount.toFixed(2)}</strong>
             </div>
           )}
           
           <div className="d-flex justify-content-between mb-2">
-            <span>Thuế:</span>
-            <span>${tax.toFixed(2)}</span>
+            <span>Thuế{serverCart?.taxRegion ? ` (${serverCart.taxRegion})` : ''}:</span>
+            <span>{hasTax ? `$${tax.toFixed(2)}` : 'Tính khi thanh toán'}</span>
           </div>
           
           <div className="d-flex justify-content-between mb-2">
@@ -59,7 +60,7 @@ export const CartSummary = ({ onCheckout }) => {
           <hr />
           
           <div className="d-flex justify-content-between mb-3">
-            <strong>Tổng cộng:</strong>
+            <strong>{hasTax ? 'Tổng cộng:' : 'Tổng cộng (chưa gồm thuế):'}</strong>
             <h5 className="text-primary mb-0">${total.toFixed(2)}</h5>
           </div>
           
@@ -6,7 +6,6 @@ const CartContext = createContext(null);
 export const CartProvider = ({ children, config = {} }) => {
   const {
     persistCart = true,
-    taxRate = 10,
     freeShippingThreshold = 100,
     shippingFee = 10
   } = config;
@@ -49,9 +48,11 @@ export const CartProvider = ({ children, config = {} }) => {
   const subtotal = cartCore.calculateSubtotal(cart);
   const discountAmount = subtotal * (discount / 100);
   const subtotalAfterDiscount = subtotal - discountAmount;
-  const tax = subtotalAfterDiscount * (taxRate / 100);
+  // Thuế theo vùng chỉ server tính được (Cart.tax); giỏ hàng ở trình duyệt
+  // hiển thị tổng chưa gồm thuế
+  const tax = null;
   const shipping = subtotal >= freeShippingThreshold ? 0 : shippingFee;
-  const total = subtotalAfterDiscount + tax + shipping;
+  const total = subtotalAfterDiscount + shipping;
   const itemCount = cartCore.getItemCount(cart);
   
   return (
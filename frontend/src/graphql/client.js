@@ -1,22 +1,82 @@
-import { ApolloClient, InMemoryCache, createHttpLink, ApolloLink } from '@apollo/client';
+import { ApolloClient, InMemoryCache, createHttpLink, ApolloLink, split } from '@apollo/client';
 import { setContext } from '@apollo/client/link/context';
 import { onError } from '@apollo/client/link/error';
+import { GraphQLWsLink } from '@apollo/client/link/subscriptions';
+import { getMainDefinition } from '@apollo/client/utilities';
+import { createClient, CloseCode } from 'graphql-ws';
+
+const GRAPHQL_URI = process.env.REACT_APP_GRAPHQL_URI || 'http://localhost:4000/graphql';
 
 // HTTP Link
 const httpLink = createHttpLink({
-  uri: process.env.REACT_APP_GRAPHQL_URI || 'http://localhost:4000/graphql',
+  uri: GRAPHQL_URI,
   credentials: 'include',
 });
 
-// Auth Link - Add JWT token to headers
+// WebSocket URL: REACT_APP_GRAPHQL_WS_URI hoặc suy ra từ HTTP URI (http -> ws, https -> wss)
+const WS_URI = process.env.REACT_APP_GRAPHQL_WS_URI || GRAPHQL_URI.replace(/^http/, 'ws');
+
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+const RETRY_MAX_ATTEMPTS = 10;
+
+// Server từ chối kết nối (token hết hạn, không có quyền, connection_init bị từ chối):
+// kết nối lại với cùng token cũng bị từ chối nên không thử lại
+const AUTH_CLOSE_CODES = [CloseCode.BadRequest, CloseCode.Unauthorized, CloseCode.Forbidden];
+
+/**
+ * Exponential backoff với jitter giữa các lần kết nối lại
+ */
+export const getRetryDelay = (retries) => {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** retries, RETRY_MAX_DELAY);
+  return delay + Math.floor(Math.random() * RETRY_BASE_DELAY);
+};
+
+/**
+ * Chỉ kết nối lại khi lỗi không đến từ việc server từ chối xác thực
+ */
+export const shouldRetryConnection = (errOrCloseEvent) => {
+  return !AUTH_CLOSE_CODES.includes(errOrCloseEvent?.code);
+};
+
+// WebSocket client - token được đọc lại mỗi lần (re)connect
+export const wsClient = createClient({
+  url: WS_URI,
+  lazy: true,
+  connectionParams: () => {
+    const token = localStorage.getItem('auth_token');
+    return token ? { authorization: `Bearer ${token}` } : {};
+  },
+  retryAttempts: RETRY_MAX_ATTEMPTS,
+  shouldRetry: shouldRetryConnection,
+  retryWait: (retries) => new Promise(resolve => setTimeout(resolve, getRetryDelay(retries))),
+});
+
+// WebSocket Link - chỉ dùng cho subscriptions
+const wsLink = new GraphQLWsLink(wsClient);
+
+/**
+ * Subscriptions đi qua WebSocket, queries và mutations đi qua HTTP
+ */
+export const isSubscriptionOperation = ({ query }) => {
+  const definition = getMainDefinition(query);
+  return (
+    definition.kind === 'OperationDefinition' &&
+    definition.operation === 'subscription'
+  );
+};
+
+// Auth Link - Add JWT token (và guest cart token cho khách) to headers
 const authLink = setContext((_, { headers }) => {
   // Get token from localStorage
   const token = localStorage.getItem('auth_token');
+  const guestCartToken = localStorage.getItem('guest_cart_token');
   
   return {
     headers: {
       ...headers,
       authorization: token ? `Bearer ${token}` : '',
+      ...(guestCartToken ? { 'x-guest-cart-token': guestCartToken } : {}),
     }
   };
 });
@@ -45,7 +105,11 @@ const errorLink = onError(({ graphQLErrors, networkError }) => {
 
 // Create Apollo Client
 const client = new ApolloClient({
-  link: ApolloLink.from([errorLink, authLink, httpLink]),
+  link: split(
+    isSubscriptionOperation,
+    ApolloLink.from([errorLink, wsLink]),
+    ApolloLink.from([errorLink, authLink, httpLink])
+  ),
   cache: new InMemoryCache({
     typePolicies: {
       Cart: {
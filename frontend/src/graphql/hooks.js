@@ -1,5 +1,5 @@
 import { useQuery, useMutation, useSubscription } from '@apollo/client';
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import {
   GET_CART,
   GET_PRODUCTS,
@@ -174,35 +174,104 @@ export const useDiscount = () => {
   };
 };
 
+// Key ngẫu nhiên cho một lần checkout
+const createIdempotencyKey = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+// Request cùng key còn đang chạy ở server: chờ rồi hỏi lại để nhận kết quả của nó
+const IN_PROGRESS_RETRY_DELAY_MS = 1000;
+const IN_PROGRESS_MAX_RETRIES = 5;
+
+const isInProgress = (errors = []) => {
+  return errors.some(e => e.extensions?.code === 'IDEMPOTENCY_IN_PROGRESS');
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Hook để thực hiện checkout
+ * address: id của địa chỉ đã lưu hoặc object AddressInput
  */
 export const useCheckout = () => {
   const [checkoutMutation, { loading, error }] = useMutation(CHECKOUT, {
     refetchQueries: [{ query: GET_CART }],
   });
   
-  const checkout = useCallback(async (cartItemIds, shippingAddress, paymentMethod) => {
-    try {
-      const result = await checkoutMutation({
-        variables: {
-          input: {
-            cartItemIds,
-            shippingAddress,
-            paymentMethod,
+  // Bấm checkout nhiều lần hoặc gửi lại sau lỗi mạng với cùng nội dung thì dùng
+  // chung một key, server chỉ tạo một đơn hàng. Đổi nội dung là một lần checkout mới.
+  const attemptRef = useRef(null);
+  
+  const checkout = useCallback(async (cartItemIds, address, paymentMethod) => {
+    const input = {
+      cartItemIds,
+      ...(typeof address === 'string'
+        ? { addressId: address }
+        : { shippingAddress: address }),
+      paymentMethod,
+    };
+    const payload = JSON.stringify(input);
+    if (!attemptRef.current || attemptRef.current.payload !== payload) {
+      attemptRef.current = { payload, key: createIdempotencyKey() };
+    }
+    const { key } = attemptRef.current;
+    
+    // Server đã trả lời xong thì lần checkout sau là một request mới
+    const finish = () => {
+      if (attemptRef.current?.key === key) {
+        attemptRef.current = null;
+      }
+    };
+    
+    for (let retry = 0; ; retry += 1) {
+      const canRetry = retry < IN_PROGRESS_MAX_RETRIES;
+      
+      try {
+        const result = await checkoutMutation({
+          variables: { input: { ...input, idempotencyKey: key } }
+        });
+        
+        // errorPolicy 'all': lỗi GraphQL nằm trong result.errors và checkout là null
+        if (result.errors?.length) {
+          if (isInProgress(result.errors)) {
+            if (canRetry) {
+              await wait(IN_PROGRESS_RETRY_DELAY_MS);
+              continue;
+            }
+          } else {
+            finish();
           }
+          return {
+            success: false,
+            error: result.errors[0].message
+          };
         }
-      });
-      return { 
-        success: true, 
-        data: result.data.checkout 
-      };
-    } catch (err) {
-      console.error('Checkout error:', err);
-      return { 
-        success: false, 
-        error: err.message 
-      };
+        
+        finish();
+        // Thanh toán bị từ chối hoặc cần xác thực thì success là false
+        return { 
+          success: Boolean(result.data?.checkout?.success), 
+          data: result.data?.checkout || null 
+        };
+      } catch (err) {
+        if (isInProgress(err.graphQLErrors) && canRetry) {
+          await wait(IN_PROGRESS_RETRY_DELAY_MS);
+          continue;
+        }
+        
+        console.error('Checkout error:', err);
+        // Lỗi mạng: chưa biết server đã chạy hay chưa, lần gửi lại giữ nguyên key
+        if (!err.networkError && !isInProgress(err.graphQLErrors)) {
+          finish();
+        }
+        return { 
+          success: false, 
+          error: err.message 
+        };
+      }
     }
   }, [checkoutMutation]);
   
@@ -257,6 +326,19 @@ export const useProduct = (productId) => {
 
 // ==================== SUBSCRIPTION HOOKS ====================
 
+/**
+ * Ghi cart nhận từ subscription vào cache của GET_CART
+ * để mọi view đang dùng useCart tự cập nhật
+ */
+export const writeCartToCache = (cache, cart) => {
+  if (!cart) return;
+  
+  cache.writeQuery({
+    query: GET_CART,
+    data: { getCart: cart },
+  });
+};
+
 /**
  * Hook để theo dõi thay đổi giỏ hàng real-time
  */
@@ -264,6 +346,9 @@ export const useCartSubscription = (userId) => {
   const { data, loading, error } = useSubscription(CART_UPDATED, {
     variables: { userId },
     skip: !userId,
+    onData: ({ client, data: result }) => {
+      writeCartToCache(client.cache, result.data?.cartUpdated);
+    },
   });
   
   return {
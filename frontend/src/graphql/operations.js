@@ -23,6 +23,7 @@ export const CART_ITEM_FRAGMENT = gql`
     variant
     price
     subtotal
+    discountAmount
     addedAt
     product {
       ...ProductFields
@@ -31,6 +32,33 @@ export const CART_ITEM_FRAGMENT = gql`
   ${PRODUCT_FRAGMENT}
 `;
 
+export const SHIPPING_METHOD_FRAGMENT = gql`
+  fragment ShippingMethodFields on ShippingMethod {
+    code
+    name
+    zone
+    amount
+    freeShippingThreshold
+    estimatedDaysMin
+    estimatedDaysMax
+  }
+`;
+
+export const ADDRESS_FRAGMENT = gql`
+  fragment AddressFields on Address {
+    id
+    recipient
+    phone
+    line1
+    line2
+    city
+    province
+    postalCode
+    country
+    isDefault
+  }
+`;
+
 export const CART_FRAGMENT = gql`
   fragment CartFields on Cart {
     id
@@ -42,13 +70,34 @@ export const CART_FRAGMENT = gql`
     subtotal
     discount
     discountAmount
+    appliedDiscount {
+      code
+      type
+      value
+      description
+      qualifies
+      message
+      amount
+      freeShipping
+    }
     tax
+    taxRegion
+    taxLines {
+      taxClass
+      rate
+      taxableAmount
+      amount
+    }
     shipping
+    shippingMethod {
+      ...ShippingMethodFields
+    }
     total
     createdAt
     updatedAt
   }
   ${CART_ITEM_FRAGMENT}
+  ${SHIPPING_METHOD_FRAGMENT}
 `;
 
 // ==================== QUERIES ====================
@@ -88,12 +137,37 @@ export const VALIDATE_DISCOUNT_CODE = gql`
   query ValidateDiscountCode($code: String!) {
     validateDiscountCode(code: $code) {
       valid
+      code
+      type
       percentage
+      discountAmount
+      reason
+      amountNeeded
       message
     }
   }
 `;
 
+// Các phương thức giao hàng cho giỏ hàng hiện tại
+export const GET_SHIPPING_OPTIONS = gql`
+  query GetShippingOptions {
+    getShippingOptions {
+      ...ShippingMethodFields
+    }
+  }
+  ${SHIPPING_METHOD_FRAGMENT}
+`;
+
+// Sổ địa chỉ giao hàng, địa chỉ mặc định trước
+export const GET_ADDRESSES = gql`
+  query GetAddresses {
+    getAddresses {
+      ...AddressFields
+    }
+  }
+  ${ADDRESS_FRAGMENT}
+`;
+
 // ==================== MUTATIONS ====================
 
 // Thêm sản phẩm vào giỏ hàng
@@ -166,16 +240,118 @@ export const REMOVE_DISCOUNT = gql`
   ${CART_FRAGMENT}
 `;
 
+// Chọn phương thức giao hàng
+export const SELECT_SHIPPING_METHOD = gql`
+  mutation SelectShippingMethod($method: ShippingMethodCode!) {
+    selectShippingMethod(method: $method) {
+      ...CartFields
+    }
+  }
+  ${CART_FRAGMENT}
+`;
+
+// Bắt đầu giỏ hàng cho khách (lưu token vào localStorage 'guest_cart_token')
+export const START_GUEST_CART = gql`
+  mutation StartGuestCart {
+    startGuestCart {
+      token
+      cart {
+        ...CartFields
+      }
+    }
+  }
+  ${CART_FRAGMENT}
+`;
+
+// Gộp giỏ hàng của khách sau khi đăng nhập
+export const MERGE_GUEST_CART = gql`
+  mutation MergeGuestCart($guestCartToken: String) {
+    mergeGuestCart(guestCartToken: $guestCartToken) {
+      cart {
+        ...CartFields
+      }
+      adjustments {
+        productId
+        variant
+        requestedQuantity
+        quantity
+        reason
+      }
+    }
+  }
+  ${CART_FRAGMENT}
+`;
+
+// Sổ địa chỉ
+export const ADD_ADDRESS = gql`
+  mutation AddAddress($input: AddressInput!, $isDefault: Boolean) {
+    addAddress(input: $input, isDefault: $isDefault) {
+      ...AddressFields
+    }
+  }
+  ${ADDRESS_FRAGMENT}
+`;
+
+export const UPDATE_ADDRESS = gql`
+  mutation UpdateAddress($id: ID!, $input: UpdateAddressInput!) {
+    updateAddress(id: $id, input: $input) {
+      ...AddressFields
+    }
+  }
+  ${ADDRESS_FRAGMENT}
+`;
+
+export const REMOVE_ADDRESS = gql`
+  mutation RemoveAddress($id: ID!) {
+    removeAddress(id: $id)
+  }
+`;
+
+export const SET_DEFAULT_ADDRESS = gql`
+  mutation SetDefaultAddress($id: ID!) {
+    setDefaultAddress(id: $id) {
+      ...AddressFields
+    }
+  }
+  ${ADDRESS_FRAGMENT}
+`;
+
+export const CHECKOUT_RESULT_FRAGMENT = gql`
+  fragment CheckoutResultFields on CheckoutResult {
+    success
+    orderId
+    total
+    status
+    payment {
+      id
+      status
+      amount
+      declineCode
+      nextActionUrl
+    }
+    message
+  }
+`;
+
 // Thanh toán
+// payment.status REQUIRES_ACTION: chuyển user tới nextActionUrl rồi gọi CONFIRM_PAYMENT
 export const CHECKOUT = gql`
   mutation Checkout($input: CheckoutInput!) {
     checkout(input: $input) {
-      success
-      orderId
-      total
-      message
+      ...CheckoutResultFields
+    }
+  }
+  ${CHECKOUT_RESULT_FRAGMENT}
+`;
+
+// Hoàn tất thanh toán sau bước xác thực 3-D Secure
+export const CONFIRM_PAYMENT = gql`
+  mutation ConfirmPayment($orderId: ID!) {
+    confirmPayment(orderId: $orderId) {
+      ...CheckoutResultFields
     }
   }
+  ${CHECKOUT_RESULT_FRAGMENT}
 `;
 
 // ==================== SUBSCRIPTIONS ====================
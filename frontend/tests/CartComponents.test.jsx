@@ -4,6 +4,7 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { CartProvider } from '../src/context/CartContext.enhanced';
+import { CartProvider as BasicCartProvider } from '../src/context/CartContext';
 import { CartList } from '../src/components/cart/CartList';
 import { CartSummary } from '../src/components/cart/CartSummary';
 import { AddToCartButton } from '../src/components/cart/AddToCartButton';
@@ -185,6 +186,52 @@ describe('CartSummary Component', () => {
   });
 });
 
+describe('CartSummary tax', () => {
+  const BasicWrapper = ({ children }) => (
+    <BasicCartProvider config={{ persistCart: false }}>
+      {children}
+    </BasicCartProvider>
+  );
+  
+  test('leaves tax to the server when there is no server cart', () => {
+    render(<CartSummary />, { wrapper: BasicWrapper });
+    
+    expect(screen.getByText(/tính khi thanh toán/i)).toBeInTheDocument();
+    expect(screen.getByText(/chưa gồm thuế/i)).toBeInTheDocument();
+  });
+  
+  test('shows the tax computed by the server', () => {
+    const serverCart = {
+      subtotal: 249, discount: 0, discountAmount: 0, tax: 24.9, taxRegion: 'VN', shipping: 10, total: 283.9
+    };
+    render(<CartSummary serverCart={serverCart} />, { wrapper: BasicWrapper });
+    
+    expect(screen.getByText('Thuế (VN):')).toBeInTheDocument();
+    expect(screen.getByText('$24.90')).toBeInTheDocument();
+    expect(screen.getByText('$283.90')).toBeInTheDocument();
+  });
+  
+  test('takes every row from the server cart so they add up to the total', () => {
+    const serverCart = {
+      subtotal: 249,
+      discount: 0,
+      discountAmount: 20,
+      appliedDiscount: { code: 'FLAT20' },
+      tax: 22.9,
+      taxRegion: 'VN',
+      shipping: 10,
+      total: 261.9
+    };
+    render(<CartSummary serverCart={serverCart} />, { wrapper: BasicWrapper });
+    
+    expect(screen.getByText('$249.00')).toBeInTheDocument();
+    expect(screen.getByText('Giảm giá (FLAT20):')).toBeInTheDocument();
+    expect(screen.getByText('-$20.00')).toBeInTheDocument();
+    expect(screen.getByText('$10.00')).toBeInTheDocument();
+    expect(screen.getByText('$261.90')).toBeInTheDocument();
+  });
+});
+
 describe('QuantitySelector Component', () => {
   test('renders with initial value', () => {
     const handleChange = jest.fn();
@@ -0,0 +1,110 @@
+// frontend/tests/checkoutHook.test.js - useCheckout
+
+import { renderHook, act } from '@testing-library/react';
+import { useMutation } from '@apollo/client';
+import { useCheckout } from '../src/graphql/hooks';
+
+jest.mock('@apollo/client', () => ({
+  ...jest.requireActual('@apollo/client'),
+  useMutation: jest.fn()
+}));
+
+const address = { recipient: 'Test User', phone: '0901234567', line1: '1 Test St', city: 'HCMC', country: 'VN' };
+
+describe('useCheckout', () => {
+  let checkoutMutation;
+
+  const runCheckout = async (hook) => {
+    let outcome;
+    await act(async () => {
+      outcome = await hook.result.current.checkout(['item-1'], address, 'card');
+    });
+    return outcome;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    checkoutMutation = jest.fn();
+    useMutation.mockReturnValue([checkoutMutation, { loading: false, error: undefined }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return the server message for GraphQL errors', async () => {
+    checkoutMutation.mockResolvedValue({
+      data: { checkout: null },
+      errors: [{ message: 'Selected items not found in cart' }]
+    });
+    const hook = renderHook(() => useCheckout());
+
+    expect(await runCheckout(hook)).toEqual({
+      success: false,
+      error: 'Selected items not found in cart'
+    });
+  });
+
+  test('should keep the key for a retry after a network error', async () => {
+    checkoutMutation
+      .mockRejectedValueOnce(Object.assign(new Error('Failed to fetch'), { networkError: new Error('offline') }))
+      .mockResolvedValueOnce({ data: { checkout: { success: true } } })
+      .mockResolvedValueOnce({ data: { checkout: { success: true } } });
+    const hook = renderHook(() => useCheckout());
+
+    await runCheckout(hook);
+    await runCheckout(hook);
+    await runCheckout(hook);
+
+    const keys = checkoutMutation.mock.calls.map(([options]) => options.variables.input.idempotencyKey);
+    expect(keys[1]).toBe(keys[0]);
+    expect(keys[2]).not.toBe(keys[1]);
+  });
+
+  test('should use a new key when the payload changes', async () => {
+    checkoutMutation.mockRejectedValue(
+      Object.assign(new Error('Failed to fetch'), { networkError: new Error('offline') })
+    );
+    const hook = renderHook(() => useCheckout());
+
+    await runCheckout(hook);
+    await act(async () => {
+      await hook.result.current.checkout(['item-1', 'item-2'], address, 'card');
+    });
+
+    const [first, second] = checkoutMutation.mock.calls.map(([options]) => options.variables.input.idempotencyKey);
+    expect(second).not.toBe(first);
+  });
+
+  test('should wait and retry with the same key while the request is in progress', async () => {
+    jest.useFakeTimers();
+    const checkout = { success: true, orderId: 'order-1', status: 'pending' };
+    checkoutMutation
+      .mockResolvedValueOnce({
+        data: { checkout: null },
+        errors: [{ message: 'Still processing', extensions: { code: 'IDEMPOTENCY_IN_PROGRESS' } }]
+      })
+      .mockResolvedValueOnce({ data: { checkout } });
+    const hook = renderHook(() => useCheckout());
+
+    let outcome;
+    await act(async () => {
+      const pending = hook.result.current.checkout(['item-1'], address, 'card');
+      await jest.advanceTimersByTimeAsync(1000);
+      outcome = await pending;
+    });
+    jest.useRealTimers();
+
+    expect(outcome).toEqual({ success: true, data: checkout });
+    const [first, second] = checkoutMutation.mock.calls.map(([options]) => options.variables.input.idempotencyKey);
+    expect(second).toBe(first);
+  });
+
+  test('should return the checkout result', async () => {
+    const checkout = { success: true, orderId: 'order-1', status: 'pending' };
+    checkoutMutation.mockResolvedValue({ data: { checkout } });
+    const hook = renderHook(() => useCheckout());
+
+    expect(await runCheckout(hook)).toEqual({ success: true, data: checkout });
+  });
+});
@@ -0,0 +1,139 @@
+// frontend/tests/graphqlClient.test.js
+
+import { gql } from '@apollo/client';
+import { writeCartToCache } from '../src/graphql/hooks';
+import { GET_CART, CART_UPDATED } from '../src/graphql/operations';
+
+// jsdom không có fetch, mà createHttpLink cần nó ngay khi khởi tạo
+global.fetch = jest.fn();
+const {
+  default: client,
+  getRetryDelay,
+  shouldRetryConnection,
+  isSubscriptionOperation
+} = require('../src/graphql/client');
+
+const mockCart = {
+  __typename: 'Cart',
+  id: 'cart-1',
+  userId: 'user-1',
+  items: [
+    {
+      __typename: 'CartItem',
+      id: 'item-1',
+      productId: '1',
+      quantity: 2,
+      variant: null,
+      price: 100,
+      subtotal: 200,
+      discountAmount: 0,
+      addedAt: '2024-01-01T00:00:00.000Z',
+      product: {
+        __typename: 'Product',
+        id: '1',
+        name: 'Test Product',
+        price: 100,
+        description: null,
+        image: null,
+        stock: 10,
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z'
+      }
+    }
+  ],
+  itemCount: 2,
+  subtotal: 200,
+  discount: 0,
+  discountAmount: 0,
+  appliedDiscount: null,
+  tax: 20,
+  taxRegion: 'VN',
+  taxLines: [
+    { __typename: 'TaxLine', taxClass: 'STANDARD', rate: 0.1, taxableAmount: 200, amount: 20 }
+  ],
+  shipping: 0,
+  shippingMethod: {
+    __typename: 'ShippingMethod',
+    code: 'STANDARD',
+    name: 'Giao hàng tiêu chuẩn',
+    zone: 'domestic',
+    amount: 0,
+    freeShippingThreshold: 100,
+    estimatedDaysMin: 3,
+    estimatedDaysMax: 5
+  },
+  total: 220,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z'
+};
+
+describe('Apollo client links', () => {
+  test('routes subscriptions to the WebSocket link', () => {
+    expect(isSubscriptionOperation({ query: CART_UPDATED })).toBe(true);
+  });
+
+  test('keeps queries and mutations on HTTP', () => {
+    const mutation = gql`mutation { clearCart { id } }`;
+
+    expect(isSubscriptionOperation({ query: GET_CART })).toBe(false);
+    expect(isSubscriptionOperation({ query: mutation })).toBe(false);
+  });
+
+  test('reconnect delay grows exponentially and is capped', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(getRetryDelay(0)).toBe(1000);
+    expect(getRetryDelay(1)).toBe(2000);
+    expect(getRetryDelay(3)).toBe(8000);
+    expect(getRetryDelay(10)).toBe(30000);
+
+    Math.random.mockRestore();
+  });
+
+  test('does not reconnect after the server rejects the credentials', () => {
+    expect(shouldRetryConnection({ code: 4401 })).toBe(false);
+    expect(shouldRetryConnection({ code: 4403 })).toBe(false);
+    expect(shouldRetryConnection({ code: 4400 })).toBe(false);
+  });
+
+  test('reconnects after network failures', () => {
+    expect(shouldRetryConnection({ code: 1006 })).toBe(true);
+    expect(shouldRetryConnection(new Error('socket hang up'))).toBe(true);
+  });
+});
+
+describe('writeCartToCache', () => {
+  const { cache } = client;
+
+  beforeEach(async () => {
+    await cache.reset();
+  });
+
+  test('writes cartUpdated payload into the GET_CART entry', () => {
+
+    writeCartToCache(cache, mockCart);
+
+    const { getCart } = cache.readQuery({ query: GET_CART });
+    expect(getCart.id).toBe('cart-1');
+    expect(getCart.itemCount).toBe(2);
+    expect(getCart.items[0].product.name).toBe('Test Product');
+  });
+
+  test('replaces the previous cart data', () => {
+    writeCartToCache(cache, mockCart);
+
+    writeCartToCache(cache, { ...mockCart, items: [], itemCount: 0, subtotal: 0, total: 10 });
+
+    const { getCart } = cache.readQuery({ query: GET_CART });
+    expect(getCart.items).toHaveLength(0);
+    expect(getCart.total).toBe(10);
+  });
+
+  test('ignores empty payloads', () => {
+    const fakeCache = { writeQuery: jest.fn() };
+
+    writeCartToCache(fakeCache, null);
+
+    expect(fakeCache.writeQuery).not.toHaveBeenCalled();
+  });
+});